@@ -184,7 +184,8 @@ public class TaskControllerTests
             It.IsAny<string?>(),
             It.IsAny<int>(),
             It.IsAny<int>(),
-            It.IsAny<int?>()))
+            It.IsAny<int?>(),
+            It.IsAny<bool?>()))
             .ReturnsAsync(response);
 
         // Act
@@ -202,7 +203,7 @@ public class TaskControllerTests
         // Arrange
         _taskServiceMock.Setup(x => x.GetTasksAsync(
             1, "User", TaskStatus.Pending, TaskPriority.High,
-            "Development", null, null, null, null, null, 1, 10, null))
+            "Development", null, null, null, null, null, 1, 10, null, null))
             .ReturnsAsync(new TaskListResponse());
 
         // Act
@@ -211,7 +212,23 @@ public class TaskControllerTests
         // Assert
         _taskServiceMock.Verify(x => x.GetTasksAsync(
             1, "User", TaskStatus.Pending, TaskPriority.High,
-            "Development", null, null, null, null, null, 1, 10, null), Times.Once);
+            "Development", null, null, null, null, null, 1, 10, null, null), Times.Once);
+    }
+
+    [Fact]
+    public async Task GetTasks_WithHasDueDate_PassesItToService()
+    {
+        // Arrange
+        _taskServiceMock.Setup(x => x.GetTasksAsync(
+            1, "User", null, null, null, null, null, null, null, null, 1, 10, null, false))
+            .ReturnsAsync(new TaskListResponse());
+
+        // Act
+        await _controller.GetTasks(null, null, null, null, null, null, null, null, 1, 10, hasDueDate: false);
+
+        // Assert
+        _taskServiceMock.Verify(x => x.GetTasksAsync(
+            1, "User", null, null, null, null, null, null, null, null, 1, 10, null, false), Times.Once);
     }
 
     #endregion
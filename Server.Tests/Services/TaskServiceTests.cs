@@ -393,6 +393,84 @@ public class TaskServiceTests : IDisposable
         Assert.Contains("Meeting", result.Tasks[0].Title);
     }
 
+    [Fact]
+    public async Task GetTasksAsync_HasDueDateFalse_ReturnsOnlyTasksWithoutDueDate()
+    {
+        // Arrange
+        _context.Tasks.Add(new TaskItem
+        {
+            Title = "Scheduled Task",
+            Description = "Description",
+            Status = TaskStatus.Pending,
+            Priority = TaskPriority.Medium,
+            Category = "Test",
+            CreatedByUserId = 1,
+            DueDate = DateTime.UtcNow.AddDays(3),
+            CreatedAt = DateTime.UtcNow
+        });
+        _context.Tasks.Add(new TaskItem
+        {
+            Title = "Unscheduled Task",
+            Description = "Description",
+            Status = TaskStatus.Pending,
+            Priority = TaskPriority.Medium,
+            Category = "Test",
+            CreatedByUserId = 1,
+            CreatedAt = DateTime.UtcNow
+        });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _taskService.GetTasksAsync(
+            userId: 1,
+            userRole: "User",
+            hasDueDate: false);
+
+        // Assert
+        var task = Assert.Single(result.Tasks);
+        Assert.Equal("Unscheduled Task", task.Title);
+        Assert.Null(task.DueDate);
+    }
+
+    [Fact]
+    public async Task GetTasksAsync_HasDueDateTrue_ReturnsOnlyTasksWithDueDate()
+    {
+        // Arrange
+        _context.Tasks.Add(new TaskItem
+        {
+            Title = "Scheduled Task",
+            Description = "Description",
+            Status = TaskStatus.Pending,
+            Priority = TaskPriority.Medium,
+            Category = "Test",
+            CreatedByUserId = 1,
+            DueDate = DateTime.UtcNow.AddDays(3),
+            CreatedAt = DateTime.UtcNow
+        });
+        _context.Tasks.Add(new TaskItem
+        {
+            Title = "Unscheduled Task",
+            Description = "Description",
+            Status = TaskStatus.Pending,
+            Priority = TaskPriority.Medium,
+            Category = "Test",
+            CreatedByUserId = 1,
+            CreatedAt = DateTime.UtcNow
+        });
+        await _context.SaveChangesAsync();
+
+        // Act
+        var result = await _taskService.GetTasksAsync(
+            userId: 1,
+            userRole: "User",
+            hasDueDate: true);
+
+        // Assert
+        var task = Assert.Single(result.Tasks);
+        Assert.Equal("Scheduled Task", task.Title);
+        Assert.NotNull(task.DueDate);
+    }
+
     #endregion
 
     #region Update Task Tests
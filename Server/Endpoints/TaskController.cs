@@ -68,6 +68,7 @@ public class TaskController : ControllerBase
     /// - searchTerm: Search in title, description, and category
     /// - pageNumber: Page number (default: 1)
     /// - pageSize: Items per page (default: 10)
+    /// - hasDueDate: Filter tasks with (true) or without (false) a due date
     /// </summary>
     [HttpGet]
     public async Task<IActionResult> GetTasks(
@@ -80,7 +81,8 @@ public class TaskController : ControllerBase
         [FromQuery] DateTime? dueDateTo,
         [FromQuery] string? searchTerm,
         [FromQuery] int pageNumber = 1,
-        [FromQuery] int pageSize = 10)
+        [FromQuery] int pageSize = 10,
+        [FromQuery] bool? hasDueDate = null)
     {
         var userId = GetUserId();
         var userRole = GetUserRole();
@@ -106,7 +108,8 @@ public class TaskController : ControllerBase
             dueDateTo,
             searchTerm,
             pageNumber,
-            pageSize);
+            pageSize,
+            hasDueDate: hasDueDate);
 
         return Ok(result);
     }
@@ -24,7 +24,8 @@ public interface ITaskService
         string? searchTerm = null,
         int pageNumber = 1, 
         int pageSize = 10,
-        int? createdByUserIdFilter = null);
+        int? createdByUserIdFilter = null,
+        bool? hasDueDate = null);
     Task<TaskStatsResponse> GetTaskStatsAsync(int userId, string userRole);
     Task<List<string>> GetCategoriesAsync(int userId, string userRole);
     
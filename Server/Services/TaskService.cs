@@ -122,7 +122,8 @@ public class TaskService : ITaskService
         string? searchTerm = null,
         int pageNumber = 1, 
         int pageSize = 10,
-        int? createdByUserIdFilter = null)
+        int? createdByUserIdFilter = null,
+        bool? hasDueDate = null)
     {
         try
         {
@@ -179,6 +180,11 @@ public class TaskService : ITaskService
                 query = query.Where(t => t.DueDate.HasValue && t.DueDate.Value <= dueDateTo.Value);
             }
 
+            if (hasDueDate.HasValue)
+            {
+                query = query.Where(t => t.DueDate.HasValue == hasDueDate.Value);
+            }
+
             if (!string.IsNullOrWhiteSpace(searchTerm))
             {
                 query = query.Where(t => 
@@ -1,6 +1,11 @@
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider } from './context/AuthContext';
+import { SavedViewsProvider } from './context/SavedViewsContext';
+import { UndoProvider } from './context/UndoContext';
+import { TaskTemplatesProvider } from './context/TaskTemplatesContext';
+import { RecurrenceProvider } from './context/RecurrenceContext';
+import { MyWorkCountsProvider } from './context/MyWorkCountsContext';
 import { ProtectedRoute, AdminRoute, PublicRoute } from './components/guards/RouteGuards';
 
 // Layouts
@@ -16,53 +21,67 @@ import ResetPasswordPage from './pages/auth/ResetPasswordPage';
 // App pages
 import DashboardPage from './pages/dashboard/DashboardPage';
 import TaskListPage from './pages/tasks/TaskListPage';
+import MyWorkPage from './pages/tasks/MyWorkPage';
+import GalleryPage from './pages/tasks/GalleryPage';
 import UserListPage from './pages/users/UserListPage';
 
 export default function App() {
   return (
     <BrowserRouter>
       <AuthProvider>
-        <Routes>
-          {/* Public auth routes */}
-          <Route
-            element={
-              <PublicRoute>
-                <AuthLayout />
-              </PublicRoute>
-            }
-          >
-            <Route path="/auth/login" element={<LoginPage />} />
-            <Route path="/auth/register" element={<RegisterPage />} />
-            <Route path="/auth/forgot-password" element={<ForgotPasswordPage />} />
-            <Route path="/auth/reset-password" element={<ResetPasswordPage />} />
-          </Route>
+        <SavedViewsProvider>
+          <TaskTemplatesProvider>
+            <RecurrenceProvider>
+              <UndoProvider>
+                <MyWorkCountsProvider>
+                  <Routes>
+                    {/* Public auth routes */}
+                    <Route
+                      element={
+                        <PublicRoute>
+                          <AuthLayout />
+                        </PublicRoute>
+                      }
+                    >
+                      <Route path="/auth/login" element={<LoginPage />} />
+                      <Route path="/auth/register" element={<RegisterPage />} />
+                      <Route path="/auth/forgot-password" element={<ForgotPasswordPage />} />
+                      <Route path="/auth/reset-password" element={<ResetPasswordPage />} />
+                    </Route>
 
-          {/* Protected app routes */}
-          <Route
-            element={
-              <ProtectedRoute>
-                <DashboardLayout />
-              </ProtectedRoute>
-            }
-          >
-            <Route path="/dashboard" element={<DashboardPage />} />
-            <Route path="/tasks" element={<TaskListPage />} />
+                    {/* Protected app routes */}
+                    <Route
+                      element={
+                        <ProtectedRoute>
+                          <DashboardLayout />
+                        </ProtectedRoute>
+                      }
+                    >
+                      <Route path="/dashboard" element={<DashboardPage />} />
+                      <Route path="/my-work" element={<MyWorkPage />} />
+                      <Route path="/tasks" element={<TaskListPage />} />
+                      <Route path="/gallery" element={<GalleryPage />} />
 
-            {/* Admin only */}
-            <Route
-              path="/users"
-              element={
-                <AdminRoute>
-                  <UserListPage />
-                </AdminRoute>
-              }
-            />
-          </Route>
+                      {/* Admin only */}
+                      <Route
+                        path="/users"
+                        element={
+                          <AdminRoute>
+                            <UserListPage />
+                          </AdminRoute>
+                        }
+                      />
+                    </Route>
 
-          {/* Default redirect */}
-          <Route path="/" element={<Navigate to="/dashboard" replace />} />
-          <Route path="*" element={<Navigate to="/dashboard" replace />} />
-        </Routes>
+                    {/* Default redirect */}
+                    <Route path="/" element={<Navigate to="/dashboard" replace />} />
+                    <Route path="*" element={<Navigate to="/dashboard" replace />} />
+                  </Routes>
+                </MyWorkCountsProvider>
+              </UndoProvider>
+            </RecurrenceProvider>
+          </TaskTemplatesProvider>
+        </SavedViewsProvider>
 
         {/* Global toast notifications */}
         <Toaster
@@ -9,6 +9,7 @@ export default function Avatar({ name = '', size = 'md', className = '' }) {
     .slice(0, 2);
 
   const sizeClasses = {
+    xs: 'h-6 w-6 text-[10px]',
     sm: 'h-8 w-8 text-xs',
     md: 'h-10 w-10 text-sm',
     lg: 'h-12 w-12 text-base',
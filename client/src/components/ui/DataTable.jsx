@@ -0,0 +1,416 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { clsx } from 'clsx';
+import {
+  HiChevronUp,
+  HiChevronDown,
+  HiSelector,
+  HiOutlineViewBoards,
+  HiOutlineMenu,
+  HiOutlineMenuAlt4,
+} from 'react-icons/hi';
+import { useTableLayout } from '../../hooks/useTableLayout';
+import { useRowNavigation } from '../../hooks/useRowNavigation';
+
+const MIN_COLUMN_WIDTH = 60;
+
+const densityClasses = {
+  comfortable: 'px-4 py-3',
+  compact: 'px-3 py-1.5',
+};
+
+/**
+ * Table with sortable headers, a column chooser (show/hide/reorder),
+ * drag-to-resize, density toggle, sticky header and row selection.
+ *
+ * Column: { id, header, cell(row), width?, hideable?, sortValue?(row), serverSort? }
+ * - `serverSort` columns report through `onSortChange` and leave rows as given.
+ * - `sortValue` columns are sorted here, within the rows on screen only.
+ * Layout changes are saved per `tableId` for the signed-in user.
+ *
+ * With `keyboardNavigation`, j/k/x move and select rows (see useRowNavigation)
+ * and other keys go to `onRowAction(key, row)`. `rowProps(row)` adds props,
+ * such as drop handlers, to each row.
+ */
+export default function DataTable({
+  tableId,
+  columns,
+  rows,
+  rowKey = (row) => row.id,
+  selectable = false,
+  selectedIds = [],
+  onSelectionChange,
+  onSortChange,
+  renderMobileRow,
+  toolbar,
+  footer,
+  rowClassName,
+  rowProps,
+  keyboardNavigation = false,
+  onRowAction,
+}) {
+  const { layout, updateLayout, resetLayout } = useTableLayout(tableId, columns);
+  const [sort, setSort] = useState(null);
+  const [chooserOpen, setChooserOpen] = useState(false);
+  // Width of the column being dragged, applied live and saved on release
+  const [resizing, setResizing] = useState(null);
+
+  const visibleColumns = layout.order
+    .map((id) => columns.find((c) => c.id === id))
+    .filter((c) => c && !layout.hidden.includes(c.id));
+
+  const sortColumn = sort && columns.find((c) => c.id === sort.id);
+  const pageLocalSort = sortColumn && !sortColumn.serverSort;
+
+  const sortedRows = useMemo(() => {
+    if (!pageLocalSort || !sortColumn.sortValue) return rows;
+    const factor = sort.direction === 'asc' ? 1 : -1;
+    return [...rows].sort((a, b) => {
+      const av = sortColumn.sortValue(a);
+      const bv = sortColumn.sortValue(b);
+      // Empty values always sink to the bottom
+      if (av == null || av === '') return bv == null || bv === '' ? 0 : 1;
+      if (bv == null || bv === '') return -1;
+      if (typeof av === 'string') return av.localeCompare(bv) * factor;
+      return (av > bv ? 1 : av < bv ? -1 : 0) * factor;
+    });
+  }, [rows, sort, sortColumn, pageLocalSort]);
+
+  const toggleSort = (column) => {
+    let next;
+    if (sort?.id !== column.id) next = { id: column.id, direction: 'asc' };
+    else if (sort.direction === 'asc') next = { id: column.id, direction: 'desc' };
+    else next = null;
+    setSort(next);
+    if (column.serverSort || sortColumn?.serverSort) onSortChange?.(next);
+  };
+
+  const ids = sortedRows.map(rowKey);
+  const allSelected = ids.length > 0 && ids.every((id) => selectedIds.includes(id));
+  const someSelected = ids.some((id) => selectedIds.includes(id));
+
+  const toggleAll = () => {
+    if (allSelected) onSelectionChange(selectedIds.filter((id) => !ids.includes(id)));
+    else onSelectionChange([...new Set([...selectedIds, ...ids])]);
+  };
+
+  const { activeId, setActiveId, toggle } = useRowNavigation({
+    ids,
+    selectedIds,
+    onSelectionChange: selectable ? onSelectionChange : () => {},
+    onAction: (key, id) => onRowAction?.(key, sortedRows.find((row) => rowKey(row) === id)) ?? false,
+    enabled: keyboardNavigation,
+  });
+
+  const scrollRef = useRef(null);
+  useEffect(() => {
+    if (activeId === null) return;
+    scrollRef.current
+      ?.querySelector(`[data-row-id="${activeId}"]`)
+      ?.scrollIntoView({ block: 'nearest' });
+  }, [activeId]);
+
+  const cellPadding = densityClasses[layout.density] || densityClasses.comfortable;
+
+  return (
+    <div>
+      {/* Toolbar */}
+      <div className="hidden md:flex items-center justify-between gap-3 px-4 py-2 border-b border-surface-100">
+        <div className="text-xs text-surface-500">
+          {pageLocalSort ? (
+            <span>
+              Sorted by <strong className="text-surface-700">{sortColumn.header}</strong> on this page only
+            </span>
+          ) : (
+            toolbar
+          )}
+        </div>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() =>
+              updateLayout({ density: layout.density === 'compact' ? 'comfortable' : 'compact' })
+            }
+            title={layout.density === 'compact' ? 'Comfortable rows' : 'Compact rows'}
+            className="p-1.5 rounded-lg text-surface-400 hover:text-surface-700 hover:bg-surface-100"
+          >
+            {layout.density === 'compact' ? (
+              <HiOutlineMenu className="h-4 w-4" />
+            ) : (
+              <HiOutlineMenuAlt4 className="h-4 w-4" />
+            )}
+          </button>
+          <div className="relative">
+            <button
+              onClick={() => setChooserOpen((o) => !o)}
+              aria-expanded={chooserOpen}
+              title="Choose columns"
+              className="flex items-center gap-1.5 rounded-lg px-2 py-1.5 text-xs font-medium text-surface-500 hover:text-surface-700 hover:bg-surface-100"
+            >
+              <HiOutlineViewBoards className="h-4 w-4" />
+              Columns
+            </button>
+            {chooserOpen && (
+              <ColumnChooser
+                columns={columns}
+                layout={layout}
+                onChange={updateLayout}
+                onReset={resetLayout}
+                onClose={() => setChooserOpen(false)}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Desktop table */}
+      <div
+        ref={scrollRef}
+        className={clsx('overflow-auto max-h-[70vh]', renderMobileRow && 'hidden md:block')}
+      >
+        <table className="w-full table-fixed">
+          <colgroup>
+            {selectable && <col style={{ width: 48 }} />}
+            {visibleColumns.map((column) => (
+              <col
+                key={column.id}
+                style={{
+                  width:
+                    resizing?.id === column.id
+                      ? resizing.width
+                      : layout.widths[column.id] ?? column.width,
+                }}
+              />
+            ))}
+          </colgroup>
+          <thead className="sticky top-0 z-10 bg-white">
+            <tr className="border-b border-surface-100 text-left">
+              {selectable && (
+                <th className={cellPadding}>
+                  <input
+                    type="checkbox"
+                    aria-label="Select all rows on this page"
+                    className="h-4 w-4 rounded border-surface-300 text-primary-600 focus:ring-primary-500"
+                    checked={allSelected}
+                    ref={(el) => {
+                      if (el) el.indeterminate = someSelected && !allSelected;
+                    }}
+                    onChange={toggleAll}
+                  />
+                </th>
+              )}
+              {visibleColumns.map((column) => (
+                <HeaderCell
+                  key={column.id}
+                  column={column}
+                  sort={sort?.id === column.id ? sort.direction : null}
+                  className={cellPadding}
+                  onSort={() => toggleSort(column)}
+                  onResize={(width) => setResizing({ id: column.id, width })}
+                  onResizeEnd={(width) => {
+                    setResizing(null);
+                    updateLayout((prev) => ({ widths: { ...prev.widths, [column.id]: width } }));
+                  }}
+                />
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-surface-100">
+            {sortedRows.map((row) => {
+              const id = rowKey(row);
+              return (
+                <tr
+                  {...rowProps?.(row)}
+                  key={id}
+                  data-row-id={id}
+                  onMouseDown={keyboardNavigation ? () => setActiveId(id) : undefined}
+                  className={clsx(
+                    'hover:bg-surface-50 transition-colors group',
+                    selectedIds.includes(id) && 'bg-primary-50/40',
+                    activeId === id && 'outline outline-2 -outline-offset-2 outline-primary-400',
+                    rowClassName?.(row)
+                  )}
+                >
+                  {selectable && (
+                    <td className={cellPadding}>
+                      <input
+                        type="checkbox"
+                        aria-label="Select row"
+                        title="Shift+click to select a range"
+                        className="h-4 w-4 rounded border-surface-300 text-primary-600 focus:ring-primary-500"
+                        checked={selectedIds.includes(id)}
+                        readOnly
+                        onClick={(e) => toggle(id, e.shiftKey)}
+                      />
+                    </td>
+                  )}
+                  {visibleColumns.map((column) => (
+                    <td key={column.id} className={clsx(cellPadding, column.className)}>
+                      {column.cell(row)}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Mobile cards */}
+      {renderMobileRow && (
+        <div className="md:hidden divide-y divide-surface-100">
+          {sortedRows.map((row) => (
+            <div key={rowKey(row)}>{renderMobileRow(row)}</div>
+          ))}
+        </div>
+      )}
+
+      {footer}
+    </div>
+  );
+}
+
+function HeaderCell({ column, sort, className, onSort, onResize, onResizeEnd }) {
+  const thRef = useRef(null);
+  const sortable = column.serverSort || column.sortValue;
+
+  const startResize = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = thRef.current.offsetWidth;
+
+    const widthAt = (ev) => Math.max(MIN_COLUMN_WIDTH, startWidth + ev.clientX - startX);
+
+    const onMove = (ev) => onResize(widthAt(ev));
+    const onUp = (ev) => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+      onResizeEnd(widthAt(ev));
+    };
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+  };
+
+  const SortIcon = sort === 'asc' ? HiChevronUp : sort === 'desc' ? HiChevronDown : HiSelector;
+
+  return (
+    <th
+      ref={thRef}
+      aria-sort={sort === 'asc' ? 'ascending' : sort === 'desc' ? 'descending' : undefined}
+      className={clsx(
+        'relative text-xs font-medium text-surface-500 uppercase tracking-wider',
+        className
+      )}
+    >
+      {sortable ? (
+        <button
+          onClick={onSort}
+          title={column.serverSort ? 'Sort all results' : 'Sorts the rows on this page only'}
+          className="group/sort inline-flex items-center gap-1 uppercase tracking-wider hover:text-surface-900"
+        >
+          {column.header}
+          <SortIcon className={clsx('h-3.5 w-3.5', !sort && 'opacity-0 group-hover/sort:opacity-100')} />
+          {sort && !column.serverSort && (
+            <span className="rounded bg-surface-100 px-1 text-[10px] normal-case tracking-normal text-surface-500">
+              page
+            </span>
+          )}
+        </button>
+      ) : (
+        column.header
+      )}
+      <span
+        role="separator"
+        aria-orientation="vertical"
+        aria-label={`Resize ${column.header} column`}
+        onMouseDown={startResize}
+        className="absolute right-0 top-1/4 h-1/2 w-1.5 cursor-col-resize rounded border-r-2 border-transparent hover:border-primary-400"
+      />
+    </th>
+  );
+}
+
+function ColumnChooser({ columns, layout, onChange, onReset, onClose }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) onClose();
+    };
+    const handleEsc = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('mousedown', handleClick);
+    document.addEventListener('keydown', handleEsc);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      document.removeEventListener('keydown', handleEsc);
+    };
+  }, [onClose]);
+
+  const toggleHidden = (id) => {
+    const hidden = layout.hidden.includes(id)
+      ? layout.hidden.filter((h) => h !== id)
+      : [...layout.hidden, id];
+    onChange({ hidden });
+  };
+
+  const move = (index, direction) => {
+    const order = [...layout.order];
+    const target = index + direction;
+    if (target < 0 || target >= order.length) return;
+    [order[index], order[target]] = [order[target], order[index]];
+    onChange({ order });
+  };
+
+  return (
+    <div
+      ref={ref}
+      className="absolute right-0 top-full z-30 mt-1 w-60 rounded-xl border border-surface-200 bg-white p-2 shadow-elevated animate-scale-in"
+    >
+      <ul className="space-y-0.5">
+        {layout.order.map((id, index) => {
+          const column = columns.find((c) => c.id === id);
+          if (!column) return null;
+          return (
+            <li key={id} className="flex items-center gap-2 rounded-lg px-2 py-1 hover:bg-surface-50">
+              <label className="flex flex-1 items-center gap-2 text-sm text-surface-700">
+                <input
+                  type="checkbox"
+                  className="h-4 w-4 rounded border-surface-300 text-primary-600 focus:ring-primary-500 disabled:opacity-40"
+                  checked={!layout.hidden.includes(id)}
+                  disabled={column.hideable === false}
+                  onChange={() => toggleHidden(id)}
+                />
+                {column.header}
+              </label>
+              <button
+                onClick={() => move(index, -1)}
+                disabled={index === 0}
+                aria-label={`Move ${column.header} left`}
+                className="p-0.5 rounded text-surface-400 hover:text-surface-700 disabled:opacity-30"
+              >
+                <HiChevronUp className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => move(index, 1)}
+                disabled={index === layout.order.length - 1}
+                aria-label={`Move ${column.header} right`}
+                className="p-0.5 rounded text-surface-400 hover:text-surface-700 disabled:opacity-30"
+              >
+                <HiChevronDown className="h-4 w-4" />
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      <div className="mt-2 pt-2 border-t border-surface-100">
+        <button
+          onClick={onReset}
+          className="w-full rounded-lg px-2 py-1.5 text-left text-xs font-medium text-surface-500 hover:bg-surface-50 hover:text-surface-900"
+        >
+          Reset layout
+        </button>
+      </div>
+    </div>
+  );
+}
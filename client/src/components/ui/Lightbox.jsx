@@ -0,0 +1,249 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import { clsx } from 'clsx';
+import {
+  HiX,
+  HiOutlineZoomIn,
+  HiOutlineZoomOut,
+  HiOutlineDownload,
+  HiChevronLeft,
+  HiChevronRight,
+} from 'react-icons/hi';
+import { cloudinaryUrl } from '../../utils/cloudinary';
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 6;
+const ZOOM_STEP = 1.5;
+const PAN_STEP = 80;
+
+const fitted = { scale: 1, x: 0, y: 0 };
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+function ToolButton({ label, onClick, disabled, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={disabled}
+      title={label}
+      aria-label={label}
+      className="rounded-lg p-2 text-white/80 hover:bg-white/10 hover:text-white disabled:opacity-30 disabled:hover:bg-transparent"
+    >
+      {children}
+    </button>
+  );
+}
+
+/**
+ * Full-screen image viewer. Zoom with the wheel, the buttons, +/- or a
+ * double-click; drag or use the arrow keys to pan once zoomed; 0 fits the
+ * image again and Escape closes. With `onPrev`/`onNext` the arrow keys step
+ * through images while the image is fitted.
+ */
+export default function Lightbox({ isOpen, onClose, src, alt = '', title, downloadName, onPrev, onNext }) {
+  const [view, setView] = useState(fitted);
+  const [panning, setPanning] = useState(false);
+  const stageRef = useRef(null);
+  const dialogRef = useRef(null);
+  const drag = useRef(null);
+
+  // Each image starts fitted to the screen
+  useEffect(() => {
+    setView(fitted);
+  }, [src, isOpen]);
+
+  // Zoom by `factor`, keeping the point under (cx, cy) — stage coordinates
+  // from its centre — where it is
+  const zoom = useCallback((factor, cx = 0, cy = 0) => {
+    setView((prev) => {
+      const scale = clampScale(prev.scale * factor);
+      if (scale === MIN_SCALE) return fitted;
+      const ratio = scale / prev.scale;
+      return { scale, x: cx - (cx - prev.x) * ratio, y: cy - (cy - prev.y) * ratio };
+    });
+  }, []);
+
+  const pan = (dx, dy) => setView((prev) => ({ ...prev, x: prev.x + dx, y: prev.y + dy }));
+
+  const fromCentre = (e) => {
+    const rect = stageRef.current.getBoundingClientRect();
+    return [e.clientX - rect.left - rect.width / 2, e.clientY - rect.top - rect.height / 2];
+  };
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const previousFocus = document.activeElement;
+    // It may open over a modal, which has already locked scrolling
+    const previousOverflow = document.body.style.overflow;
+    dialogRef.current?.focus();
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.body.style.overflow = previousOverflow;
+      previousFocus?.focus?.();
+    };
+  }, [isOpen]);
+
+  // Wheel listeners added through React are passive, so preventDefault needs this
+  useEffect(() => {
+    const stage = stageRef.current;
+    if (!isOpen || !stage) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = stage.getBoundingClientRect();
+      zoom(
+        e.deltaY < 0 ? 1.2 : 1 / 1.2,
+        e.clientX - rect.left - rect.width / 2,
+        e.clientY - rect.top - rect.height / 2
+      );
+    };
+    stage.addEventListener('wheel', onWheel, { passive: false });
+    return () => stage.removeEventListener('wheel', onWheel);
+  }, [isOpen, zoom]);
+
+  if (!isOpen || !src) return null;
+
+  const zoomed = view.scale > MIN_SCALE;
+
+  const handleKeyDown = (e) => {
+    const keys = {
+      Escape: onClose,
+      '+': () => zoom(ZOOM_STEP),
+      '=': () => zoom(ZOOM_STEP),
+      '-': () => zoom(1 / ZOOM_STEP),
+      0: () => setView(fitted),
+      ArrowLeft: () => (zoomed ? pan(PAN_STEP, 0) : onPrev?.()),
+      ArrowRight: () => (zoomed ? pan(-PAN_STEP, 0) : onNext?.()),
+      ArrowUp: () => zoomed && pan(0, PAN_STEP),
+      ArrowDown: () => zoomed && pan(0, -PAN_STEP),
+    };
+    const action = keys[e.key];
+    if (!action) return;
+    e.preventDefault();
+    e.stopPropagation();
+    action();
+  };
+
+  const handlePointerDown = (e) => {
+    if (!zoomed || e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drag.current = { x: e.clientX, y: e.clientY };
+    setPanning(true);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag.current) return;
+    pan(e.clientX - drag.current.x, e.clientY - drag.current.y);
+    drag.current = { x: e.clientX, y: e.clientY };
+  };
+
+  const endPan = () => {
+    drag.current = null;
+    setPanning(false);
+  };
+
+  const handleDoubleClick = (e) => {
+    if (zoomed) setView(fitted);
+    else zoom(2.5, ...fromCentre(e));
+  };
+
+  return createPortal(
+    <div
+      ref={dialogRef}
+      role="dialog"
+      aria-modal="true"
+      aria-label={title || alt || 'Image viewer'}
+      tabIndex={-1}
+      onKeyDown={handleKeyDown}
+      className="fixed inset-0 z-[60] flex flex-col bg-black/90 outline-none animate-fade-in"
+    >
+      <div className="flex items-center justify-between gap-4 px-4 py-3 text-white">
+        <p className="truncate text-sm font-medium">{title}</p>
+        <div className="flex items-center gap-1">
+          <ToolButton label="Zoom out (-)" onClick={() => zoom(1 / ZOOM_STEP)} disabled={!zoomed}>
+            <HiOutlineZoomOut className="h-5 w-5" />
+          </ToolButton>
+          <button
+            type="button"
+            onClick={() => setView(fitted)}
+            title="Fit to screen (0)"
+            className="w-14 rounded-lg py-2 text-xs tabular-nums text-white/80 hover:bg-white/10"
+          >
+            {Math.round(view.scale * 100)}%
+          </button>
+          <ToolButton
+            label="Zoom in (+)"
+            onClick={() => zoom(ZOOM_STEP)}
+            disabled={view.scale >= MAX_SCALE}
+          >
+            <HiOutlineZoomIn className="h-5 w-5" />
+          </ToolButton>
+          <a
+            href={cloudinaryUrl(src, { attachment: true })}
+            download={downloadName || true}
+            target="_blank"
+            rel="noopener noreferrer"
+            title="Download"
+            aria-label="Download"
+            className="rounded-lg p-2 text-white/80 hover:bg-white/10 hover:text-white"
+          >
+            <HiOutlineDownload className="h-5 w-5" />
+          </a>
+          <ToolButton label="Close (Esc)" onClick={onClose}>
+            <HiX className="h-5 w-5" />
+          </ToolButton>
+        </div>
+      </div>
+
+      <div
+        ref={stageRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={endPan}
+        onPointerCancel={endPan}
+        onDoubleClick={handleDoubleClick}
+        onClick={(e) => e.target === e.currentTarget && !zoomed && onClose()}
+        className={clsx(
+          'relative flex flex-1 items-center justify-center overflow-hidden select-none touch-none',
+          zoomed ? (panning ? 'cursor-grabbing' : 'cursor-grab') : 'cursor-zoom-in'
+        )}
+      >
+        <img
+          src={cloudinaryUrl(src)}
+          alt={alt}
+          draggable={false}
+          style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})` }}
+          className={clsx(
+            'max-h-full max-w-full object-contain',
+            !panning && 'transition-transform duration-150'
+          )}
+        />
+
+        {onPrev && !zoomed && (
+          <button
+            type="button"
+            onClick={onPrev}
+            aria-label="Previous image"
+            className="absolute left-4 top-1/2 -translate-y-1/2 rounded-full bg-black/40 p-2 text-white hover:bg-black/60"
+          >
+            <HiChevronLeft className="h-6 w-6" />
+          </button>
+        )}
+        {onNext && !zoomed && (
+          <button
+            type="button"
+            onClick={onNext}
+            aria-label="Next image"
+            className="absolute right-4 top-1/2 -translate-y-1/2 rounded-full bg-black/40 p-2 text-white hover:bg-black/60"
+          >
+            <HiChevronRight className="h-6 w-6" />
+          </button>
+        )}
+      </div>
+
+      <p className="pb-3 text-center text-xs text-white/50">
+        Scroll or double-click to zoom · drag to pan · 0 to fit · Esc to close
+      </p>
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,194 @@
+import { Fragment } from 'react';
+import { clsx } from 'clsx';
+import { parseMarkdown, parseInline, safeUrl } from '../../utils/markdown';
+
+const headingClasses = {
+  1: 'text-lg font-semibold',
+  2: 'text-base font-semibold',
+  3: 'text-sm font-semibold',
+};
+
+function Inline({ text }) {
+  return renderNodes(parseInline(text));
+}
+
+function renderNodes(nodes) {
+  return nodes.map((node, i) => {
+    switch (node.type) {
+      case 'code':
+        return (
+          <code
+            key={i}
+            className="rounded bg-surface-100 px-1 py-0.5 font-mono text-[0.85em] text-surface-800"
+          >
+            {node.value}
+          </code>
+        );
+      case 'strong':
+        return (
+          <strong key={i} className="font-semibold text-surface-900">
+            {renderNodes(node.children)}
+          </strong>
+        );
+      case 'em':
+        return <em key={i}>{renderNodes(node.children)}</em>;
+      case 'del':
+        return <del key={i}>{renderNodes(node.children)}</del>;
+      case 'br':
+        return <br key={i} />;
+      case 'link': {
+        const href = safeUrl(node.href);
+        if (!href) return <Fragment key={i}>{renderNodes(node.children)}</Fragment>;
+        return (
+          <a
+            key={i}
+            href={href}
+            target="_blank"
+            rel="noopener noreferrer nofollow"
+            className="font-medium text-primary-600 underline decoration-primary-300 underline-offset-2 hover:text-primary-700 break-words"
+          >
+            {renderNodes(node.children)}
+          </a>
+        );
+      }
+      default:
+        return <Fragment key={i}>{node.value}</Fragment>;
+    }
+  });
+}
+
+function Blocks({ blocks, onToggleTask }) {
+  return blocks.map((block, i) => {
+    switch (block.type) {
+      case 'heading': {
+        const Tag = `h${Math.min(block.level + 2, 6)}`;
+        return (
+          <Tag
+            key={i}
+            className={clsx('text-surface-900', headingClasses[block.level] || headingClasses[3])}
+          >
+            <Inline text={block.text} />
+          </Tag>
+        );
+      }
+      case 'code':
+        return (
+          <pre
+            key={i}
+            className="overflow-x-auto rounded-lg bg-surface-900 p-3 text-xs leading-relaxed text-surface-100"
+          >
+            <code className={block.lang ? `language-${block.lang}` : undefined}>{block.text}</code>
+          </pre>
+        );
+      case 'quote':
+        return (
+          <blockquote key={i} className="space-y-2 border-l-4 border-surface-200 pl-3 text-surface-500">
+            <Blocks blocks={block.children} />
+          </blockquote>
+        );
+      case 'rule':
+        return <hr key={i} className="border-surface-200" />;
+      case 'table':
+        return (
+          <div key={i} className="overflow-x-auto">
+            <table className="min-w-full border-collapse text-left text-sm">
+              <thead>
+                <tr>
+                  {block.header.map((cell, c) => (
+                    <th
+                      key={c}
+                      style={{ textAlign: block.align[c] || undefined }}
+                      className="border border-surface-200 bg-surface-50 px-3 py-1.5 font-semibold text-surface-700"
+                    >
+                      <Inline text={cell} />
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {block.rows.map((row, r) => (
+                  <tr key={r}>
+                    {block.header.map((_, c) => (
+                      <td
+                        key={c}
+                        style={{ textAlign: block.align[c] || undefined }}
+                        className="border border-surface-200 px-3 py-1.5"
+                      >
+                        <Inline text={row[c] ?? ''} />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      case 'list': {
+        const Tag = block.ordered ? 'ol' : 'ul';
+        const isChecklist = block.items.every((item) => item.checked !== undefined);
+        return (
+          <Tag
+            key={i}
+            start={block.ordered && block.start !== 1 ? block.start : undefined}
+            className={clsx(
+              'space-y-1',
+              isChecklist ? 'list-none' : block.ordered ? 'list-decimal pl-5' : 'list-disc pl-5'
+            )}
+          >
+            {block.items.map((item) => (
+              <li
+                key={item.line}
+                style={item.depth ? { marginLeft: `${item.depth * 1.25}rem` } : undefined}
+                className={clsx(item.checked !== undefined && 'list-none')}
+              >
+                {item.checked === undefined ? (
+                  <Inline text={item.text} />
+                ) : (
+                  <label
+                    className={clsx(
+                      'flex items-start gap-2.5 rounded-lg px-1 py-0.5',
+                      onToggleTask && 'cursor-pointer hover:bg-surface-50'
+                    )}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={item.checked}
+                      disabled={!onToggleTask}
+                      onChange={() => onToggleTask?.(item.line)}
+                      className="mt-0.5 h-4 w-4 rounded border-surface-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span className={item.checked ? 'text-surface-400 line-through' : undefined}>
+                      <Inline text={item.text} />
+                    </span>
+                  </label>
+                )}
+              </li>
+            ))}
+          </Tag>
+        );
+      }
+      default:
+        return (
+          <p key={i} className="leading-relaxed">
+            <Inline text={block.text} />
+          </p>
+        );
+    }
+  });
+}
+
+/**
+ * Renders user-written Markdown (see utils/markdown). Output is built from
+ * React elements, never HTML strings, so tags in the text show up as text and
+ * nothing can add scripts or event handlers; link targets go through
+ * `safeUrl`, which drops `javascript:` and other non-web schemes.
+ *
+ * Pass `onToggleTask(line)` to make `- [ ]` items clickable.
+ */
+export default function Markdown({ source, onToggleTask, className }) {
+  return (
+    <div className={clsx('space-y-3 text-sm text-surface-700 break-words', className)}>
+      <Blocks blocks={parseMarkdown(source)} onToggleTask={onToggleTask} />
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+import { useState, useRef } from 'react';
+import { clsx } from 'clsx';
+import {
+  HiOutlineLink,
+  HiOutlineCode,
+  HiOutlineViewList,
+  HiOutlineCheckCircle,
+  HiOutlineTable,
+} from 'react-icons/hi';
+import Markdown from './Markdown';
+
+// Wrap the selection (or a placeholder) in `before`/`after`
+const wrap = (before, after, placeholder) => ({ kind: 'wrap', before, after, placeholder });
+// Put `prefix` at the start of every selected line; `n` is replaced by 1, 2, …
+const prefix = (text) => ({ kind: 'prefix', text });
+// Insert a block on its own lines
+const block = (text) => ({ kind: 'block', text });
+
+const tools = [
+  {
+    label: 'Bold',
+    hint: 'Ctrl+B',
+    content: <span className="font-bold">B</span>,
+    edit: wrap('**', '**', 'bold text'),
+  },
+  {
+    label: 'Italic',
+    hint: 'Ctrl+I',
+    content: <span className="font-serif italic">I</span>,
+    edit: wrap('_', '_', 'italic text'),
+  },
+  { label: 'Heading', content: <span className="font-semibold">H</span>, edit: prefix('## ') },
+  { label: 'Link', icon: HiOutlineLink, edit: wrap('[', '](https://)', 'link text') },
+  { label: 'Code', icon: HiOutlineCode, edit: wrap('`', '`', 'code') },
+  {
+    label: 'Code block',
+    content: <span className="font-mono text-[11px]">{'{ }'}</span>,
+    edit: wrap('```\n', '\n```', 'code'),
+  },
+  {
+    label: 'Quote',
+    content: <span className="font-serif text-base leading-none">&ldquo;</span>,
+    edit: prefix('> '),
+  },
+  { label: 'Bulleted list', icon: HiOutlineViewList, edit: prefix('- ') },
+  {
+    label: 'Numbered list',
+    content: <span className="text-[11px] font-semibold">1.</span>,
+    edit: prefix('n. '),
+  },
+  { label: 'Checklist', icon: HiOutlineCheckCircle, edit: prefix('- [ ] ') },
+  {
+    label: 'Table',
+    icon: HiOutlineTable,
+    edit: block('| Column | Column |\n| ------ | ------ |\n| Cell   | Cell   |'),
+  },
+];
+
+// The edited text, and what to select afterwards
+function applyEdit(value, start, end, edit) {
+  const selected = value.slice(start, end);
+
+  if (edit.kind === 'wrap') {
+    const inner = selected || edit.placeholder;
+    const next = value.slice(0, start) + edit.before + inner + edit.after + value.slice(end);
+    const from = start + edit.before.length;
+    return { next, from, to: from + inner.length };
+  }
+
+  if (edit.kind === 'block') {
+    const before = value.slice(0, start);
+    const lead = before && !before.endsWith('\n\n') ? (before.endsWith('\n') ? '\n' : '\n\n') : '';
+    const next = before + lead + edit.text + '\n' + value.slice(end);
+    const from = start + lead.length;
+    return { next, from, to: from + edit.text.length };
+  }
+
+  const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+  const lines = value.slice(lineStart, end).split('\n');
+  const replaced = lines
+    .map((line, i) => edit.text.replace(/^n\./, `${i + 1}.`) + line)
+    .join('\n');
+  const next = value.slice(0, lineStart) + replaced + value.slice(end);
+  return { next, from: lineStart, to: lineStart + replaced.length };
+}
+
+/**
+ * A textarea for Markdown with a formatting toolbar and a Preview tab that
+ * renders the text the way the task view will.
+ */
+export default function MarkdownEditor({ label, value, onChange, error, rows = 6, placeholder }) {
+  const [tab, setTab] = useState('write');
+  const textareaRef = useRef(null);
+
+  const run = (edit) => {
+    const el = textareaRef.current;
+    if (!el) return;
+    const { next, from, to } = applyEdit(value, el.selectionStart, el.selectionEnd, edit);
+    onChange(next);
+    // Put the cursor back once React has written the new value
+    requestAnimationFrame(() => {
+      el.focus();
+      el.setSelectionRange(from, to);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+    const key = e.key.toLowerCase();
+    const tool = key === 'b' ? tools[0] : key === 'i' ? tools[1] : null;
+    if (!tool) return;
+    e.preventDefault();
+    run(tool.edit);
+  };
+
+  const tabClass = (name) =>
+    clsx(
+      'px-3 py-1.5 text-xs font-medium rounded-md transition-colors',
+      tab === name ? 'bg-white text-surface-900 shadow-sm' : 'text-surface-500 hover:text-surface-700'
+    );
+
+  return (
+    <div className="space-y-1.5">
+      {label && <label className="block text-sm font-medium text-surface-700">{label}</label>}
+      <div
+        className={clsx(
+          'rounded-lg border bg-white focus-within:ring-2 focus-within:ring-primary-500/20 focus-within:border-primary-500',
+          error ? 'border-red-300' : 'border-surface-300'
+        )}
+      >
+        <div className="flex flex-wrap items-center justify-between gap-2 border-b border-surface-200 bg-surface-50 px-2 py-1.5 rounded-t-lg">
+          <div className="flex rounded-lg bg-surface-100 p-0.5" role="tablist">
+            {['write', 'preview'].map((name) => (
+              <button
+                key={name}
+                type="button"
+                role="tab"
+                aria-selected={tab === name}
+                onClick={() => setTab(name)}
+                className={tabClass(name)}
+              >
+                {name === 'write' ? 'Write' : 'Preview'}
+              </button>
+            ))}
+          </div>
+          {tab === 'write' && (
+            <div className="flex flex-wrap items-center" role="toolbar" aria-label="Formatting">
+              {tools.map((tool) => (
+                <button
+                  key={tool.label}
+                  type="button"
+                  onClick={() => run(tool.edit)}
+                  title={tool.hint ? `${tool.label} (${tool.hint})` : tool.label}
+                  aria-label={tool.label}
+                  className="flex h-7 w-7 items-center justify-center rounded-md text-sm text-surface-500 hover:bg-surface-200 hover:text-surface-800"
+                >
+                  {tool.icon ? <tool.icon className="h-4 w-4" /> : tool.content}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {tab === 'write' ? (
+          <textarea
+            ref={textareaRef}
+            rows={rows}
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder={placeholder}
+            className="block w-full resize-y border-0 bg-transparent px-3 py-2 text-sm text-surface-900 placeholder:text-surface-400 focus:ring-0 rounded-b-lg"
+          />
+        ) : (
+          <div className="min-h-[8rem] px-3 py-2">
+            {value.trim() ? (
+              <Markdown source={value} />
+            ) : (
+              <p className="text-sm text-surface-400">Nothing to preview</p>
+            )}
+          </div>
+        )}
+      </div>
+      {error && <p className="text-sm text-red-500">{error}</p>}
+      {tab === 'write' && (
+        <p className="text-xs text-surface-400">
+          Markdown supported: **bold**, `code`, lists, tables and links
+        </p>
+      )}
+    </div>
+  );
+}
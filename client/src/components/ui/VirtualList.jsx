@@ -0,0 +1,90 @@
+import { useState, useEffect, useRef } from 'react';
+import { clsx } from 'clsx';
+import { HiArrowUp } from 'react-icons/hi';
+
+/**
+ * Scrollable list that only mounts the rows in view, so thousands of items
+ * stay smooth. Rows share a fixed `rowHeight`. `onEndReached` fires as the
+ * user nears the bottom, and a "Jump to top" button appears once scrolled.
+ * Changing `activeIndex` scrolls just enough to bring that row into view.
+ */
+export default function VirtualList({
+  items,
+  rowHeight,
+  renderRow,
+  rowKey = (item) => item.id,
+  overscan = 6,
+  onEndReached,
+  activeIndex,
+  footer,
+  className,
+}) {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const observer = new ResizeObserver(() => setViewportHeight(el.clientHeight));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el || activeIndex == null || activeIndex < 0) return;
+    const top = activeIndex * rowHeight;
+    if (top < el.scrollTop) el.scrollTop = top;
+    else if (top + rowHeight > el.scrollTop + el.clientHeight) {
+      el.scrollTop = top + rowHeight - el.clientHeight;
+    }
+  }, [activeIndex, rowHeight]);
+
+  const totalHeight = items.length * rowHeight;
+
+  // Ask for more while the last screenful is in view, including when a
+  // short first page doesn't fill the viewport at all. This runs again
+  // whenever `onEndReached` changes, so pass none to stop asking.
+  const nearEnd = viewportHeight > 0 && scrollTop + viewportHeight >= totalHeight - rowHeight * 5;
+  useEffect(() => {
+    if (nearEnd) onEndReached?.();
+  }, [nearEnd, items.length, onEndReached]);
+
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const last = Math.min(items.length, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+  const visible = items.slice(first, last);
+
+  return (
+    <div className="relative">
+      <div
+        ref={containerRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        className={clsx('overflow-y-auto max-h-[70vh]', className)}
+      >
+        <div role="list" style={{ height: totalHeight, position: 'relative' }}>
+          {visible.map((item, i) => (
+            <div
+              key={rowKey(item)}
+              role="listitem"
+              style={{ position: 'absolute', top: (first + i) * rowHeight, height: rowHeight, left: 0, right: 0 }}
+            >
+              {renderRow(item, first + i)}
+            </div>
+          ))}
+        </div>
+        {footer}
+      </div>
+
+      {scrollTop > rowHeight * 10 && (
+        <button
+          onClick={() => containerRef.current?.scrollTo({ top: 0, behavior: 'smooth' })}
+          className="absolute bottom-4 right-4 flex items-center gap-1.5 rounded-full bg-surface-900/90 px-3 py-1.5 text-xs font-medium text-white shadow-elevated hover:bg-surface-900 animate-fade-in"
+        >
+          <HiArrowUp className="h-3.5 w-3.5" />
+          Jump to top
+        </button>
+      )}
+    </div>
+  );
+}
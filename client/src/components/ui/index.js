@@ -8,3 +8,8 @@ export { default as Avatar } from './Avatar';
 export { default as Pagination } from './Pagination';
 export { default as EmptyState } from './EmptyState';
 export { default as Spinner, PageLoader, FullPageLoader } from './Spinner';
+export { default as DataTable } from './DataTable';
+export { default as VirtualList } from './VirtualList';
+export { default as Markdown } from './Markdown';
+export { default as MarkdownEditor } from './MarkdownEditor';
+export { default as Lightbox } from './Lightbox';
@@ -18,8 +18,8 @@ export function AuthProvider({ children }) {
       if (token && savedUser) {
         try {
           // Verify token is still valid
-          await authService.verifyToken();
-          const parsed = JSON.parse(savedUser);
+          const res = await authService.verifyToken();
+          const parsed = { ...JSON.parse(savedUser), id: Number(res.data.userId) || null };
           setUser(parsed);
           setIsAuthenticated(true);
         } catch {
@@ -38,8 +38,10 @@ export function AuthProvider({ children }) {
     const response = await authService.login(credentials);
     const { token, email, name, role, expiresAt } = response.data;
 
-    const userData = { email, name, role, expiresAt };
     localStorage.setItem('token', token);
+    // The login response has no user id; the token carries it, so ask the API
+    const verified = await authService.verifyToken().catch(() => null);
+    const userData = { id: Number(verified?.data?.userId) || null, email, name, role, expiresAt };
     localStorage.setItem('user', JSON.stringify(userData));
 
     setUser(userData);
@@ -0,0 +1,62 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { taskService } from '../services/taskService';
+import { useAuth } from './AuthContext';
+import { useUndo } from './UndoContext';
+
+const MyWorkCountsContext = createContext(null);
+
+const noCounts = { assigned: null, created: null, overdue: null };
+
+/**
+ * Totals for the My Work tabs, shared by the sidebar and the page. They're
+ * fetched once per user and again after changes: undo/redo and sent deletes
+ * bump the history `version`, and pages call `refreshCounts` after their own.
+ * Each request asks for a single row and reads totalCount.
+ */
+export function MyWorkCountsProvider({ children }) {
+  const { user } = useAuth();
+  const { version } = useUndo();
+  const [counts, setCounts] = useState(noCounts);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const email = user?.email;
+
+  useEffect(() => {
+    if (!email) {
+      setCounts(noCounts);
+      return undefined;
+    }
+    let cancelled = false;
+    const params = { pageNumber: 1, pageSize: 1 };
+    Promise.all([
+      taskService.getMyAssigned(params),
+      taskService.getMyCreated(params),
+      taskService.getOverdue(params),
+    ])
+      .then(([assigned, created, overdue]) => {
+        if (cancelled) return;
+        setCounts({
+          assigned: assigned.data.totalCount,
+          created: created.data.totalCount,
+          overdue: overdue.data.totalCount,
+        });
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [email, version, refreshKey]);
+
+  const refreshCounts = useCallback(() => setRefreshKey((k) => k + 1), []);
+
+  const value = { counts, refreshCounts };
+
+  return <MyWorkCountsContext.Provider value={value}>{children}</MyWorkCountsContext.Provider>;
+}
+
+export function useMyWorkCounts() {
+  const context = useContext(MyWorkCountsContext);
+  if (!context) {
+    throw new Error('useMyWorkCounts must be used within a MyWorkCountsProvider');
+  }
+  return context;
+}
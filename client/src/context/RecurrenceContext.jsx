@@ -0,0 +1,110 @@
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { taskService } from '../services/taskService';
+import { createUserStore } from '../utils/storage';
+import { nextOccurrence } from '../utils/recurrence';
+import { priorityValue } from '../utils/tasks';
+
+const RecurrenceContext = createContext(null);
+
+const recurrenceStore = createUserStore('recurrence', { version: 1, fallback: {} });
+
+/**
+ * Repeat rules for tasks, kept in this browser by task id since the API has
+ * no recurrence. A rule is { frequency, interval, weekdays, monthDay, skipped };
+ * see utils/recurrence.
+ *
+ * Only the latest occurrence carries the rule: `scheduleNext(task)` creates
+ * the following one and moves the rule over to it.
+ */
+export function RecurrenceProvider({ children }) {
+  const { user } = useAuth();
+  const email = user?.email;
+  const [rules, setRules] = useState({});
+  // Read by scheduleNext, which may run before a re-render
+  const rulesRef = useRef(rules);
+
+  useEffect(() => {
+    rulesRef.current = recurrenceStore.load(email);
+    setRules(rulesRef.current);
+  }, [email]);
+
+  const update = useCallback(
+    (updater) => {
+      rulesRef.current = updater(rulesRef.current);
+      recurrenceStore.save(email, rulesRef.current);
+      setRules(rulesRef.current);
+    },
+    [email]
+  );
+
+  const getRule = useCallback((taskId) => rules[taskId] ?? null, [rules]);
+
+  const setRule = useCallback(
+    (taskId, rule) => {
+      update((prev) => {
+        const next = { ...prev };
+        if (rule) next[taskId] = rule;
+        else delete next[taskId];
+        return next;
+      });
+    },
+    [update]
+  );
+
+  /**
+   * Create the occurrence after `task` if it repeats. Resolves to null for
+   * one-off tasks, otherwise to { task, undo } where `undo` deletes the new
+   * occurrence and gives the rule back to `task`.
+   */
+  const scheduleNext = useCallback(
+    async (task) => {
+      const rule = rulesRef.current[task.id];
+      if (!rule) return null;
+      const dueDate = nextOccurrence(rule, { from: task.dueDate });
+      if (!dueDate) return null;
+
+      const res = await taskService.createTask({
+        title: task.title,
+        description: task.description,
+        priority: priorityValue(task.priority),
+        category: task.category,
+        dueDate,
+        assignedToUserId: task.assignedToUserId ?? null,
+      });
+      const created = res.data;
+      update((prev) => {
+        const next = { ...prev };
+        delete next[task.id];
+        // Skips on or before the new due date have been used up
+        const skipped = (rule.skipped || []).filter((d) => d > dueDate);
+        return { ...next, [created.id]: { ...rule, skipped } };
+      });
+
+      return {
+        task: created,
+        undo: async () => {
+          await taskService.deleteTask(created.id);
+          update((prev) => {
+            const next = { ...prev, [task.id]: rule };
+            delete next[created.id];
+            return next;
+          });
+        },
+      };
+    },
+    [update]
+  );
+
+  const value = { rules, getRule, setRule, scheduleNext };
+
+  return <RecurrenceContext.Provider value={value}>{children}</RecurrenceContext.Provider>;
+}
+
+export function useRecurrence() {
+  const context = useContext(RecurrenceContext);
+  if (!context) {
+    throw new Error('useRecurrence must be used within a RecurrenceProvider');
+  }
+  return context;
+}
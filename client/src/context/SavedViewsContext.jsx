@@ -0,0 +1,78 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { createUserStore } from '../utils/storage';
+
+const SavedViewsContext = createContext(null);
+
+const savedViewsStore = createUserStore('saved-views', { version: 1, fallback: [] });
+
+// A saved view is { id, name, query } where query is the /tasks search string
+export function SavedViewsProvider({ children }) {
+  const { user } = useAuth();
+  const email = user?.email;
+  const [views, setViews] = useState([]);
+
+  useEffect(() => {
+    setViews(savedViewsStore.load(email));
+  }, [email]);
+
+  const update = useCallback(
+    (updater) => {
+      setViews((prev) => {
+        const next = updater(prev);
+        savedViewsStore.save(email, next);
+        return next;
+      });
+    },
+    [email]
+  );
+
+  const saveView = useCallback(
+    (name, query) => {
+      const view = { id: Date.now().toString(36), name: name.trim(), query };
+      update((prev) => [...prev, view]);
+      return view;
+    },
+    [update]
+  );
+
+  const renameView = useCallback(
+    (id, name) => {
+      update((prev) => prev.map((v) => (v.id === id ? { ...v, name: name.trim() } : v)));
+    },
+    [update]
+  );
+
+  const deleteView = useCallback(
+    (id) => {
+      update((prev) => prev.filter((v) => v.id !== id));
+    },
+    [update]
+  );
+
+  const moveView = useCallback(
+    (id, direction) => {
+      update((prev) => {
+        const index = prev.findIndex((v) => v.id === id);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= prev.length) return prev;
+        const next = [...prev];
+        [next[index], next[target]] = [next[target], next[index]];
+        return next;
+      });
+    },
+    [update]
+  );
+
+  const value = { views, saveView, renameView, deleteView, moveView };
+
+  return <SavedViewsContext.Provider value={value}>{children}</SavedViewsContext.Provider>;
+}
+
+export function useSavedViews() {
+  const context = useContext(SavedViewsContext);
+  if (!context) {
+    throw new Error('useSavedViews must be used within a SavedViewsProvider');
+  }
+  return context;
+}
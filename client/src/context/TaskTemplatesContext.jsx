@@ -0,0 +1,99 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { createUserStore } from '../utils/storage';
+
+const TaskTemplatesContext = createContext(null);
+
+// Offered until the user saves a library of their own
+const starterTemplates = [
+  {
+    id: 'starter-bug-triage',
+    name: 'Bug triage',
+    title: 'Triage: ',
+    description:
+      'Reported {{date}} by {{user}}\n\nSteps to reproduce:\n1. \n\nExpected:\n\nActual:\n',
+    priority: 2,
+    category: 'Bug',
+    dueIn: '+2 days',
+    assignedToUserId: null,
+  },
+  {
+    id: 'starter-release-checklist',
+    name: 'Release checklist',
+    title: 'Release checklist – {{date}}',
+    description:
+      '- [ ] Changelog updated\n- [ ] Version bumped\n- [ ] Tests passing\n- [ ] Deployed to staging\n- [ ] Smoke-tested in production\n\nOwner: {{user}}',
+    priority: 1,
+    category: 'Release',
+    dueIn: '+7 days',
+    assignedToUserId: null,
+  },
+];
+
+const templatesStore = createUserStore('task-templates', {
+  version: 1,
+  fallback: starterTemplates,
+});
+
+/**
+ * A template is { id, name, title, description, priority, category, dueIn,
+ * assignedToUserId }. Text fields may use {{date}} / {{user}}, and dueIn is
+ * relative ("+3 days"); see utils/templates.
+ */
+export function TaskTemplatesProvider({ children }) {
+  const { user } = useAuth();
+  const email = user?.email;
+  const [templates, setTemplates] = useState([]);
+
+  useEffect(() => {
+    setTemplates(templatesStore.load(email));
+  }, [email]);
+
+  const update = useCallback(
+    (updater) => {
+      setTemplates((prev) => {
+        const next = updater(prev);
+        templatesStore.save(email, next);
+        return next;
+      });
+    },
+    [email]
+  );
+
+  const saveTemplate = useCallback(
+    (fields) => {
+      const template = { ...fields, id: Date.now().toString(36), name: fields.name.trim() };
+      update((prev) => [...prev, template]);
+      return template;
+    },
+    [update]
+  );
+
+  const updateTemplate = useCallback(
+    (id, changes) => {
+      update((prev) => prev.map((t) => (t.id === id ? { ...t, ...changes, id } : t)));
+    },
+    [update]
+  );
+
+  const deleteTemplate = useCallback(
+    (id) => {
+      update((prev) => prev.filter((t) => t.id !== id));
+    },
+    [update]
+  );
+
+  const value = { templates, saveTemplate, updateTemplate, deleteTemplate };
+
+  return (
+    <TaskTemplatesContext.Provider value={value}>{children}</TaskTemplatesContext.Provider>
+  );
+}
+
+export function useTaskTemplates() {
+  const context = useContext(TaskTemplatesContext);
+  if (!context) {
+    throw new Error('useTaskTemplates must be used within a TaskTemplatesProvider');
+  }
+  return context;
+}
@@ -0,0 +1,180 @@
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from './AuthContext';
+import { taskService } from '../services/taskService';
+import { isEditableTarget } from '../utils/keyboard';
+
+const UndoContext = createContext(null);
+
+const HISTORY_LIMIT = 20;
+const DELETE_DELAY = 5000;
+
+/**
+ * Undo/redo history for task mutations.
+ *
+ * `record({ label, undo, redo })` is called after a change has gone through;
+ * `undo` and `redo` re-issue requests to reverse or repeat it. Deletes can't
+ * be reversed once sent, so `deferDelete({ label, ids, commit })` holds them
+ * for a few seconds first, and undoing just cancels them. `version` bumps
+ * whenever history changes server data, so pages know to reload. Deletes
+ * still waiting when the page is closed are sent as the page goes.
+ */
+export function UndoProvider({ children }) {
+  const { user } = useAuth();
+  const undoStack = useRef([]);
+  const redoStack = useRef([]);
+  const busy = useRef(false);
+  const [pendingDeleteIds, setPendingDeleteIds] = useState([]);
+  const [version, setVersion] = useState(0);
+
+  const bump = () => setVersion((v) => v + 1);
+
+  const push = (entry) => {
+    undoStack.current = [...undoStack.current, entry].slice(-HISTORY_LIMIT);
+    redoStack.current = [];
+  };
+
+  const run = useCallback(async (entry, direction) => {
+    if (busy.current) return;
+    busy.current = true;
+    const from = direction === 'undo' ? undoStack : redoStack;
+    const to = direction === 'undo' ? redoStack : undoStack;
+    from.current = from.current.filter((e) => e !== entry);
+    try {
+      await entry[direction]();
+      // Cancelled deletes have nothing to redo
+      if (entry.redo) to.current = [...to.current, entry];
+      toast.success(`${direction === 'undo' ? 'Undone' : 'Redone'}: ${entry.label}`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || `Couldn't ${direction} “${entry.label}”`);
+    } finally {
+      busy.current = false;
+      bump();
+    }
+  }, []);
+
+  const showToast = useCallback(
+    (entry, options) =>
+      toast.success(
+        (t) => (
+          <span className="flex items-center gap-3">
+            {entry.label}
+            <button
+              onClick={() => {
+                toast.dismiss(t.id);
+                if (undoStack.current.includes(entry)) run(entry, 'undo');
+              }}
+              className="font-semibold text-primary-600 hover:text-primary-700"
+            >
+              Undo
+            </button>
+          </span>
+        ),
+        options
+      ),
+    [run]
+  );
+
+  const record = useCallback(
+    (entry, { notify = true } = {}) => {
+      push(entry);
+      if (notify) showToast(entry);
+    },
+    [showToast]
+  );
+
+  const deferDelete = useCallback(
+    ({ label, ids, commit }) => {
+      setPendingDeleteIds((prev) => [...prev, ...ids]);
+      const release = () => setPendingDeleteIds((prev) => prev.filter((id) => !ids.includes(id)));
+
+      const entry = {
+        label,
+        ids,
+        undo: async () => {
+          clearTimeout(entry.timer);
+          release();
+        },
+      };
+      entry.flush = async () => {
+        clearTimeout(entry.timer);
+        undoStack.current = undoStack.current.filter((e) => e !== entry);
+        try {
+          await commit();
+        } catch (err) {
+          toast.error(err.response?.data?.message || `Couldn't complete “${label}”`);
+        } finally {
+          release();
+          bump();
+        }
+      };
+      entry.timer = setTimeout(entry.flush, DELETE_DELAY);
+
+      push(entry);
+      showToast(entry, { duration: DELETE_DELAY });
+    },
+    [showToast]
+  );
+
+  // History belongs to one session: a different user (or signing out, when
+  // the token is already gone) cancels waiting deletes rather than sending them
+  const email = user?.email;
+  useEffect(() => {
+    return () => {
+      undoStack.current.forEach((entry) => clearTimeout(entry.timer));
+      undoStack.current = [];
+      redoStack.current = [];
+      setPendingDeleteIds([]);
+    };
+  }, [email]);
+
+  // Closing or leaving the tab sends waiting deletes in one keepalive
+  // request; `pagehide` also fires where `beforeunload` doesn't (mobile)
+  useEffect(() => {
+    const flushAll = () => {
+      const pending = undoStack.current.filter((e) => e.flush);
+      if (pending.length === 0) return;
+      pending.forEach((e) => clearTimeout(e.timer));
+      undoStack.current = undoStack.current.filter((e) => !e.flush);
+      taskService.bulkDeleteOnUnload(pending.flatMap((e) => e.ids)).catch(() => {});
+      // Gone by the time a page restored from the back/forward cache shows again
+      setPendingDeleteIds([]);
+    };
+    window.addEventListener('pagehide', flushAll);
+    return () => window.removeEventListener('pagehide', flushAll);
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      const isRedo = (key === 'z' && e.shiftKey) || key === 'y';
+      if (key !== 'z' && !isRedo) return;
+      // Text fields keep their own undo
+      if (isEditableTarget(document.activeElement)) return;
+      e.preventDefault();
+
+      const stack = isRedo ? redoStack.current : undoStack.current;
+      const entry = stack[stack.length - 1];
+      if (!entry) {
+        toast(isRedo ? 'Nothing to redo' : 'Nothing to undo');
+        return;
+      }
+      run(entry, isRedo ? 'redo' : 'undo');
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [run]);
+
+  const value = { record, deferDelete, pendingDeleteIds, version };
+
+  return <UndoContext.Provider value={value}>{children}</UndoContext.Provider>;
+}
+
+export function useUndo() {
+  const context = useContext(UndoContext);
+  if (!context) {
+    throw new Error('useUndo must be used within an UndoProvider');
+  }
+  return context;
+}
@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+import { userService } from '../services/userService';
+import { useAuth } from '../context/AuthContext';
+
+// GET /user is admin-only, so regular users just get themselves
+export function useAssignableUsers() {
+  const { user, isAdmin } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(isAdmin);
+
+  useEffect(() => {
+    if (!isAdmin) {
+      setUsers(user?.id ? [{ id: user.id, name: user.name, email: user.email }] : []);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    userService
+      .getUsers({ pageSize: 100 })
+      .then((res) => {
+        if (!cancelled) setUsers(res.data.users || []);
+      })
+      .catch(() => {
+        if (!cancelled) setUsers([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isAdmin, user?.id, user?.name, user?.email]);
+
+  return { users, loading, canListUsers: isAdmin };
+}
@@ -0,0 +1,85 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { validateImageFile, compressImage } from '../utils/images';
+
+let nextId = 0;
+
+function releasePreview(previews, id) {
+  const url = previews.get(id);
+  if (url) URL.revokeObjectURL(url);
+  previews.delete(id);
+}
+
+/**
+ * Images picked for upload. Each one is checked and compressed as it's added
+ * (see utils/images) and moves from 'processing' to 'ready' or 'error';
+ * `file` is the compressed File once it's ready.
+ *
+ * The API keeps one image per task, so `primary` — the first attachment that
+ * hasn't failed — is the one that gets uploaded; `makePrimary` moves another
+ * to the front.
+ */
+export function useAttachments() {
+  const [attachments, setAttachments] = useState([]);
+  // Preview object URLs, released when their attachment goes away
+  const previews = useRef(new Map());
+
+  useEffect(() => {
+    const urls = previews.current;
+    return () => urls.forEach((url) => URL.revokeObjectURL(url));
+  }, []);
+
+  const add = useCallback((files) => {
+    const added = Array.from(files).map((source) => {
+      const id = `attachment-${++nextId}`;
+      const error = validateImageFile(source);
+      let preview = null;
+      if (!error) {
+        preview = URL.createObjectURL(source);
+        previews.current.set(id, preview);
+      }
+      return {
+        id,
+        source,
+        name: source.name,
+        originalSize: source.size,
+        preview,
+        file: null,
+        status: error ? 'error' : 'processing',
+        error,
+      };
+    });
+    setAttachments((prev) => [...prev, ...added]);
+
+    // Results for attachments removed in the meantime just don't match anything
+    const update = (id, changes) =>
+      setAttachments((prev) => prev.map((a) => (a.id === id ? { ...a, ...changes } : a)));
+
+    added
+      .filter((a) => a.status === 'processing')
+      .forEach((a) => {
+        compressImage(a.source)
+          .then((file) => update(a.id, { file, status: 'ready' }))
+          .catch((err) => update(a.id, { status: 'error', error: err.message }));
+      });
+  }, []);
+
+  const remove = useCallback((id) => {
+    releasePreview(previews.current, id);
+    setAttachments((prev) => prev.filter((a) => a.id !== id));
+  }, []);
+
+  const makePrimary = useCallback((id) => {
+    setAttachments((prev) => [...prev.filter((a) => a.id === id), ...prev.filter((a) => a.id !== id)]);
+  }, []);
+
+  const reset = useCallback(() => {
+    previews.current.forEach((url) => URL.revokeObjectURL(url));
+    previews.current.clear();
+    setAttachments([]);
+  }, []);
+
+  const primary = attachments.find((a) => a.status !== 'error') || null;
+  const processing = attachments.some((a) => a.status === 'processing');
+
+  return { attachments, primary, processing, add, remove, makePrimary, reset };
+}
@@ -0,0 +1,36 @@
+import { useState } from 'react';
+
+// Only file drags count; card and row drags elsewhere carry other types
+export const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+/**
+ * Drop handlers for files on one element. `onFiles(files)` gets whatever is
+ * dropped and `setOver(bool)` follows files being held over it. For lists of
+ * targets, where a hook per item won't do.
+ */
+export function fileDropHandlers(onFiles, setOver) {
+  return {
+    onDragOver: (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      setOver(true);
+    },
+    onDragLeave: (e) => {
+      // Moving onto a child fires dragleave on the parent too
+      if (!e.currentTarget.contains(e.relatedTarget)) setOver(false);
+    },
+    onDrop: (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      setOver(false);
+      onFiles(Array.from(e.dataTransfer.files));
+    },
+  };
+}
+
+// Spread `dropProps` on the target; `dragging` is true while files are over it
+export function useFileDrop(onFiles) {
+  const [dragging, setDragging] = useState(false);
+  return { dragging, dropProps: fileDropHandlers(onFiles, setDragging) };
+}
@@ -0,0 +1,120 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { cleanParams } from '../utils/params';
+
+/**
+ * The endless-scroll sibling of usePagination: pages are appended to `items`
+ * as `loadMore` is called, and start over whenever `filters` or `pageSize`
+ * change. `itemsKey` names the list in the paged response (e.g. 'tasks').
+ */
+export function useInfiniteScroll(fetchFn, filters, { pageSize = 25, itemsKey } = {}) {
+  const [items, setItems] = useState([]);
+  const [loadedPages, setLoadedPages] = useState(0);
+  const [totalCount, setTotalCount] = useState(0);
+  const [totalPages, setTotalPages] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  // Responses for an older filter set are dropped
+  const generationRef = useRef(0);
+
+  const filtersKey = JSON.stringify(filters);
+
+  const fetchPage = useCallback(
+    (pageNumber) => fetchFn(cleanParams({ ...JSON.parse(filtersKey), pageNumber, pageSize })),
+    [fetchFn, filtersKey, pageSize]
+  );
+
+  useEffect(() => {
+    const generation = ++generationRef.current;
+    setItems([]);
+    setLoadedPages(0);
+    setLoading(true);
+    setError(null);
+
+    fetchPage(1)
+      .then((res) => {
+        if (generation !== generationRef.current) return;
+        setItems(res.data[itemsKey] || []);
+        setLoadedPages(1);
+        setTotalCount(res.data.totalCount);
+        setTotalPages(res.data.totalPages);
+      })
+      .catch((err) => {
+        if (generation !== generationRef.current) return;
+        setError(err.response?.data?.message || 'Failed to fetch data');
+      })
+      .finally(() => {
+        if (generation === generationRef.current) setLoading(false);
+      });
+  }, [fetchPage, itemsKey]);
+
+  const hasMore = loadedPages > 0 && loadedPages < totalPages;
+
+  const loadMore = useCallback(async () => {
+    if (loading || loadingMore || !hasMore) return;
+    const generation = generationRef.current;
+    setLoadingMore(true);
+    setError(null);
+    try {
+      const res = await fetchPage(loadedPages + 1);
+      if (generation !== generationRef.current) return;
+      setItems((prev) => {
+        // Rows created since the first page can push earlier rows onto later pages
+        const seen = new Set(prev.map((item) => item.id));
+        return [...prev, ...(res.data[itemsKey] || []).filter((item) => !seen.has(item.id))];
+      });
+      setLoadedPages((p) => p + 1);
+      setTotalCount(res.data.totalCount);
+      setTotalPages(res.data.totalPages);
+    } catch (err) {
+      if (generation === generationRef.current) {
+        setError(err.response?.data?.message || 'Failed to fetch data');
+      }
+    } finally {
+      if (generation === generationRef.current) setLoadingMore(false);
+    }
+  }, [loading, loadingMore, hasMore, fetchPage, loadedPages, itemsKey]);
+
+  // Reload everything loaded so far in place, keeping the scroll position
+  const refresh = useCallback(async () => {
+    const generation = ++generationRef.current;
+    const pages = Math.max(1, loadedPages);
+    try {
+      const responses = await Promise.all(
+        Array.from({ length: pages }, (_, i) => fetchPage(i + 1))
+      );
+      if (generation !== generationRef.current) return;
+      const seen = new Set();
+      const next = responses
+        .flatMap((res) => res.data[itemsKey] || [])
+        .filter((item) => !seen.has(item.id) && seen.add(item.id));
+      const last = responses[responses.length - 1].data;
+      setItems(next);
+      setLoadedPages(pages);
+      setTotalCount(last.totalCount);
+      setTotalPages(last.totalPages);
+      setError(null);
+    } catch (err) {
+      if (generation === generationRef.current) {
+        setError(err.response?.data?.message || 'Failed to fetch data');
+      }
+    } finally {
+      // A refresh can supersede an in-flight load, so it clears both spinners
+      if (generation === generationRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    }
+  }, [loadedPages, fetchPage, itemsKey]);
+
+  return {
+    items,
+    totalCount,
+    loading,
+    loadingMore,
+    error,
+    hasMore,
+    loadMore,
+    refresh,
+  };
+}
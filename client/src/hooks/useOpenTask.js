@@ -0,0 +1,21 @@
+import { useCallback } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+
+const modalParams = ['create', 'view', 'edit', 'delete'];
+
+// Open a task's detail modal from anywhere. On the task list the current
+// filters are kept; elsewhere closing the modal goes back to where you were.
+export function useOpenTask() {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  return useCallback(
+    (task) => {
+      const params = new URLSearchParams(location.pathname === '/tasks' ? location.search : '');
+      modalParams.forEach((key) => params.delete(key));
+      params.set('view', String(task.id));
+      navigate(`/tasks?${params}`, { state: { modal: true } });
+    },
+    [navigate, location.pathname, location.search]
+  );
+}
@@ -1,30 +1,57 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { cleanParams, isEmptyParam } from '../utils/params';
 
-export function usePagination(fetchFn, initialParams = {}) {
+/**
+ * Paged fetching with filters.
+ *
+ * Pass `options.syncKeys` (a list of filter names) to keep the page and those
+ * filters in the URL query string instead of component state, so a refresh,
+ * shared link or Back press restores the same view.
+ */
+export function usePagination(fetchFn, initialParams = {}, options = {}) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [page, setPage] = useState(1);
-  const [pageSize] = useState(initialParams.pageSize || 10);
-  const [filters, setFilters] = useState(initialParams);
+  const [statePage, setStatePage] = useState(1);
+  const [pageSize, setPageSizeState] = useState(initialParams.pageSize || 10);
+  const [stateFilters, setStateFilters] = useState(initialParams);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const initialRef = useRef(initialParams);
   const abortRef = useRef(null);
 
+  const syncKeys = options.syncKeys;
+  const syncUrl = Array.isArray(syncKeys);
+  const syncKeysId = syncUrl ? syncKeys.join(',') : '';
+
+  // Only re-derive filters when one of the synced params actually changes,
+  // so unrelated params (e.g. an open modal) don't trigger a refetch.
+  const urlFiltersKey = syncUrl
+    ? JSON.stringify(syncKeysId.split(',').map((key) => searchParams.get(key)))
+    : '';
+  const urlFilters = useMemo(() => {
+    if (!syncUrl) return null;
+    const values = JSON.parse(urlFiltersKey);
+    const result = { ...initialRef.current };
+    syncKeysId.split(',').forEach((key, i) => {
+      if (values[i] !== null) result[key] = values[i];
+    });
+    return result;
+  }, [syncUrl, syncKeysId, urlFiltersKey]);
+
+  const page = syncUrl ? Math.max(1, Number(searchParams.get('page')) || 1) : statePage;
+  const filters = syncUrl ? urlFilters : stateFilters;
+
   const fetchData = useCallback(
     async (currentPage, currentFilters) => {
       setLoading(true);
       setError(null);
 
       try {
-        const params = {
+        const params = cleanParams({
           ...currentFilters,
           pageNumber: currentPage,
           pageSize,
-        };
-        // Remove empty values
-        Object.keys(params).forEach((key) => {
-          if (params[key] === '' || params[key] === null || params[key] === undefined) {
-            delete params[key];
-          }
         });
         const response = await fetchFn(params);
         setData(response.data);
@@ -47,14 +74,55 @@ export function usePagination(fetchFn, initialParams = {}) {
     fetchData(page, filters);
   }, [fetchData, page, filters]);
 
-  const goToPage = useCallback((p) => setPage(p), []);
-  const nextPage = useCallback(() => setPage((prev) => prev + 1), []);
-  const prevPage = useCallback(() => setPage((prev) => Math.max(1, prev - 1)), []);
+  const setPage = useCallback(
+    (updater) => {
+      if (!syncUrl) {
+        setStatePage(updater);
+        return;
+      }
+      setSearchParams((prev) => {
+        const next = new URLSearchParams(prev);
+        const current = Math.max(1, Number(prev.get('page')) || 1);
+        const p = typeof updater === 'function' ? updater(current) : updater;
+        if (p <= 1) next.delete('page');
+        else next.set('page', String(p));
+        return next;
+      });
+    },
+    [syncUrl, setSearchParams]
+  );
+
+  const goToPage = useCallback((p) => setPage(p), [setPage]);
+  const nextPage = useCallback(() => setPage((prev) => prev + 1), [setPage]);
+  const prevPage = useCallback(() => setPage((prev) => Math.max(1, prev - 1)), [setPage]);
 
-  const updateFilters = useCallback((newFilters) => {
-    setPage(1);
-    setFilters((prev) => ({ ...prev, ...newFilters }));
-  }, []);
+  const setPageSize = useCallback(
+    (size) => {
+      setPageSizeState(size);
+      setPage(1);
+    },
+    [setPage]
+  );
+
+  const updateFilters = useCallback(
+    (newFilters) => {
+      if (!syncUrl) {
+        setStatePage(1);
+        setStateFilters((prev) => ({ ...prev, ...newFilters }));
+        return;
+      }
+      setSearchParams((prev) => {
+        const next = new URLSearchParams(prev);
+        Object.entries(newFilters).forEach(([key, value]) => {
+          if (isEmptyParam(value)) next.delete(key);
+          else next.set(key, String(value));
+        });
+        next.delete('page');
+        return next;
+      });
+    },
+    [syncUrl, setSearchParams]
+  );
 
   return {
     data,
@@ -66,6 +134,7 @@ export function usePagination(fetchFn, initialParams = {}) {
     setPage: goToPage,
     nextPage,
     prevPage,
+    setPageSize,
     updateFilters,
     refresh,
   };
@@ -0,0 +1,34 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { createUserStore } from '../utils/storage';
+
+// A small bag of per-user settings for one screen, merged over `defaults`
+export function usePreferences(name, defaults) {
+  const { user } = useAuth();
+  const email = user?.email;
+  const defaultsRef = useRef(defaults);
+  const store = useMemo(
+    () => createUserStore(`prefs:${name}`, { version: 1, fallback: {} }),
+    [name]
+  );
+  const [saved, setSaved] = useState(() => store.load(email));
+
+  useEffect(() => {
+    setSaved(store.load(email));
+  }, [store, email]);
+
+  const prefs = useMemo(() => ({ ...defaultsRef.current, ...saved }), [saved]);
+
+  const updatePrefs = useCallback(
+    (changes) => {
+      setSaved((prev) => {
+        const next = { ...prev, ...changes };
+        store.save(email, next);
+        return next;
+      });
+    },
+    [store, email]
+  );
+
+  return [prefs, updatePrefs];
+}
@@ -0,0 +1,80 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { isEditableTarget } from '../utils/keyboard';
+
+/**
+ * Keyboard focus and range selection over a list of row ids, in the order
+ * they are shown: j/k move, Shift+j/k extend the selection, x toggles the
+ * focused row. Any other key goes to `onAction(key, id)`, which returns true
+ * when it used it. Shortcuts are off while typing or when `enabled` is false.
+ *
+ * `toggle(id, shiftKey)` is for checkbox clicks, so Shift+click selects the
+ * range from the last row toggled.
+ */
+export function useRowNavigation({ ids, selectedIds, onSelectionChange, onAction, enabled = true }) {
+  const [activeId, setActiveId] = useState(null);
+  const anchor = useRef(null);
+
+  const selectRange = useCallback(
+    (fromId, toId) => {
+      const a = ids.indexOf(fromId);
+      const b = ids.indexOf(toId);
+      if (a === -1 || b === -1) return;
+      const range = ids.slice(Math.min(a, b), Math.max(a, b) + 1);
+      onSelectionChange([...new Set([...selectedIds, ...range])]);
+    },
+    [ids, selectedIds, onSelectionChange]
+  );
+
+  const toggle = useCallback(
+    (id, shiftKey = false) => {
+      if (shiftKey && ids.includes(anchor.current)) {
+        selectRange(anchor.current, id);
+      } else {
+        onSelectionChange(
+          selectedIds.includes(id) ? selectedIds.filter((s) => s !== id) : [...selectedIds, id]
+        );
+      }
+      anchor.current = id;
+    },
+    [ids, selectedIds, onSelectionChange, selectRange]
+  );
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isEditableTarget(e.target)) return;
+      const key = e.key;
+
+      if (key === 'j' || key === 'J' || key === 'k' || key === 'K') {
+        if (ids.length === 0) return;
+        e.preventDefault();
+        const current = ids.indexOf(activeId);
+        const step = key.toLowerCase() === 'j' ? 1 : -1;
+        const next = ids[current === -1 ? 0 : Math.min(ids.length - 1, Math.max(0, current + step))];
+        if (e.shiftKey) {
+          if (!ids.includes(anchor.current)) anchor.current = current === -1 ? next : activeId;
+          selectRange(anchor.current, next);
+        }
+        setActiveId(next);
+        return;
+      }
+
+      if (!ids.includes(activeId)) return;
+      // Enter on a focused button or link already does its own thing
+      if (key === 'Enter' && e.target.closest?.('button, a')) return;
+
+      if (key === 'x') {
+        e.preventDefault();
+        toggle(activeId);
+      } else if (onAction(key, activeId)) {
+        e.preventDefault();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [enabled, ids, activeId, selectRange, toggle, onAction]);
+
+  return { activeId: ids.includes(activeId) ? activeId : null, setActiveId, toggle };
+}
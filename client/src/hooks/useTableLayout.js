@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { createUserStore } from '../utils/storage';
+
+const defaultLayout = { order: [], hidden: [], widths: {}, density: 'comfortable' };
+
+// Column order/visibility/widths and density, saved per table per user
+export function useTableLayout(tableId, columns) {
+  const { user } = useAuth();
+  const email = user?.email;
+  const store = useMemo(
+    () => createUserStore(`table:${tableId}`, { version: 1, fallback: defaultLayout }),
+    [tableId]
+  );
+  const [saved, setSaved] = useState(() => store.load(email));
+
+  useEffect(() => {
+    setSaved(store.load(email));
+  }, [store, email]);
+
+  const columnIds = columns.map((c) => c.id).join(',');
+
+  // Drop columns that no longer exist and append new ones at the end
+  const layout = useMemo(() => {
+    const ids = columnIds.split(',');
+    const order = [
+      ...saved.order.filter((id) => ids.includes(id)),
+      ...ids.filter((id) => !saved.order.includes(id)),
+    ];
+    return { ...defaultLayout, ...saved, order };
+  }, [saved, columnIds]);
+
+  const updateLayout = useCallback(
+    (changes) => {
+      setSaved((prev) => {
+        const next = { ...prev, ...(typeof changes === 'function' ? changes(prev) : changes) };
+        store.save(email, next);
+        return next;
+      });
+    },
+    [store, email]
+  );
+
+  const resetLayout = useCallback(() => {
+    store.save(email, defaultLayout);
+    setSaved(defaultLayout);
+  }, [store, email]);
+
+  return { layout, updateLayout, resetLayout };
+}
@@ -0,0 +1,359 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { clsx } from 'clsx';
+import {
+  HiOutlineSearch,
+  HiOutlineHome,
+  HiOutlineBriefcase,
+  HiOutlineClipboardList,
+  HiOutlineUsers,
+  HiOutlinePlus,
+  HiOutlineFilter,
+  HiOutlineViewBoards,
+  HiOutlineCalendar,
+  HiOutlineChartBar,
+  HiOutlineBookmark,
+  HiOutlineLogout,
+  HiOutlineDocumentText,
+  HiOutlinePhotograph,
+} from 'react-icons/hi';
+import { useAuth } from '../context/AuthContext';
+import { useSavedViews } from '../context/SavedViewsContext';
+import { useOpenTask } from '../hooks/useOpenTask';
+import { taskService } from '../services/taskService';
+import { fuzzyFilter } from '../utils/fuzzy';
+import { TASK_STATUSES, TASK_PRIORITIES, formatStatus } from '../utils/tasks';
+import { Badge, Spinner } from '../components/ui';
+
+const TASK_RESULT_LIMIT = 8;
+
+/**
+ * Ctrl/Cmd+K palette: pages, task actions and task search in one list.
+ * Admin-only commands are left out for everyone else.
+ */
+export default function CommandPalette() {
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setOpen((o) => !o);
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  if (!open) return null;
+  return <PaletteDialog onClose={() => setOpen(false)} />;
+}
+
+function PaletteDialog({ onClose }) {
+  const navigate = useNavigate();
+  const openTask = useOpenTask();
+  const { user, isAdmin, logout } = useAuth();
+  const { views } = useSavedViews();
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(0);
+  const [tasks, setTasks] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const listRef = useRef(null);
+
+  const commands = useMemo(() => {
+    const go = (to) => () => navigate(to);
+    const list = [
+      {
+        id: 'nav-dashboard',
+        group: 'Pages',
+        label: 'Dashboard',
+        icon: HiOutlineHome,
+        run: go('/dashboard'),
+      },
+      {
+        id: 'nav-my-work',
+        group: 'Pages',
+        label: 'My Work',
+        icon: HiOutlineBriefcase,
+        run: go('/my-work'),
+      },
+      {
+        id: 'nav-tasks',
+        group: 'Pages',
+        label: 'Tasks',
+        icon: HiOutlineClipboardList,
+        run: go('/tasks'),
+      },
+      {
+        id: 'nav-gallery',
+        group: 'Pages',
+        label: 'Gallery',
+        keywords: 'images attachments photos screenshots',
+        icon: HiOutlinePhotograph,
+        run: go('/gallery'),
+      },
+      {
+        id: 'nav-users',
+        group: 'Pages',
+        label: 'Users',
+        keywords: 'people accounts admin',
+        icon: HiOutlineUsers,
+        adminOnly: true,
+        run: go('/users'),
+      },
+      {
+        id: 'new-task',
+        group: 'Actions',
+        label: 'New task',
+        keywords: 'create add',
+        icon: HiOutlinePlus,
+        run: go('/tasks?create=true'),
+      },
+      {
+        id: 'filter-mine',
+        group: 'Actions',
+        label: 'Show tasks assigned to me',
+        keywords: 'filter mine',
+        icon: HiOutlineFilter,
+        hidden: !user?.id,
+        run: go(`/tasks?assignedToUserId=${user?.id}`),
+      },
+      {
+        id: 'filter-overdue',
+        group: 'Actions',
+        label: 'Show overdue tasks',
+        keywords: 'filter late',
+        icon: HiOutlineFilter,
+        run: go('/tasks?isOverdue=true'),
+      },
+      {
+        id: 'filter-week',
+        group: 'Actions',
+        label: 'Show tasks due this week',
+        keywords: 'filter due',
+        icon: HiOutlineFilter,
+        run: go('/tasks?duePreset=week'),
+      },
+      ...TASK_STATUSES.map((s) => ({
+        id: `filter-status-${s.value}`,
+        group: 'Actions',
+        label: `Show ${s.label.toLowerCase()} tasks`,
+        keywords: 'filter status',
+        icon: HiOutlineFilter,
+        run: go(`/tasks?status=${s.value}`),
+      })),
+      ...TASK_PRIORITIES.map((p) => ({
+        id: `filter-priority-${p.value}`,
+        group: 'Actions',
+        label: `Show ${p.label.toLowerCase()} priority tasks`,
+        keywords: 'filter priority',
+        icon: HiOutlineFilter,
+        run: go(`/tasks?priority=${p.value}`),
+      })),
+      {
+        id: 'filter-clear',
+        group: 'Actions',
+        label: 'Clear task filters',
+        keywords: 'reset all tasks',
+        icon: HiOutlineFilter,
+        run: go('/tasks'),
+      },
+      {
+        id: 'mode-board',
+        group: 'Actions',
+        label: 'Open board view',
+        keywords: 'kanban',
+        icon: HiOutlineViewBoards,
+        run: go('/tasks?mode=board'),
+      },
+      {
+        id: 'mode-calendar',
+        group: 'Actions',
+        label: 'Open calendar view',
+        icon: HiOutlineCalendar,
+        run: go('/tasks?mode=calendar'),
+      },
+      {
+        id: 'mode-timeline',
+        group: 'Actions',
+        label: 'Open timeline view',
+        keywords: 'gantt',
+        icon: HiOutlineChartBar,
+        run: go('/tasks?mode=timeline'),
+      },
+      ...views.map((v) => ({
+        id: `view-${v.id}`,
+        group: 'Saved views',
+        label: v.name,
+        keywords: 'saved view',
+        icon: HiOutlineBookmark,
+        run: go(`/tasks?${v.query}`),
+      })),
+      {
+        id: 'logout',
+        group: 'Actions',
+        label: 'Log out',
+        keywords: 'sign out exit',
+        icon: HiOutlineLogout,
+        run: logout,
+      },
+    ];
+    return list.filter((c) => !c.hidden && (!c.adminOnly || isAdmin));
+  }, [navigate, logout, isAdmin, user?.id, views]);
+
+  const matches = useMemo(
+    () => fuzzyFilter(commands, query, (c) => `${c.label} ${c.keywords || ''}`),
+    [commands, query]
+  );
+
+  // Task titles come from the API's own search, a moment after typing stops
+  useEffect(() => {
+    const term = query.trim();
+    if (term.length < 2) {
+      setTasks([]);
+      setSearching(false);
+      return;
+    }
+    let cancelled = false;
+    setSearching(true);
+    const timer = setTimeout(() => {
+      taskService
+        .getTasks({ searchTerm: term, pageSize: TASK_RESULT_LIMIT })
+        .then((res) => {
+          if (!cancelled) setTasks(res.data.tasks || []);
+        })
+        .catch(() => {
+          if (!cancelled) setTasks([]);
+        })
+        .finally(() => {
+          if (!cancelled) setSearching(false);
+        });
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const items = useMemo(
+    () => [
+      ...tasks.map((task) => ({
+        id: `task-${task.id}`,
+        group: 'Tasks',
+        label: task.title,
+        icon: HiOutlineDocumentText,
+        task,
+        run: () => openTask(task),
+      })),
+      ...matches,
+    ],
+    [tasks, matches, openTask]
+  );
+
+  useEffect(() => {
+    setActive(0);
+  }, [query, tasks]);
+
+  useEffect(() => {
+    listRef.current
+      ?.querySelector(`[data-index="${active}"]`)
+      ?.scrollIntoView({ block: 'nearest' });
+  }, [active]);
+
+  const choose = (item) => {
+    onClose();
+    item.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive((i) => Math.min(items.length - 1, i + 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive((i) => Math.max(0, i - 1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (items[active]) choose(items[active]);
+    } else if (e.key === 'Escape') {
+      // Leave any modal underneath open
+      e.preventDefault();
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-start justify-center p-4 pt-[12vh]">
+      <div className="fixed inset-0 bg-black/50 backdrop-blur-sm animate-fade-in" onClick={onClose} />
+
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        className="relative w-full max-w-xl overflow-hidden rounded-2xl bg-white shadow-elevated animate-scale-in"
+      >
+        <div className="flex items-center gap-3 border-b border-surface-200 px-4">
+          <HiOutlineSearch className="h-5 w-5 text-surface-400" />
+          <input
+            autoFocus
+            role="combobox"
+            aria-expanded="true"
+            aria-controls="command-palette-list"
+            aria-activedescendant={items[active] ? `command-${items[active].id}` : undefined}
+            placeholder="Search tasks, pages and actions…"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            className="h-14 flex-1 bg-transparent text-sm text-surface-900 placeholder:text-surface-400 focus:outline-none"
+          />
+          {searching && <Spinner size="sm" />}
+        </div>
+
+        <ul id="command-palette-list" ref={listRef} role="listbox" className="max-h-[50vh] overflow-y-auto p-2">
+          {items.length === 0 && !searching && (
+            <li className="px-3 py-8 text-center text-sm text-surface-500">No matches</li>
+          )}
+          {items.map((item, index) => (
+            <li key={item.id} role="presentation">
+              {item.group !== items[index - 1]?.group && (
+                <p
+                  className={clsx(
+                    'px-3 pb-1 text-[11px] font-semibold uppercase tracking-wider text-surface-400',
+                    index === 0 ? 'pt-1' : 'pt-3'
+                  )}
+                >
+                  {item.group}
+                </p>
+              )}
+              <div
+                id={`command-${item.id}`}
+                role="option"
+                aria-selected={index === active}
+                data-index={index}
+                onMouseMove={() => setActive(index)}
+                onClick={() => choose(item)}
+                className={clsx(
+                  'flex cursor-pointer items-center gap-3 rounded-lg px-3 py-2 text-sm',
+                  index === active ? 'bg-primary-50 text-primary-700' : 'text-surface-700'
+                )}
+              >
+                <item.icon className="h-4 w-4 shrink-0 opacity-70" />
+                <span className="flex-1 truncate">{item.label}</span>
+                {item.task && (
+                  <Badge color={item.task.status}>{formatStatus(item.task.status)}</Badge>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex items-center gap-4 border-t border-surface-100 px-4 py-2 text-[11px] text-surface-400">
+          <span>↑↓ to move</span>
+          <span>↵ to choose</span>
+          <span>esc to close</span>
+        </div>
+      </div>
+    </div>
+  );
+}
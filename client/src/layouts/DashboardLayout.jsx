@@ -2,9 +2,12 @@ import { useState } from 'react';
 import { Outlet } from 'react-router-dom';
 import Sidebar from './Sidebar';
 import Navbar from './Navbar';
+import CommandPalette from './CommandPalette';
+import ShortcutsOverlay from './ShortcutsOverlay';
 
 export default function DashboardLayout() {
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [shortcutsOpen, setShortcutsOpen] = useState(false);
 
   return (
     <div className="min-h-screen bg-surface-50">
@@ -23,9 +26,12 @@ export default function DashboardLayout() {
       <div className="lg:pl-72">
         <Navbar onMenuClick={() => setSidebarOpen(true)} />
         <main className="p-4 sm:p-6 lg:p-8">
-          <Outlet />
+          <Outlet context={{ shortcutsOpen }} />
         </main>
       </div>
+
+      <CommandPalette />
+      <ShortcutsOverlay open={shortcutsOpen} setOpen={setShortcutsOpen} />
     </div>
   );
 }
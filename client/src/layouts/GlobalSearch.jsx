@@ -0,0 +1,299 @@
+import { useState, useEffect, useMemo, useCallback, useRef, Fragment } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { clsx } from 'clsx';
+import { HiOutlineSearch, HiOutlineClock, HiOutlineDocumentText, HiX } from 'react-icons/hi';
+import { useAuth } from '../context/AuthContext';
+import { useOpenTask } from '../hooks/useOpenTask';
+import { taskService } from '../services/taskService';
+import { userService } from '../services/userService';
+import { createUserStore } from '../utils/storage';
+import { formatStatus } from '../utils/tasks';
+import { Avatar, Badge, Spinner } from '../components/ui';
+
+const RESULT_LIMIT = 5;
+const RECENT_LIMIT = 6;
+
+const recentStore = createUserStore('recent-searches', { version: 1, fallback: [] });
+
+// Wrap each case-insensitive occurrence of the query's words in <mark>
+function Highlight({ text, query }) {
+  const words = query.trim().split(/\s+/).filter(Boolean);
+  if (!words.length) return text;
+  const pattern = new RegExp(
+    `(${words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`,
+    'gi'
+  );
+  return text.split(pattern).map((part, i) =>
+    i % 2 === 1 ? (
+      <mark key={i} className="rounded-sm bg-amber-100 text-inherit">
+        {part}
+      </mark>
+    ) : (
+      <Fragment key={i}>{part}</Fragment>
+    )
+  );
+}
+
+/**
+ * Navbar search over tasks (and users, for admins). Results load a moment
+ * after typing stops; with an empty box the recent searches are offered.
+ */
+export default function GlobalSearch() {
+  const navigate = useNavigate();
+  const openTask = useOpenTask();
+  const { user, isAdmin } = useAuth();
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const [results, setResults] = useState({ tasks: [], users: [] });
+  const [searching, setSearching] = useState(false);
+  const [recent, setRecent] = useState(() => recentStore.load(user?.email));
+  const containerRef = useRef(null);
+  const inputRef = useRef(null);
+
+  const email = user?.email;
+  useEffect(() => {
+    setRecent(recentStore.load(email));
+  }, [email]);
+
+  const term = query.trim();
+
+  useEffect(() => {
+    if (term.length < 2) {
+      setResults({ tasks: [], users: [] });
+      setSearching(false);
+      return;
+    }
+    let cancelled = false;
+    setSearching(true);
+    const timer = setTimeout(() => {
+      Promise.allSettled([
+        taskService.getTasks({ searchTerm: term, pageSize: RESULT_LIMIT }),
+        isAdmin ? userService.getUsers({ searchTerm: term, pageSize: RESULT_LIMIT }) : null,
+      ]).then(([tasksRes, usersRes]) => {
+        if (cancelled) return;
+        setResults({
+          tasks: tasksRes.status === 'fulfilled' ? tasksRes.value.data.tasks || [] : [],
+          users: usersRes.status === 'fulfilled' ? usersRes.value?.data.users || [] : [],
+        });
+        setSearching(false);
+      });
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [term, isAdmin]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const handleMouseDown = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleMouseDown);
+    return () => document.removeEventListener('mousedown', handleMouseDown);
+  }, [open]);
+
+  const remember = useCallback(
+    (value) => {
+      setRecent((prev) => {
+        const next = [value, ...prev.filter((r) => r.toLowerCase() !== value.toLowerCase())];
+        const trimmed = next.slice(0, RECENT_LIMIT);
+        recentStore.save(email, trimmed);
+        return trimmed;
+      });
+    },
+    [email]
+  );
+
+  const clearRecent = () => {
+    setRecent([]);
+    recentStore.save(email, []);
+  };
+
+  const items = useMemo(() => {
+    if (!term) {
+      return recent.map((r) => ({
+        id: `recent-${r}`,
+        group: 'Recent searches',
+        recent: r,
+        run: () => setQuery(r),
+      }));
+    }
+    const finish = (go) => () => {
+      remember(term);
+      setQuery('');
+      setOpen(false);
+      inputRef.current?.blur();
+      go();
+    };
+    return [
+      ...results.tasks.map((task) => ({
+        id: `task-${task.id}`,
+        group: 'Tasks',
+        task,
+        run: finish(() => openTask(task)),
+      })),
+      ...results.users.map((u) => ({
+        id: `user-${u.id}`,
+        group: 'Users',
+        user: u,
+        run: finish(() => navigate(`/users?searchTerm=${encodeURIComponent(u.email)}`)),
+      })),
+      {
+        id: 'all-tasks',
+        group: 'More',
+        run: finish(() => navigate(`/tasks?searchTerm=${encodeURIComponent(term)}`)),
+      },
+    ];
+  }, [term, recent, results, remember, openTask, navigate]);
+
+  useEffect(() => {
+    setActive(0);
+  }, [term, results]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActive((i) => Math.min(items.length - 1, i + 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive((i) => Math.max(0, i - 1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      items[active]?.run();
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      inputRef.current?.blur();
+    }
+  };
+
+  const showPanel = open && items.length > 0;
+
+  return (
+    <div ref={containerRef} className="relative w-full max-w-md">
+      <div className="relative">
+        <HiOutlineSearch className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-surface-400" />
+        <input
+          ref={inputRef}
+          type="text"
+          role="combobox"
+          aria-expanded={showPanel}
+          aria-controls="global-search-results"
+          aria-activedescendant={showPanel ? `search-${items[active]?.id}` : undefined}
+          placeholder={isAdmin ? 'Search tasks and users…' : 'Search tasks…'}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          className="h-10 w-full rounded-xl border border-surface-200 bg-surface-50 pl-9 pr-9 text-sm text-surface-900 placeholder:text-surface-400 focus:border-primary-500 focus:bg-white focus:outline-none focus:ring-2 focus:ring-primary-500/20"
+        />
+        {searching ? (
+          <span className="absolute right-3 top-1/2 -translate-y-1/2">
+            <Spinner size="sm" />
+          </span>
+        ) : (
+          query && (
+            <button
+              onClick={() => {
+                setQuery('');
+                inputRef.current?.focus();
+              }}
+              aria-label="Clear search"
+              className="absolute right-3 top-1/2 -translate-y-1/2 text-surface-400 hover:text-surface-600"
+            >
+              <HiX className="h-4 w-4" />
+            </button>
+          )
+        )}
+      </div>
+
+      {showPanel && (
+        <ul
+          id="global-search-results"
+          role="listbox"
+          className="absolute left-0 right-0 top-full mt-2 max-h-[60vh] overflow-y-auto rounded-xl border border-surface-200 bg-white p-2 shadow-elevated animate-fade-in"
+        >
+          {items.map((item, index) => (
+            <li key={item.id} role="presentation">
+              {item.group !== items[index - 1]?.group && item.group !== 'More' && (
+                <div
+                  className={clsx(
+                    'flex items-center justify-between px-3 pb-1 text-[11px] font-semibold uppercase tracking-wider text-surface-400',
+                    index === 0 ? 'pt-1' : 'pt-3'
+                  )}
+                >
+                  {item.group}
+                  {item.recent !== undefined && (
+                    <button
+                      onMouseDown={(e) => e.preventDefault()}
+                      onClick={clearRecent}
+                      className="font-medium normal-case tracking-normal text-surface-400 hover:text-surface-600"
+                    >
+                      Clear
+                    </button>
+                  )}
+                </div>
+              )}
+              <div
+                id={`search-${item.id}`}
+                role="option"
+                aria-selected={index === active}
+                onMouseMove={() => setActive(index)}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={item.run}
+                className={clsx(
+                  'flex cursor-pointer items-center gap-3 rounded-lg px-3 py-2 text-sm',
+                  index === active ? 'bg-primary-50 text-primary-700' : 'text-surface-700',
+                  item.group === 'More' && 'mt-1 border-t border-surface-100 rounded-t-none'
+                )}
+              >
+                {item.task ? (
+                  <>
+                    <HiOutlineDocumentText className="h-4 w-4 shrink-0 opacity-70" />
+                    <span className="flex-1 truncate">
+                      <Highlight text={item.task.title} query={term} />
+                    </span>
+                    <Badge color={item.task.status}>{formatStatus(item.task.status)}</Badge>
+                  </>
+                ) : item.user ? (
+                  <>
+                    <Avatar name={item.user.name} size="sm" className="!h-6 !w-6 text-[10px]" />
+                    <span className="min-w-0 flex-1">
+                      <span className="block truncate">
+                        <Highlight text={item.user.name} query={term} />
+                      </span>
+                      <span className="block truncate text-xs text-surface-500">
+                        <Highlight text={item.user.email} query={term} />
+                      </span>
+                    </span>
+                  </>
+                ) : item.recent !== undefined ? (
+                  <>
+                    <HiOutlineClock className="h-4 w-4 shrink-0 opacity-70" />
+                    <span className="flex-1 truncate">{item.recent}</span>
+                  </>
+                ) : (
+                  <>
+                    <HiOutlineSearch className="h-4 w-4 shrink-0 opacity-70" />
+                    <span className="flex-1 truncate">
+                      {searching || results.tasks.length || results.users.length
+                        ? 'See all matching tasks for '
+                        : 'No quick matches — search all tasks for '}
+                      “{term}”
+                    </span>
+                  </>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
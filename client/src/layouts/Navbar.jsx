@@ -2,10 +2,13 @@ import { useLocation } from 'react-router-dom';
 import { HiOutlineMenuAlt2, HiOutlineBell } from 'react-icons/hi';
 import { useAuth } from '../context/AuthContext';
 import Avatar from '../components/ui/Avatar';
+import GlobalSearch from './GlobalSearch';
 
 const pageTitles = {
   '/dashboard': 'Dashboard',
+  '/my-work': 'My Work',
   '/tasks': 'Tasks',
+  '/gallery': 'Gallery',
   '/users': 'Users',
 };
 
@@ -36,6 +39,10 @@ export default function Navbar({ onMenuClick }) {
           <h1 className="text-xl font-bold text-surface-900">{title}</h1>
         </div>
 
+        <div className="hidden md:flex flex-1 justify-center px-6">
+          <GlobalSearch />
+        </div>
+
         <div className="flex items-center gap-3">
           <button className="relative p-2 rounded-lg text-surface-500 hover:bg-surface-100 transition-colors">
             <HiOutlineBell className="h-5 w-5" />
@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import {
+  HiOutlineChevronUp,
+  HiOutlineChevronDown,
+  HiOutlineTrash,
+  HiOutlineBookmark,
+} from 'react-icons/hi';
+import { useSavedViews } from '../context/SavedViewsContext';
+import { Modal, Button, EmptyState } from '../components/ui';
+
+export default function SavedViewsModal({ isOpen, onClose }) {
+  const { views, renameView, deleteView, moveView } = useSavedViews();
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Saved Views"
+      footer={
+        <Button variant="secondary" onClick={onClose}>
+          Done
+        </Button>
+      }
+    >
+      {views.length === 0 ? (
+        <EmptyState
+          icon={HiOutlineBookmark}
+          title="No saved views yet"
+          description="Set up filters on the Tasks page and choose “Save view” to pin them here."
+        />
+      ) : (
+        <ul className="divide-y divide-surface-100">
+          {views.map((view, index) => (
+            <SavedViewRow
+              key={view.id}
+              view={view}
+              isFirst={index === 0}
+              isLast={index === views.length - 1}
+              onRename={(name) => renameView(view.id, name)}
+              onMove={(direction) => moveView(view.id, direction)}
+              onDelete={() => deleteView(view.id)}
+            />
+          ))}
+        </ul>
+      )}
+    </Modal>
+  );
+}
+
+function SavedViewRow({ view, isFirst, isLast, onRename, onMove, onDelete }) {
+  const [name, setName] = useState(view.name);
+
+  useEffect(() => {
+    setName(view.name);
+  }, [view.name]);
+
+  const commit = () => {
+    if (name.trim() && name.trim() !== view.name) onRename(name);
+    else setName(view.name);
+  };
+
+  return (
+    <li className="flex items-center gap-2 py-2.5">
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.currentTarget.blur();
+        }}
+        aria-label="View name"
+        className="input-field flex-1 py-1.5"
+      />
+      <button
+        onClick={() => onMove(-1)}
+        disabled={isFirst}
+        aria-label="Move up"
+        className="p-1.5 rounded-lg text-surface-400 hover:text-surface-700 hover:bg-surface-100 disabled:opacity-30 disabled:cursor-not-allowed"
+      >
+        <HiOutlineChevronUp className="h-4 w-4" />
+      </button>
+      <button
+        onClick={() => onMove(1)}
+        disabled={isLast}
+        aria-label="Move down"
+        className="p-1.5 rounded-lg text-surface-400 hover:text-surface-700 hover:bg-surface-100 disabled:opacity-30 disabled:cursor-not-allowed"
+      >
+        <HiOutlineChevronDown className="h-4 w-4" />
+      </button>
+      <button
+        onClick={onDelete}
+        aria-label="Delete view"
+        className="p-1.5 rounded-lg text-surface-400 hover:text-red-600 hover:bg-red-50"
+      >
+        <HiOutlineTrash className="h-4 w-4" />
+      </button>
+    </li>
+  );
+}
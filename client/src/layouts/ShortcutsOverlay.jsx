@@ -0,0 +1,78 @@
+import { useEffect } from 'react';
+import { Modal } from '../components/ui';
+import { isEditableTarget } from '../utils/keyboard';
+import { TASK_STATUSES } from '../utils/tasks';
+
+const sections = [
+  {
+    title: 'Anywhere',
+    shortcuts: [
+      { keys: ['Ctrl', 'K'], label: 'Open the command palette' },
+      { keys: ['Ctrl', 'Z'], label: 'Undo the last task change' },
+      { keys: ['Ctrl', 'Shift', 'Z'], label: 'Redo' },
+      { keys: ['?'], label: 'Show this list' },
+    ],
+  },
+  {
+    title: 'Task list',
+    shortcuts: [
+      { keys: ['j'], label: 'Next task' },
+      { keys: ['k'], label: 'Previous task' },
+      { keys: ['Shift', 'j / k'], label: 'Extend the selection down / up' },
+      { keys: ['x'], label: 'Select or deselect the task' },
+      { keys: ['Shift', 'click'], label: 'Select a range of checkboxes' },
+      { keys: ['Enter'], label: 'Open the task' },
+      { keys: ['e'], label: 'Edit the task' },
+      ...TASK_STATUSES.map((s, i) => ({ keys: [String(i + 1)], label: `Set status to ${s.label}` })),
+      { keys: ['#'], label: 'Delete the task (asks first)' },
+    ],
+  },
+];
+
+// "?" lists every keyboard shortcut; Cmd stands in for Ctrl on a Mac. The
+// layout owns `open` so pages can pause their own shortcuts behind it.
+export default function ShortcutsOverlay({ open, setOpen }) {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== '?' || e.ctrlKey || e.metaKey || isEditableTarget(e.target)) return;
+      e.preventDefault();
+      setOpen((o) => !o);
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [setOpen]);
+
+  return (
+    <Modal isOpen={open} onClose={() => setOpen(false)} title="Keyboard Shortcuts" size="lg">
+      <div className="grid gap-6 sm:grid-cols-2">
+        {sections.map((section) => (
+          <div key={section.title}>
+            <h3 className="mb-2 text-xs font-semibold uppercase tracking-wider text-surface-400">
+              {section.title}
+            </h3>
+            <dl className="space-y-2">
+              {section.shortcuts.map((shortcut) => (
+                <div key={shortcut.label} className="flex items-center justify-between gap-4 text-sm">
+                  <dt className="text-surface-600">{shortcut.label}</dt>
+                  <dd className="flex shrink-0 gap-1">
+                    {shortcut.keys.map((key) => (
+                      <kbd
+                        key={key}
+                        className="rounded-md border border-surface-200 bg-surface-50 px-1.5 py-0.5 font-mono text-xs text-surface-700"
+                      >
+                        {key}
+                      </kbd>
+                    ))}
+                  </dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+        ))}
+      </div>
+      <p className="mt-6 text-xs text-surface-400">
+        Shortcuts are paused while you type in a field.
+      </p>
+    </Modal>
+  );
+}
@@ -1,4 +1,5 @@
-import { NavLink, useLocation } from 'react-router-dom';
+import { useState } from 'react';
+import { NavLink, Link, useLocation } from 'react-router-dom';
 import { clsx } from 'clsx';
 import {
   HiOutlineHome,
@@ -8,12 +9,27 @@ import {
   HiX,
   HiOutlineLogout,
   HiOutlineLightningBolt,
+  HiOutlineBookmark,
+  HiOutlineAdjustments,
+  HiOutlineBriefcase,
+  HiOutlinePhotograph,
 } from 'react-icons/hi';
 import { useAuth } from '../context/AuthContext';
+import { useSavedViews } from '../context/SavedViewsContext';
+import { useMyWorkCounts } from '../context/MyWorkCountsContext';
+import SavedViewsModal from './SavedViewsModal';
 
 const navigation = [
   { name: 'Dashboard', href: '/dashboard', icon: HiOutlineHome },
+  { name: 'My Work', href: '/my-work', icon: HiOutlineBriefcase },
   { name: 'Tasks', href: '/tasks', icon: HiOutlineClipboardList },
+  { name: 'Gallery', href: '/gallery', icon: HiOutlinePhotograph },
+];
+
+const myWorkLinks = [
+  { tab: 'assigned', label: 'Assigned to me' },
+  { tab: 'created', label: 'Created by me' },
+  { tab: 'overdue', label: 'Overdue' },
 ];
 
 const adminNavigation = [
@@ -22,9 +38,19 @@ const adminNavigation = [
 
 export default function Sidebar({ open, onClose }) {
   const { user, isAdmin, logout } = useAuth();
-  const location = useLocation();
+  const { views } = useSavedViews();
+  const [manageOpen, setManageOpen] = useState(false);
+  const { counts: myWorkCounts } = useMyWorkCounts();
 
   const allNav = [...navigation, ...(isAdmin ? adminNavigation : [])];
+  const contentProps = {
+    nav: allNav,
+    user,
+    savedViews: views,
+    myWorkCounts,
+    onManageViews: () => setManageOpen(true),
+    onLogout: logout,
+  };
 
   return (
     <>
@@ -35,18 +61,20 @@ export default function Sidebar({ open, onClose }) {
           open ? 'translate-x-0' : '-translate-x-full'
         )}
       >
-        <SidebarContent nav={allNav} user={user} onClose={onClose} onLogout={logout} />
+        <SidebarContent {...contentProps} onClose={onClose} />
       </div>
 
       {/* Desktop sidebar */}
       <div className="hidden lg:fixed lg:inset-y-0 lg:left-0 lg:z-30 lg:block lg:w-72 lg:bg-white lg:border-r lg:border-surface-200">
-        <SidebarContent nav={allNav} user={user} onLogout={logout} />
+        <SidebarContent {...contentProps} />
       </div>
+
+      <SavedViewsModal isOpen={manageOpen} onClose={() => setManageOpen(false)} />
     </>
   );
 }
 
-function SidebarContent({ nav, user, onClose, onLogout }) {
+function SidebarContent({ nav, user, savedViews, myWorkCounts, onManageViews, onClose, onLogout }) {
   return (
     <div className="flex h-full flex-col">
       {/* Logo */}
@@ -72,31 +100,38 @@ function SidebarContent({ nav, user, onClose, onLogout }) {
       {/* Navigation */}
       <nav className="flex-1 px-3 py-4 space-y-1 overflow-y-auto">
         {nav.map((item) => (
-          <NavLink
-            key={item.name}
-            to={item.href}
-            onClick={onClose}
-            className={({ isActive }) =>
-              clsx(
-                'group flex items-center gap-3 rounded-xl px-3 py-2.5 text-sm font-medium transition-all duration-200',
-                isActive
-                  ? 'bg-primary-50 text-primary-700'
-                  : 'text-surface-600 hover:bg-surface-50 hover:text-surface-900'
-              )
-            }
-          >
-            {({ isActive }) => (
-              <>
-                <item.icon
-                  className={clsx(
-                    'h-5 w-5 flex-shrink-0 transition-colors',
-                    isActive ? 'text-primary-600' : 'text-surface-400 group-hover:text-surface-600'
-                  )}
-                />
-                {item.name}
-              </>
+          <div key={item.name}>
+            <NavLink
+              to={item.href}
+              onClick={onClose}
+              className={({ isActive }) =>
+                clsx(
+                  'group flex items-center gap-3 rounded-xl px-3 py-2.5 text-sm font-medium transition-all duration-200',
+                  isActive
+                    ? 'bg-primary-50 text-primary-700'
+                    : 'text-surface-600 hover:bg-surface-50 hover:text-surface-900'
+                )
+              }
+            >
+              {({ isActive }) => (
+                <>
+                  <item.icon
+                    className={clsx(
+                      'h-5 w-5 flex-shrink-0 transition-colors',
+                      isActive ? 'text-primary-600' : 'text-surface-400 group-hover:text-surface-600'
+                    )}
+                  />
+                  {item.name}
+                </>
+              )}
+            </NavLink>
+            {item.href === '/my-work' && (
+              <MyWorkLinks counts={myWorkCounts} onNavigate={onClose} />
+            )}
+            {item.href === '/tasks' && savedViews.length > 0 && (
+              <SavedViewLinks views={savedViews} onManage={onManageViews} onNavigate={onClose} />
             )}
-          </NavLink>
+          </div>
         ))}
       </nav>
 
@@ -122,3 +157,76 @@ function SidebarContent({ nav, user, onClose, onLogout }) {
     </div>
   );
 }
+
+function MyWorkLinks({ counts, onNavigate }) {
+  const location = useLocation();
+  const currentTab =
+    location.pathname === '/my-work'
+      ? new URLSearchParams(location.search).get('tab') || 'assigned'
+      : null;
+
+  return (
+    <div className="mt-1 ml-5 pl-3 border-l border-surface-200 space-y-0.5">
+      {myWorkLinks.map((link) => (
+        <Link
+          key={link.tab}
+          to={link.tab === 'assigned' ? '/my-work' : `/my-work?tab=${link.tab}`}
+          onClick={onNavigate}
+          className={clsx(
+            'flex items-center justify-between gap-2 rounded-lg px-2.5 py-1.5 text-sm transition-colors',
+            currentTab === link.tab
+              ? 'bg-primary-50 text-primary-700 font-medium'
+              : 'text-surface-500 hover:bg-surface-50 hover:text-surface-900'
+          )}
+        >
+          <span className="truncate">{link.label}</span>
+          {counts[link.tab] != null && (
+            <span
+              className={clsx(
+                'rounded-full px-2 text-xs font-medium',
+                link.tab === 'overdue' && counts.overdue > 0
+                  ? 'bg-red-50 text-red-700'
+                  : 'bg-surface-100 text-surface-600'
+              )}
+            >
+              {counts[link.tab]}
+            </span>
+          )}
+        </Link>
+      ))}
+    </div>
+  );
+}
+
+function SavedViewLinks({ views, onManage, onNavigate }) {
+  const location = useLocation();
+  const currentQuery = location.pathname === '/tasks' ? location.search.replace(/^\?/, '') : null;
+
+  return (
+    <div className="mt-1 ml-5 pl-3 border-l border-surface-200 space-y-0.5">
+      {views.map((view) => (
+        <Link
+          key={view.id}
+          to={`/tasks${view.query ? `?${view.query}` : ''}`}
+          onClick={onNavigate}
+          className={clsx(
+            'flex items-center gap-2 rounded-lg px-2.5 py-1.5 text-sm transition-colors',
+            currentQuery === view.query
+              ? 'bg-primary-50 text-primary-700 font-medium'
+              : 'text-surface-500 hover:bg-surface-50 hover:text-surface-900'
+          )}
+        >
+          <HiOutlineBookmark className="h-4 w-4 flex-shrink-0" />
+          <span className="truncate">{view.name}</span>
+        </Link>
+      ))}
+      <button
+        onClick={onManage}
+        className="flex w-full items-center gap-2 rounded-lg px-2.5 py-1.5 text-xs font-medium text-surface-400 hover:bg-surface-50 hover:text-surface-700"
+      >
+        <HiOutlineAdjustments className="h-4 w-4" />
+        Manage views
+      </button>
+    </div>
+  );
+}
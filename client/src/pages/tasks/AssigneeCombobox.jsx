@@ -0,0 +1,247 @@
+import { useState, useEffect, useLayoutEffect, useCallback, useRef, useId } from 'react';
+import { createPortal } from 'react-dom';
+import { clsx } from 'clsx';
+import { HiSelector, HiCheck, HiOutlineUserRemove, HiOutlineHashtag } from 'react-icons/hi';
+import { Avatar, Spinner } from '../../components/ui';
+import { fuzzyFilter } from '../../utils/fuzzy';
+
+const POPOVER_WIDTH = 288;
+const POPOVER_HEIGHT = 320;
+
+// Where the popover goes: under the trigger, or above it near the bottom of the screen
+function popoverPosition(trigger) {
+  const rect = trigger.getBoundingClientRect();
+  const left = Math.max(8, Math.min(rect.left, window.innerWidth - POPOVER_WIDTH - 8));
+  const width = Math.max(rect.width, POPOVER_WIDTH);
+  if (rect.bottom + POPOVER_HEIGHT > window.innerHeight && rect.top > POPOVER_HEIGHT) {
+    return { left, width, bottom: window.innerHeight - rect.top + 4 };
+  }
+  return { left, width, top: rect.bottom + 4 };
+}
+
+function UserRow({ user }) {
+  return (
+    <>
+      <Avatar name={user.name} size="sm" />
+      <span className="min-w-0 flex-1">
+        <span className="block truncate text-sm text-surface-900">{user.name}</span>
+        {user.email && <span className="block truncate text-xs text-surface-500">{user.email}</span>}
+      </span>
+    </>
+  );
+}
+
+/**
+ * Pick who a task is assigned to. The trigger shows the current assignee;
+ * opening it gives a search box over `users` (name and email, fuzzy) and an
+ * "Unassigned" choice. `onChange` gets the picked user, or null.
+ *
+ * Regular users can't list accounts, so their `users` is short (see
+ * useAssignableUsers). `allowIdEntry` lets them type a user ID instead.
+ * The popover is portalled to <body> so table cells and modals don't clip it.
+ */
+export default function AssigneeCombobox({
+  users,
+  value,
+  valueName,
+  onChange,
+  label,
+  loading = false,
+  allowIdEntry = false,
+  variant = 'field',
+  disabled = false,
+}) {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(0);
+  const [position, setPosition] = useState(null);
+  const triggerRef = useRef(null);
+  const popoverRef = useRef(null);
+  const listId = useId();
+
+  const selected =
+    value == null || value === ''
+      ? null
+      : users.find((u) => u.id === Number(value)) || { id: Number(value), name: valueName || `User #${value}` };
+
+  const typedId = /^\d+$/.test(query.trim()) ? Number(query.trim()) : null;
+  const options = [
+    { key: 'none', user: null },
+    ...fuzzyFilter(users, query, (u) => `${u.name} ${u.email || ''}`).map((u) => ({ key: u.id, user: u })),
+  ];
+  if (allowIdEntry && typedId && !users.some((u) => u.id === typedId)) {
+    options.push({ key: 'typed', user: { id: typedId, name: `User #${typedId}` }, typed: true });
+  }
+
+  // Past the end when a search leaves fewer options than before
+  const activeIndex = Math.min(active, options.length - 1);
+
+  const close = useCallback(() => {
+    setOpen(false);
+    setQuery('');
+  }, []);
+
+  const openPopover = () => {
+    if (disabled) return;
+    setPosition(popoverPosition(triggerRef.current));
+    setActive(Math.max(0, options.findIndex((o) => (o.user?.id ?? null) === (selected?.id ?? null))));
+    setOpen(true);
+  };
+
+  const pick = (option) => {
+    close();
+    triggerRef.current?.focus();
+    if ((option.user?.id ?? null) !== (selected?.id ?? null)) onChange(option.user);
+  };
+
+  // Keep the highlighted option in view
+  useLayoutEffect(() => {
+    if (!open) return;
+    popoverRef.current?.querySelector(`[data-index="${activeIndex}"]`)?.scrollIntoView({ block: 'nearest' });
+  }, [open, activeIndex]);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleMouseDown = (e) => {
+      if (!popoverRef.current?.contains(e.target) && !triggerRef.current?.contains(e.target)) close();
+    };
+    // The popover is fixed, so it would drift away from a scrolled trigger
+    const handleScroll = (e) => {
+      if (!popoverRef.current?.contains(e.target)) close();
+    };
+    document.addEventListener('mousedown', handleMouseDown);
+    window.addEventListener('scroll', handleScroll, true);
+    window.addEventListener('resize', close);
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown);
+      window.removeEventListener('scroll', handleScroll, true);
+      window.removeEventListener('resize', close);
+    };
+  }, [open, close]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive((i) => (i + step + options.length) % options.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      pick(options[activeIndex]);
+    } else if (e.key === 'Escape') {
+      // Close just this, not the modal around it
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+      triggerRef.current?.focus();
+    } else if (e.key === 'Tab') {
+      close();
+    }
+  };
+
+  return (
+    <div className={variant === 'field' ? 'space-y-1.5' : undefined}>
+      {label && <label className="block text-sm font-medium text-surface-700">{label}</label>}
+      <button
+        ref={triggerRef}
+        type="button"
+        onClick={() => (open ? close() : openPopover())}
+        disabled={disabled}
+        aria-haspopup="listbox"
+        aria-expanded={open}
+        aria-label={label ? undefined : 'Assignee'}
+        className={clsx(
+          'flex items-center gap-2 text-left disabled:cursor-default',
+          variant === 'field'
+            ? 'input-field'
+            : 'max-w-full rounded-lg px-1.5 py-1 -mx-1.5 hover:bg-surface-100 disabled:hover:bg-transparent'
+        )}
+      >
+        {selected ? (
+          <>
+            <Avatar name={selected.name} size="xs" />
+            <span className="min-w-0 flex-1 truncate text-sm text-surface-900">{selected.name}</span>
+          </>
+        ) : (
+          <span className="flex-1 text-sm text-surface-400">Unassigned</span>
+        )}
+        {!disabled && <HiSelector className="h-4 w-4 flex-shrink-0 text-surface-400" />}
+      </button>
+
+      {open &&
+        createPortal(
+          <div
+            ref={popoverRef}
+            style={{ ...position, maxHeight: POPOVER_HEIGHT }}
+            className="fixed z-[60] flex flex-col overflow-hidden rounded-xl border border-surface-200 bg-white shadow-elevated animate-fade-in"
+          >
+            <div className="border-b border-surface-100 p-2">
+              <input
+                autoFocus
+                role="combobox"
+                aria-expanded
+                aria-controls={listId}
+                aria-activedescendant={`${listId}-${activeIndex}`}
+                aria-autocomplete="list"
+                placeholder={allowIdEntry ? 'Search or type a user ID…' : 'Search people…'}
+                value={query}
+                onChange={(e) => {
+                  setQuery(e.target.value);
+                  setActive(e.target.value.trim() ? 1 : 0);
+                }}
+                onKeyDown={handleKeyDown}
+                className="input-field py-1.5"
+              />
+            </div>
+            <ul id={listId} role="listbox" className="flex-1 overflow-y-auto p-1">
+              {options.map((option, i) => {
+                const isSelected = (option.user?.id ?? null) === (selected?.id ?? null) && !option.typed;
+                return (
+                  <li
+                    key={option.key}
+                    id={`${listId}-${i}`}
+                    data-index={i}
+                    role="option"
+                    aria-selected={isSelected}
+                    onMouseEnter={() => setActive(i)}
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => pick(option)}
+                    className={clsx(
+                      'flex cursor-pointer items-center gap-2.5 rounded-lg px-2 py-1.5',
+                      i === activeIndex && 'bg-primary-50'
+                    )}
+                  >
+                    {option.typed ? (
+                      <>
+                        <HiOutlineHashtag className="h-8 w-8 flex-shrink-0 rounded-full bg-surface-100 p-2 text-surface-500" />
+                        <span className="flex-1 text-sm text-surface-700">Assign to user #{option.user.id}</span>
+                      </>
+                    ) : option.user ? (
+                      <UserRow user={option.user} />
+                    ) : (
+                      <>
+                        <HiOutlineUserRemove className="h-8 w-8 flex-shrink-0 rounded-full bg-surface-100 p-2 text-surface-500" />
+                        <span className="flex-1 text-sm text-surface-700">Unassigned</span>
+                      </>
+                    )}
+                    {isSelected && <HiCheck className="h-4 w-4 text-primary-600" />}
+                  </li>
+                );
+              })}
+              {loading && (
+                <li className="flex justify-center py-2">
+                  <Spinner size="sm" />
+                </li>
+              )}
+              {!loading && options.length === 1 && query.trim() && (
+                <li className="px-2 py-2 text-xs text-surface-500">
+                  No one matches &ldquo;{query.trim()}&rdquo;
+                  {allowIdEntry && '; type a number to use a user ID'}
+                </li>
+              )}
+            </ul>
+          </div>,
+          document.body
+        )}
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+import { useRef } from 'react';
+import { clsx } from 'clsx';
+import { HiOutlinePhotograph, HiX, HiOutlineExclamationCircle } from 'react-icons/hi';
+import { Spinner } from '../../components/ui';
+import { ACCEPTED_IMAGE_TYPES, formatBytes } from '../../utils/images';
+
+function Thumbnail({ attachment, isPrimary, onRemove, onMakePrimary }) {
+  const { name, preview, status, error, file, originalSize } = attachment;
+  const failed = status === 'error';
+
+  return (
+    <li
+      className={clsx(
+        'flex items-center gap-3 rounded-lg border p-2',
+        failed ? 'border-red-200 bg-red-50' : isPrimary ? 'border-primary-200 bg-primary-50/40' : 'border-surface-200'
+      )}
+    >
+      <div className="relative h-12 w-12 flex-shrink-0 overflow-hidden rounded-md bg-surface-100">
+        {preview ? (
+          <img src={preview} alt="" className="h-full w-full object-cover" />
+        ) : (
+          <HiOutlineExclamationCircle className="m-auto mt-3.5 h-5 w-5 text-red-400" />
+        )}
+        {status === 'processing' && (
+          <div className="absolute inset-0 flex items-center justify-center bg-white/60">
+            <Spinner size="sm" />
+          </div>
+        )}
+      </div>
+
+      <div className="min-w-0 flex-1">
+        <p className="truncate text-sm font-medium text-surface-800">{name}</p>
+        {failed ? (
+          <p className="text-xs text-red-600">{error}</p>
+        ) : status === 'processing' ? (
+          <p className="text-xs text-surface-400">Compressing…</p>
+        ) : (
+          <p className="text-xs text-surface-500">
+            {file.size < originalSize
+              ? `${formatBytes(originalSize)} → ${formatBytes(file.size)}`
+              : formatBytes(file.size)}
+            {' · '}
+            {isPrimary ? (
+              <span className="font-medium text-primary-600">Saved with the task</span>
+            ) : (
+              <button
+                type="button"
+                onClick={onMakePrimary}
+                className="font-medium text-surface-600 hover:text-primary-600"
+              >
+                Use this one
+              </button>
+            )}
+          </p>
+        )}
+      </div>
+
+      <button
+        type="button"
+        onClick={onRemove}
+        aria-label={`Remove ${name}`}
+        className="rounded-md p-1 text-surface-400 hover:bg-surface-100 hover:text-surface-700"
+      >
+        <HiX className="h-4 w-4" />
+      </button>
+    </li>
+  );
+}
+
+/**
+ * The form's attachment picker: a drop target that also opens the file
+ * dialog, and a thumbnail per picked image. Dropping and pasting onto the
+ * rest of the form is wired up by the form itself; `dragging` lights this
+ * up while files are held over it.
+ */
+export default function AttachmentTray({
+  attachments,
+  primaryId,
+  currentImageUrl,
+  dragging,
+  onAdd,
+  onRemove,
+  onMakePrimary,
+}) {
+  const inputRef = useRef(null);
+  const extras = attachments.filter((a) => a.status !== 'error').length > 1;
+
+  return (
+    <div className="space-y-2">
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        className={clsx(
+          'flex w-full items-center gap-3 rounded-lg border border-dashed px-4 py-3 text-left text-sm transition-colors',
+          dragging
+            ? 'border-primary-400 bg-primary-50 text-primary-700'
+            : 'border-surface-300 text-surface-600 hover:border-primary-400 hover:text-primary-600'
+        )}
+      >
+        {currentImageUrl && !primaryId ? (
+          <img
+            src={currentImageUrl}
+            alt="Current attachment"
+            className="h-10 w-10 flex-shrink-0 rounded-md border border-surface-200 object-cover"
+          />
+        ) : (
+          <HiOutlinePhotograph className="h-6 w-6 flex-shrink-0" />
+        )}
+        <span>
+          <span className="font-medium">
+            {dragging ? 'Drop to attach' : currentImageUrl ? 'Replace image' : 'Upload images'}
+          </span>
+          <span className="block text-xs text-surface-400">
+            Drag and drop or paste anywhere on the form · JPEG, PNG, GIF or WebP
+          </span>
+        </span>
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_IMAGE_TYPES.join(',')}
+        multiple
+        onChange={(e) => {
+          onAdd(e.target.files);
+          // Let the same file be picked again after removing it
+          e.target.value = '';
+        }}
+        className="hidden"
+      />
+
+      {attachments.length > 0 && (
+        <ul className="space-y-2">
+          {attachments.map((a) => (
+            <Thumbnail
+              key={a.id}
+              attachment={a}
+              isPrimary={a.id === primaryId}
+              onRemove={() => onRemove(a.id)}
+              onMakePrimary={() => onMakePrimary(a.id)}
+            />
+          ))}
+        </ul>
+      )}
+      {extras && (
+        <p className="text-xs text-surface-500">
+          A task keeps one image, so only the one marked &ldquo;Saved with the task&rdquo; is uploaded.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,277 @@
+import { useState, useEffect, useRef } from 'react';
+import { clsx } from 'clsx';
+import {
+  HiOutlineX,
+  HiOutlineCheckCircle,
+  HiOutlineUser,
+  HiOutlineFlag,
+  HiOutlineTag,
+  HiOutlineTrash,
+  HiOutlineExclamationCircle,
+} from 'react-icons/hi';
+import { Button, Modal } from '../../components/ui';
+import { TASK_STATUSES, TASK_PRIORITIES } from '../../utils/tasks';
+
+/**
+ * Floating toolbar for the selected tasks. While `progress` is set
+ * ({ label, done, total }) it shows a progress bar instead of the actions.
+ */
+export default function BulkActionBar({
+  count,
+  progress,
+  assignees,
+  categories,
+  onClear,
+  onStatus,
+  onAssign,
+  onUnassign,
+  onPriority,
+  onCategory,
+  onDelete,
+}) {
+  const [category, setCategory] = useState('');
+
+  return (
+    <div
+      role="toolbar"
+      aria-label="Bulk actions"
+      className="fixed bottom-6 left-1/2 z-30 -translate-x-1/2 w-[calc(100%-2rem)] max-w-fit rounded-xl bg-surface-900 px-3 py-2 text-white shadow-elevated animate-slide-up"
+    >
+      {progress ? (
+        <div className="flex items-center gap-3 px-1 py-1 min-w-[18rem]" aria-live="polite">
+          <span className="text-sm whitespace-nowrap">
+            {progress.label}… {progress.done} of {progress.total}
+          </span>
+          <div className="h-1.5 flex-1 rounded-full bg-white/20 overflow-hidden">
+            <div
+              className="h-full rounded-full bg-primary-400 transition-all"
+              style={{ width: `${(progress.done / progress.total) * 100}%` }}
+            />
+          </div>
+        </div>
+      ) : (
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="px-2 text-sm font-medium whitespace-nowrap">{count} selected</span>
+          <span className="mx-1 h-5 w-px bg-white/20" />
+
+          <BulkMenu label="Status" icon={HiOutlineCheckCircle}>
+            {(close) =>
+              TASK_STATUSES.map((s) => (
+                <MenuItem
+                  key={s.value}
+                  onClick={() => {
+                    close();
+                    onStatus(s.value);
+                  }}
+                >
+                  <span className={clsx('h-2 w-2 rounded-full', s.dot)} />
+                  {s.label}
+                </MenuItem>
+              ))
+            }
+          </BulkMenu>
+
+          <BulkMenu label="Assign" icon={HiOutlineUser}>
+            {(close) => (
+              <>
+                <div className="max-h-56 overflow-y-auto">
+                  {assignees.map((u) => (
+                    <MenuItem
+                      key={u.id}
+                      onClick={() => {
+                        close();
+                        onAssign(u);
+                      }}
+                    >
+                      {u.name}
+                    </MenuItem>
+                  ))}
+                </div>
+                <div className="mt-1 pt-1 border-t border-surface-100">
+                  <MenuItem
+                    onClick={() => {
+                      close();
+                      onUnassign();
+                    }}
+                  >
+                    Unassign
+                  </MenuItem>
+                </div>
+              </>
+            )}
+          </BulkMenu>
+
+          <BulkMenu label="Priority" icon={HiOutlineFlag}>
+            {(close) =>
+              TASK_PRIORITIES.map((p) => (
+                <MenuItem
+                  key={p.value}
+                  onClick={() => {
+                    close();
+                    onPriority(p);
+                  }}
+                >
+                  {p.label}
+                </MenuItem>
+              ))
+            }
+          </BulkMenu>
+
+          <BulkMenu label="Category" icon={HiOutlineTag}>
+            {(close) => (
+              <form
+                className="space-y-2 p-1"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  if (!category.trim()) return;
+                  close();
+                  onCategory(category.trim());
+                  setCategory('');
+                }}
+              >
+                <input
+                  autoFocus
+                  list="bulk-category-list"
+                  placeholder="Category"
+                  aria-label="Category"
+                  value={category}
+                  onChange={(e) => setCategory(e.target.value)}
+                  className="input-field py-1.5"
+                />
+                <datalist id="bulk-category-list">
+                  {categories.map((c) => (
+                    <option key={c} value={c} />
+                  ))}
+                </datalist>
+                <Button type="submit" size="sm" className="w-full" disabled={!category.trim()}>
+                  Apply
+                </Button>
+              </form>
+            )}
+          </BulkMenu>
+
+          <button
+            onClick={onDelete}
+            className="flex items-center gap-1.5 rounded-lg px-2.5 py-1.5 text-sm text-red-300 hover:bg-white/10 hover:text-red-200"
+          >
+            <HiOutlineTrash className="h-4 w-4" />
+            Delete
+          </button>
+
+          <span className="mx-1 h-5 w-px bg-white/20" />
+          <button
+            onClick={onClear}
+            aria-label="Clear selection"
+            title="Clear selection"
+            className="p-1.5 rounded-lg text-surface-300 hover:bg-white/10 hover:text-white"
+          >
+            <HiOutlineX className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function BulkMenu({ label, icon: Icon, children }) {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    const handleEsc = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    document.addEventListener('keydown', handleEsc);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      document.removeEventListener('keydown', handleEsc);
+    };
+  }, [open]);
+
+  return (
+    <div ref={ref} className="relative">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        aria-haspopup="menu"
+        className={clsx(
+          'flex items-center gap-1.5 rounded-lg px-2.5 py-1.5 text-sm hover:bg-white/10',
+          open && 'bg-white/10'
+        )}
+      >
+        <Icon className="h-4 w-4" />
+        {label}
+      </button>
+      {open && (
+        <div
+          role="menu"
+          className="absolute bottom-full left-0 mb-2 w-52 rounded-xl border border-surface-200 bg-white p-1.5 text-surface-700 shadow-elevated animate-scale-in"
+        >
+          {children(() => setOpen(false))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function MenuItem({ onClick, children }) {
+  return (
+    <button
+      role="menuitem"
+      onClick={onClick}
+      className="flex w-full items-center gap-2 rounded-lg px-2.5 py-1.5 text-left text-sm hover:bg-surface-50"
+    >
+      {children}
+    </button>
+  );
+}
+
+// Per-task outcome of a bulk action that ran one request per task
+export function BulkResultModal({ result, taskTitle, onClose }) {
+  return (
+    <Modal
+      isOpen={!!result}
+      onClose={onClose}
+      title={result?.label}
+      size="md"
+      footer={<Button onClick={onClose}>Done</Button>}
+    >
+      {result && (
+        <div className="space-y-4">
+          <div className="flex gap-3 text-sm">
+            <span className="flex items-center gap-1.5 text-emerald-700">
+              <HiOutlineCheckCircle className="h-5 w-5" />
+              {result.succeeded.length} succeeded
+            </span>
+            {result.failed.length > 0 && (
+              <span className="flex items-center gap-1.5 text-red-600">
+                <HiOutlineExclamationCircle className="h-5 w-5" />
+                {result.failed.length} failed
+              </span>
+            )}
+          </div>
+          {result.failed.length > 0 && (
+            <>
+              <ul className="max-h-64 overflow-y-auto divide-y divide-surface-100 rounded-lg border border-surface-200">
+                {result.failed.map((f) => (
+                  <li key={f.id} className="px-3 py-2">
+                    <p className="text-sm font-medium text-surface-900 truncate">{taskTitle(f.id)}</p>
+                    <p className="text-xs text-red-600">{f.message}</p>
+                  </li>
+                ))}
+              </ul>
+              <p className="text-xs text-surface-500">
+                The tasks that failed are still selected so you can try again.
+              </p>
+            </>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+}
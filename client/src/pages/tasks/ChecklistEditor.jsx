@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import { HiOutlineChevronUp, HiOutlineChevronDown, HiX, HiOutlinePlus } from 'react-icons/hi';
+import { parseChecklist, replaceChecklist } from '../../utils/checklist';
+
+/**
+ * Edits the `- [ ]` lines of a description as a list. The description stays
+ * the single source of truth, so the textarea above and this list always agree.
+ */
+export default function ChecklistEditor({ description, onChange }) {
+  const [draft, setDraft] = useState('');
+  const items = parseChecklist(description);
+
+  const save = (next) => onChange(replaceChecklist(description, next));
+
+  const updateItem = (index, changes) =>
+    save(items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+
+  const move = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= items.length) return;
+    const next = [...items];
+    [next[index], next[target]] = [next[target], next[index]];
+    save(next);
+  };
+
+  const add = () => {
+    const text = draft.trim();
+    if (!text) return;
+    save([...items, { checked: false, text }]);
+    setDraft('');
+  };
+
+  return (
+    <div className="space-y-1.5">
+      <label className="block text-sm font-medium text-surface-700">Checklist</label>
+      {items.length > 0 && (
+        <ul className="space-y-1">
+          {items.map((item, index) => (
+            <li key={index} className="group flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={item.checked}
+                onChange={(e) => updateItem(index, { checked: e.target.checked })}
+                className="h-4 w-4 rounded border-surface-300 text-primary-600 focus:ring-primary-500"
+                aria-label={`Done: ${item.text}`}
+              />
+              <input
+                value={item.text}
+                onChange={(e) => updateItem(index, { text: e.target.value })}
+                onBlur={() => item.text !== item.text.trim() && updateItem(index, { text: item.text.trim() })}
+                className="flex-1 rounded-md border-0 bg-transparent px-1.5 py-1 text-sm text-surface-800 hover:bg-surface-50 focus:bg-white focus:ring-2 focus:ring-primary-500"
+                aria-label={`Checklist item ${index + 1}`}
+              />
+              <div className="flex opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+                <button
+                  type="button"
+                  onClick={() => move(index, -1)}
+                  disabled={index === 0}
+                  className="p-1 rounded text-surface-400 hover:text-surface-700 disabled:opacity-30"
+                  title="Move up"
+                >
+                  <HiOutlineChevronUp className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => move(index, 1)}
+                  disabled={index === items.length - 1}
+                  className="p-1 rounded text-surface-400 hover:text-surface-700 disabled:opacity-30"
+                  title="Move down"
+                >
+                  <HiOutlineChevronDown className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => save(items.filter((_, i) => i !== index))}
+                  className="p-1 rounded text-surface-400 hover:text-red-600"
+                  title="Remove"
+                >
+                  <HiX className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex items-center gap-2">
+        <HiOutlinePlus className="h-4 w-4 text-surface-400" />
+        <input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              // Don't submit the task form
+              e.preventDefault();
+              add();
+            }
+          }}
+          onBlur={add}
+          placeholder="Add an item and press Enter"
+          className="flex-1 rounded-md border-0 bg-transparent px-1.5 py-1 text-sm placeholder:text-surface-400 focus:ring-2 focus:ring-primary-500"
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+import { clsx } from 'clsx';
+import { HiOutlineCheckCircle } from 'react-icons/hi';
+import { checklistProgress } from '../../utils/checklist';
+
+// "3/7" for tasks whose description has a checklist; nothing otherwise
+export default function ChecklistProgress({ description, className }) {
+  const progress = checklistProgress(description);
+  if (!progress) return null;
+  const complete = progress.done === progress.total;
+
+  return (
+    <span
+      title={`${progress.done} of ${progress.total} checklist items done`}
+      className={clsx(
+        'inline-flex shrink-0 items-center gap-1 rounded-md px-1.5 py-0.5 text-[11px] font-medium tabular-nums',
+        complete ? 'bg-emerald-50 text-emerald-700' : 'bg-surface-100 text-surface-600',
+        className
+      )}
+    >
+      <HiOutlineCheckCircle className="h-3.5 w-3.5" />
+      {progress.done}/{progress.total}
+    </span>
+  );
+}
@@ -0,0 +1,181 @@
+import { useState, useEffect, useId } from 'react';
+import { clsx } from 'clsx';
+import { HiOutlinePencil, HiOutlineExclamationCircle } from 'react-icons/hi';
+import { Spinner } from '../../components/ui';
+
+/**
+ * A table cell that edits one task field in place.
+ *
+ * `value` is the field as a string; `onSave(next)` should return the update
+ * request. The new value shows straight away, falls back to the old one if
+ * the request fails, and the cell keeps the error until it is edited again.
+ * Enter commits, Escape cancels. Selects commit as soon as they change.
+ *
+ * `activator="icon"` leaves what `render` returns clickable (e.g. a title that
+ * opens the task) and starts editing from a pencil button instead.
+ */
+export default function EditableCell({
+  value,
+  onSave,
+  label,
+  type = 'text',
+  options,
+  suggestions,
+  emptyError,
+  activator = 'cell',
+  render = (v) => v,
+}) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(value);
+  // What the cell shows: the saved value, or the pending one while it saves
+  const [shown, setShown] = useState(value);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const listId = useId();
+
+  // Pick up fresh data after a reload
+  useEffect(() => {
+    setShown(value);
+  }, [value]);
+
+  const startEditing = () => {
+    setDraft(shown);
+    setError(null);
+    setEditing(true);
+  };
+
+  const cancel = () => {
+    setEditing(false);
+    setDraft(shown);
+  };
+
+  const commit = async (next = draft) => {
+    const trimmed = typeof next === 'string' ? next.trim() : next;
+    if (trimmed === shown) {
+      setEditing(false);
+      return;
+    }
+    if (trimmed === '') {
+      setError(emptyError || 'A value is required');
+      return;
+    }
+
+    const previous = shown;
+    setEditing(false);
+    setShown(trimmed);
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave(trimmed);
+    } catch (err) {
+      setShown(previous);
+      setError(err.response?.data?.message || `Couldn't save ${label.toLowerCase()}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commit();
+    } else if (e.key === 'Escape') {
+      // Keep Escape from also closing whatever surrounds the table
+      e.stopPropagation();
+      cancel();
+    }
+  };
+
+  if (editing) {
+    const inputClass =
+      'w-full rounded-md border border-primary-400 bg-white px-2 py-1 text-sm text-surface-900 focus:outline-none focus:ring-2 focus:ring-primary-500/20';
+
+    if (type === 'select') {
+      return (
+        <select
+          autoFocus
+          aria-label={label}
+          value={draft}
+          onChange={(e) => commit(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={cancel}
+          className={inputClass}
+        >
+          {options.map((opt) => (
+            <option key={opt.value} value={opt.value}>
+              {opt.label}
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <div>
+        <input
+          autoFocus
+          type={type}
+          aria-label={label}
+          aria-invalid={!!error}
+          list={suggestions ? listId : undefined}
+          value={draft}
+          onChange={(e) => {
+            setDraft(e.target.value);
+            setError(null);
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={() => commit()}
+          className={clsx(inputClass, error && 'border-red-400 focus:ring-red-500/20')}
+        />
+        {suggestions && (
+          <datalist id={listId}>
+            {suggestions.map((s) => (
+              <option key={s} value={s} />
+            ))}
+          </datalist>
+        )}
+        {error && <p className="mt-0.5 text-xs text-red-500">{error}</p>}
+      </div>
+    );
+  }
+
+  const status = saving ? (
+    <Spinner size="sm" className="shrink-0" />
+  ) : error ? (
+    <HiOutlineExclamationCircle className="h-4 w-4 shrink-0 text-red-500" aria-label={error} />
+  ) : null;
+
+  if (activator === 'icon') {
+    return (
+      <div className="group/cell flex items-center gap-1.5 min-w-0" title={error || undefined}>
+        <div className={clsx('min-w-0', saving && 'opacity-60')}>{render(shown)}</div>
+        {status}
+        {!saving && (
+          <button
+            onClick={startEditing}
+            aria-label={`Edit ${label.toLowerCase()}`}
+            className="p-1 rounded text-surface-400 opacity-0 group-hover/cell:opacity-100 focus:opacity-100 hover:text-primary-600"
+          >
+            <HiOutlinePencil className="h-3.5 w-3.5" />
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <button
+      onClick={startEditing}
+      disabled={saving}
+      title={error || `Edit ${label.toLowerCase()}`}
+      className={clsx(
+        'flex max-w-full items-center gap-1.5 rounded-md px-1 -mx-1 py-0.5 text-left hover:bg-surface-100',
+        error && 'ring-1 ring-red-300',
+        saving && 'opacity-60'
+      )}
+    >
+      <span className="min-w-0 truncate">{render(shown)}</span>
+      {status}
+    </button>
+  );
+}
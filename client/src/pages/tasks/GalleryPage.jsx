@@ -0,0 +1,214 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { format, subDays, startOfYear } from 'date-fns';
+import { HiOutlinePhotograph, HiOutlineEyeOff } from 'react-icons/hi';
+import { taskService } from '../../services/taskService';
+import { useInfiniteScroll } from '../../hooks/useInfiniteScroll';
+import { useOpenTask } from '../../hooks/useOpenTask';
+import { Select, Badge, EmptyState, PageLoader, Spinner } from '../../components/ui';
+import { TASK_STATUSES, formatStatus } from '../../utils/tasks';
+import { cloudinaryImageProps } from '../../utils/cloudinary';
+
+// GET /task has no "has image" filter, so pages are fetched large and the
+// ones without an image are dropped here
+const PAGE_SIZE = 50;
+
+const statusOptions = [
+  { value: '', label: 'All Statuses' },
+  ...TASK_STATUSES.map((s) => ({ value: String(s.value), label: s.label })),
+];
+
+// Added-date ranges. The API can't filter on creation date, but it returns
+// newest first, so loading stops once a page goes past the cutoff.
+const ADDED_RANGES = [
+  { value: '', label: 'Any time', since: () => null },
+  { value: '7d', label: 'Last 7 days', since: (now) => subDays(now, 7) },
+  { value: '30d', label: 'Last 30 days', since: (now) => subDays(now, 30) },
+  { value: '90d', label: 'Last 90 days', since: (now) => subDays(now, 90) },
+  { value: 'year', label: 'This year', since: (now) => startOfYear(now) },
+];
+
+function GalleryImage({ url }) {
+  const [state, setState] = useState(url?.trim() ? 'loading' : 'broken');
+
+  useEffect(() => {
+    setState(url?.trim() ? 'loading' : 'broken');
+  }, [url]);
+
+  if (state === 'broken') {
+    return (
+      <div className="flex aspect-[4/3] flex-col items-center justify-center gap-1.5 bg-surface-100 text-surface-400">
+        <HiOutlineEyeOff className="h-7 w-7" />
+        <span className="text-xs font-medium">Image unavailable</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className={state === 'loading' ? 'min-h-[10rem] animate-pulse bg-surface-100' : undefined}>
+      <img
+        {...cloudinaryImageProps(url, {
+          widths: [240, 360, 480, 720],
+          sizes: '(min-width: 1280px) 20vw, (min-width: 1024px) 25vw, (min-width: 640px) 33vw, 50vw',
+        })}
+        alt=""
+        loading="lazy"
+        onLoad={() => setState('loaded')}
+        onError={() => setState('broken')}
+        className={state === 'loading' ? 'w-full opacity-0' : 'w-full transition-opacity'}
+      />
+    </div>
+  );
+}
+
+/**
+ * Every task attachment in one place, newest first, in a masonry grid.
+ * Filters live in the URL like the task list's; clicking an image opens
+ * its task.
+ */
+export default function GalleryPage() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const category = searchParams.get('category') || '';
+  const status = searchParams.get('status') || '';
+  const added = ADDED_RANGES.find((r) => r.value === searchParams.get('added')) || ADDED_RANGES[0];
+  const [categories, setCategories] = useState([]);
+  const openTask = useOpenTask();
+  const sentinelRef = useRef(null);
+  const [atEnd, setAtEnd] = useState(false);
+
+  useEffect(() => {
+    taskService
+      .getCategories()
+      .then((res) => setCategories(res.data || []))
+      .catch(() => {});
+  }, []);
+
+  const filters = useMemo(() => ({ category, status }), [category, status]);
+  const { items, loading, loadingMore, error, hasMore, loadMore, refresh } = useInfiniteScroll(
+    taskService.getTasks,
+    filters,
+    { pageSize: PAGE_SIZE, itemsKey: 'tasks' }
+  );
+
+  const since = useMemo(() => added.since(new Date()), [added]);
+  const images = items.filter(
+    (task) => task.imageUrl && (!since || new Date(task.createdAt) >= since)
+  );
+  const oldest = items[items.length - 1];
+  const pastCutoff = !!since && !!oldest && new Date(oldest.createdAt) < since;
+  const canLoadMore = hasMore && !pastCutoff;
+  // A failed first page has nothing to continue from
+  const retry = items.length > 0 ? loadMore : refresh;
+
+  const setFilter = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) next.set(key, value);
+    else next.delete(key);
+    setSearchParams(next, { replace: true });
+  };
+
+  useEffect(() => {
+    const node = sentinelRef.current;
+    if (!node) return undefined;
+    const observer = new IntersectionObserver(([entry]) => setAtEnd(entry.isIntersecting), {
+      rootMargin: '600px 0px',
+    });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [loading]);
+
+  // Pages with no images leave the sentinel on screen, so keep going until
+  // it's pushed off or there's nothing left. A failure waits for Retry.
+  useEffect(() => {
+    if (atEnd && canLoadMore && !loadingMore && !error) loadMore();
+  }, [atEnd, canLoadMore, loadingMore, error, loadMore]);
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div className="flex flex-col gap-4 sm:flex-row sm:items-end sm:justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-surface-900">Gallery</h2>
+          <p className="text-sm text-surface-500 mt-1">Every task attachment, newest first</p>
+        </div>
+        <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
+          <Select
+            options={[
+              { value: '', label: 'All Categories' },
+              ...categories.map((c) => ({ value: c, label: c })),
+            ]}
+            value={category}
+            onChange={(e) => setFilter('category', e.target.value)}
+            aria-label="Filter by category"
+          />
+          <Select
+            options={statusOptions}
+            value={status}
+            onChange={(e) => setFilter('status', e.target.value)}
+            aria-label="Filter by status"
+          />
+          <Select
+            options={ADDED_RANGES.map(({ value, label }) => ({ value, label }))}
+            value={added.value}
+            onChange={(e) => setFilter('added', e.target.value)}
+            aria-label="Filter by date added"
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <PageLoader />
+      ) : images.length === 0 && !canLoadMore && !loadingMore && !error ? (
+        <EmptyState
+          icon={HiOutlinePhotograph}
+          title="No attachments"
+          description={
+            category || status || added.value
+              ? 'No task images match these filters'
+              : 'Images attached to tasks will show up here'
+          }
+        />
+      ) : (
+        <div className="columns-2 gap-4 sm:columns-3 lg:columns-4 xl:columns-5">
+          {images.map((task) => (
+            <button
+              key={task.id}
+              onClick={() => openTask(task)}
+              className="group mb-4 block w-full break-inside-avoid overflow-hidden rounded-xl border border-surface-200 bg-white text-left shadow-sm transition-shadow hover:shadow-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <GalleryImage url={task.imageUrl} />
+              <div className="space-y-1.5 p-3">
+                <p className="truncate text-sm font-medium text-surface-900 group-hover:text-primary-600">
+                  {task.title}
+                </p>
+                <div className="flex flex-wrap items-center gap-1.5">
+                  <Badge color={task.status}>{formatStatus(task.status)}</Badge>
+                  <span className="truncate text-xs text-surface-500">{task.category}</span>
+                </div>
+                <p className="text-xs text-surface-400">
+                  Added {format(new Date(task.createdAt), 'MMM d, yyyy')}
+                </p>
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!loading && (
+        <div ref={sentinelRef} className="flex justify-center py-4 text-sm text-surface-500">
+          {loadingMore ? (
+            <Spinner size="sm" />
+          ) : error ? (
+            <span>
+              {error} ·{' '}
+              <button onClick={retry} className="font-medium text-primary-600 hover:text-primary-700">
+                Retry
+              </button>
+            </span>
+          ) : (
+            !canLoadMore && images.length > 0 && <span>That&apos;s every attachment</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
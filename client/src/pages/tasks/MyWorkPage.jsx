@@ -0,0 +1,193 @@
+import { useSearchParams, useNavigate } from 'react-router-dom';
+import { clsx } from 'clsx';
+import { format, differenceInCalendarDays } from 'date-fns';
+import {
+  HiOutlineInbox,
+  HiOutlinePencilAlt,
+  HiOutlineExclamationCircle,
+} from 'react-icons/hi';
+import { taskService } from '../../services/taskService';
+import { usePagination } from '../../hooks/usePagination';
+import { useMyWorkCounts } from '../../context/MyWorkCountsContext';
+import { Card, Select, Badge, Pagination, EmptyState, PageLoader } from '../../components/ui';
+import { TASK_STATUSES, formatStatus, isTaskOverdue } from '../../utils/tasks';
+
+const MY_WORK_TABS = [
+  {
+    value: 'assigned',
+    label: 'Assigned to me',
+    icon: HiOutlineInbox,
+    fetch: taskService.getMyAssigned,
+    supportsStatus: true,
+    empty: 'Nothing is assigned to you right now',
+  },
+  {
+    value: 'created',
+    label: 'Created by me',
+    icon: HiOutlinePencilAlt,
+    fetch: taskService.getMyCreated,
+    supportsStatus: true,
+    empty: "You haven't created any tasks yet",
+  },
+  {
+    value: 'overdue',
+    label: 'Overdue',
+    icon: HiOutlineExclamationCircle,
+    fetch: taskService.getOverdue,
+    // GET /task/overdue only takes paging params
+    supportsStatus: false,
+    empty: 'Nothing overdue — nice work',
+  },
+];
+
+const statusOptions = [
+  { value: '', label: 'All Statuses' },
+  ...TASK_STATUSES.map((s) => ({ value: String(s.value), label: s.label })),
+];
+
+export default function MyWorkPage() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tab = MY_WORK_TABS.find((t) => t.value === searchParams.get('tab')) || MY_WORK_TABS[0];
+  const { counts } = useMyWorkCounts();
+
+  const selectTab = (value) => {
+    // Paging and the status filter belong to the previous tab
+    setSearchParams(value === MY_WORK_TABS[0].value ? {} : { tab: value });
+  };
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      <div>
+        <h2 className="text-lg font-semibold text-surface-900">My Work</h2>
+        <p className="text-sm text-surface-500 mt-1">
+          Tasks on your plate, the ones you handed out, and anything past due
+        </p>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex gap-1 border-b border-surface-200 overflow-x-auto" role="tablist">
+        {MY_WORK_TABS.map((t) => (
+          <button
+            key={t.value}
+            role="tab"
+            aria-selected={tab.value === t.value}
+            onClick={() => selectTab(t.value)}
+            className={clsx(
+              'flex items-center gap-2 whitespace-nowrap border-b-2 px-4 py-2.5 text-sm font-medium transition-colors -mb-px',
+              tab.value === t.value
+                ? 'border-primary-600 text-primary-700'
+                : 'border-transparent text-surface-500 hover:text-surface-900'
+            )}
+          >
+            <t.icon className="h-4 w-4" />
+            {t.label}
+            {counts[t.value] != null && (
+              <span
+                className={clsx(
+                  'rounded-full px-2 py-0.5 text-xs',
+                  t.value === 'overdue' && counts.overdue > 0
+                    ? 'bg-red-50 text-red-700'
+                    : 'bg-surface-100 text-surface-600'
+                )}
+              >
+                {counts[t.value]}
+              </span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      {/* Keyed so paging state starts fresh on each tab */}
+      <MyWorkTab key={tab.value} tab={tab} />
+    </div>
+  );
+}
+
+function MyWorkTab({ tab }) {
+  const navigate = useNavigate();
+  const { data, loading, page, filters, setPage, updateFilters } = usePagination(
+    tab.fetch,
+    { pageSize: 10 },
+    { syncKeys: tab.supportsStatus ? ['status'] : [] }
+  );
+
+  const tasks = data?.tasks || [];
+  const totalPages = data?.totalPages || 0;
+  const openTask = (task) => navigate(`/tasks?view=${task.id}`);
+
+  return (
+    <div className="space-y-4">
+      {tab.supportsStatus && (
+        <div className="flex justify-end">
+          <Select
+            options={statusOptions}
+            value={filters.status ?? ''}
+            onChange={(e) => updateFilters({ status: e.target.value || undefined })}
+            aria-label="Filter by status"
+            className="sm:w-44"
+          />
+        </div>
+      )}
+
+      {loading ? (
+        <PageLoader />
+      ) : tasks.length === 0 ? (
+        <EmptyState icon={tab.icon} title="No tasks" description={tab.empty} />
+      ) : (
+        <Card padding={false}>
+          <ul className="divide-y divide-surface-100">
+            {tasks.map((task) => (
+              <li key={task.id}>
+                <button
+                  onClick={() => openTask(task)}
+                  className="flex w-full items-center gap-4 px-4 py-3.5 text-left hover:bg-surface-50 transition-colors"
+                >
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-surface-900 truncate">{task.title}</p>
+                    <p className="text-xs text-surface-500 mt-0.5">
+                      {task.category}
+                      {tab.value === 'created' && (
+                        <> · {task.assignedToUserName ? `Assigned to ${task.assignedToUserName}` : 'Unassigned'}</>
+                      )}
+                      {tab.value === 'assigned' && <> · From {task.createdByUserName}</>}
+                    </p>
+                  </div>
+                  <DueLabel task={task} />
+                  <Badge color={task.priority} className="hidden sm:inline-flex">
+                    {task.priority}
+                  </Badge>
+                  <Badge color={task.status}>{formatStatus(task.status)}</Badge>
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="px-4 border-t border-surface-100">
+            <Pagination page={page} totalPages={totalPages} onPageChange={setPage} />
+          </div>
+        </Card>
+      )}
+    </div>
+  );
+}
+
+function DueLabel({ task }) {
+  if (!task.dueDate) {
+    return <span className="hidden md:block w-28 text-right text-xs text-surface-400">No due date</span>;
+  }
+
+  const due = new Date(task.dueDate);
+  if (isTaskOverdue(task)) {
+    const daysLate = differenceInCalendarDays(new Date(), due);
+    return (
+      <span className="w-28 text-right text-xs font-medium text-red-600" title={format(due, 'MMM d, yyyy')}>
+        {daysLate <= 0 ? 'Due today' : `${daysLate} ${daysLate === 1 ? 'day' : 'days'} late`}
+      </span>
+    );
+  }
+
+  return (
+    <span className="hidden md:block w-28 text-right text-xs text-surface-500">
+      Due {format(due, 'MMM d, yyyy')}
+    </span>
+  );
+}
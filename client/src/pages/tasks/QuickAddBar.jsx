@@ -0,0 +1,206 @@
+import { useState, useMemo } from 'react';
+import { clsx } from 'clsx';
+import { format, parseISO } from 'date-fns';
+import { HiOutlineLightningBolt, HiX } from 'react-icons/hi';
+import { taskService } from '../../services/taskService';
+import { useAuth } from '../../context/AuthContext';
+import { parseQuickAdd } from '../../utils/quickAdd';
+import { runBulk } from '../../utils/bulk';
+import { TASK_PRIORITIES } from '../../utils/tasks';
+import { Button, Card } from '../../components/ui';
+import toast from 'react-hot-toast';
+
+// The API requires a category and a description; one-liners get these
+const DEFAULT_CATEGORY = 'General';
+const DEFAULT_PRIORITY = 1;
+
+function toPayload(parsed) {
+  return {
+    title: parsed.title,
+    description: parsed.title,
+    priority: parsed.priority ?? DEFAULT_PRIORITY,
+    category: parsed.category || DEFAULT_CATEGORY,
+    dueDate: parsed.dueDate || null,
+    assignedToUserId: parsed.assignedToUserId ?? null,
+  };
+}
+
+function Field({ label, children, muted }) {
+  return (
+    <span
+      className={clsx(
+        'inline-flex items-center gap-1 rounded-md px-2 py-0.5 text-xs',
+        muted ? 'bg-surface-50 text-surface-400' : 'bg-primary-50 text-primary-700'
+      )}
+    >
+      <span className="font-medium opacity-70">{label}</span>
+      {children}
+    </span>
+  );
+}
+
+function ParsedFields({ parsed, users }) {
+  const assignee = users.find((u) => u.id === parsed.assignedToUserId);
+  return (
+    <div className="flex flex-wrap items-center gap-1.5">
+      <Field label="Title" muted={!parsed.title}>
+        {parsed.title || 'missing'}
+      </Field>
+      <Field label="Due" muted={!parsed.dueDate}>
+        {parsed.dueDate ? format(parseISO(parsed.dueDate), 'EEE, MMM d, yyyy') : 'none'}
+      </Field>
+      <Field label="Priority" muted={parsed.priority === undefined}>
+        {TASK_PRIORITIES[parsed.priority ?? DEFAULT_PRIORITY].label}
+      </Field>
+      <Field label="Category" muted={!parsed.category}>
+        {parsed.category || DEFAULT_CATEGORY}
+      </Field>
+      {parsed.assignedToUserId && (
+        <Field label="Assignee">{assignee?.name || `User #${parsed.assignedToUserId}`}</Field>
+      )}
+    </div>
+  );
+}
+
+/**
+ * One-line task entry above the list, e.g.
+ * `Fix login redirect tomorrow !high #Development @42`. The parsed fields are
+ * previewed as you type. Pasting several lines queues one task per line.
+ */
+export default function QuickAddBar({ users = [], onCreated }) {
+  const { user } = useAuth();
+  const [text, setText] = useState('');
+  const [batch, setBatch] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const parse = (line) => parseQuickAdd(line, { currentUserId: user?.id });
+  const parsed = useMemo(() => parseQuickAdd(text, { currentUserId: user?.id }), [text, user?.id]);
+  const parsedBatch = useMemo(
+    () => batch?.map((line) => parseQuickAdd(line, { currentUserId: user?.id })),
+    [batch, user?.id]
+  );
+
+  const handlePaste = (e) => {
+    const lines = e.clipboardData
+      .getData('text')
+      .split(/\r?\n/)
+      .map((l) => l.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+      .filter(Boolean);
+    if (lines.length < 2) return;
+    e.preventDefault();
+    setBatch([...(batch || []), ...(text.trim() ? [text.trim()] : []), ...lines]);
+    setText('');
+  };
+
+  const create = async (lines) => {
+    const items = lines.map(parse);
+    const untitled = items.filter((p) => !p.title).length;
+    if (untitled) {
+      toast.error(
+        items.length === 1 ? 'Add a title for the task' : `${untitled} of the lines have no title`
+      );
+      return;
+    }
+
+    setSaving(true);
+    // One at a time so the tasks are created in the order given
+    const { succeeded, failed } = await runBulk(
+      items.map((_, i) => i),
+      (i) => taskService.createTask(toPayload(items[i])),
+      { concurrency: 1 }
+    );
+    setSaving(false);
+
+    if (succeeded.length) {
+      toast.success(succeeded.length === 1 ? 'Task created!' : `${succeeded.length} tasks created`);
+      onCreated?.();
+    }
+    if (failed.length) {
+      toast.error(failed[0].message || 'Failed to create task');
+    }
+    // Keep whatever didn't go through so it can be fixed and sent again
+    const remaining = failed.map((f) => lines[f.id]);
+    if (lines.length === 1) {
+      setText(remaining[0] ?? '');
+    } else {
+      setBatch(remaining.length ? remaining : null);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (saving) return;
+    if (batch) create(batch);
+    else if (text.trim()) create([text.trim()]);
+  };
+
+  const removeLine = (index) => {
+    const next = batch.filter((_, i) => i !== index);
+    setBatch(next.length ? next : null);
+  };
+
+  return (
+    <Card>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div className="flex gap-2">
+          <div className="relative flex-1">
+            <HiOutlineLightningBolt className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-surface-400" />
+            <input
+              aria-label="Quick add task"
+              placeholder="Quick add: Fix login redirect tomorrow !high #Development @me"
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              onPaste={handlePaste}
+              onKeyDown={(e) => {
+                if (e.key === 'Escape' && (text || batch)) {
+                  e.stopPropagation();
+                  setText('');
+                  setBatch(null);
+                }
+              }}
+              disabled={saving || !!batch}
+              className="input-field pl-10"
+            />
+          </div>
+          <Button type="submit" loading={saving} disabled={!batch && !text.trim()}>
+            {batch ? `Create ${batch.length} tasks` : 'Add'}
+          </Button>
+          {batch && (
+            <Button type="button" variant="secondary" onClick={() => setBatch(null)} disabled={saving}>
+              Cancel
+            </Button>
+          )}
+        </div>
+
+        {batch ? (
+          <ul className="max-h-64 space-y-2 overflow-y-auto">
+            {parsedBatch.map((p, i) => (
+              <li key={i} className="flex items-start gap-2">
+                <span className="mt-0.5 w-5 shrink-0 text-right text-xs text-surface-400">{i + 1}.</span>
+                <div className="flex-1">
+                  <ParsedFields parsed={p} users={users} />
+                </div>
+                <button
+                  type="button"
+                  onClick={() => removeLine(i)}
+                  disabled={saving}
+                  className="p-0.5 rounded text-surface-400 hover:text-red-600"
+                  aria-label={`Remove line ${i + 1}`}
+                >
+                  <HiX className="h-3.5 w-3.5" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : text.trim() ? (
+          <ParsedFields parsed={parsed} users={users} />
+        ) : (
+          <p className="text-xs text-surface-400">
+            Add a due date (tomorrow, friday, in 3 days, Mar 3), !priority, #Category and @userId or
+            @me. Paste several lines to add several tasks.
+          </p>
+        )}
+      </form>
+    </Card>
+  );
+}
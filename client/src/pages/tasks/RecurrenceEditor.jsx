@@ -0,0 +1,108 @@
+import { clsx } from 'clsx';
+import { format, parseISO } from 'date-fns';
+import {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAY_LABELS,
+  upcomingOccurrences,
+} from '../../utils/recurrence';
+import { Input, Select } from '../../components/ui';
+
+const repeatOptions = [{ value: '', label: 'Does not repeat' }, ...RECURRENCE_FREQUENCIES];
+
+/**
+ * Repeat settings for the task form. `value` is a rule or null; `dueDate`
+ * (yyyy-MM-dd or '') anchors the preview and the defaults for a new rule.
+ */
+export default function RecurrenceEditor({ value, onChange, dueDate }) {
+  const anchor = dueDate ? parseISO(dueDate) : new Date();
+
+  const setFrequency = (frequency) => {
+    if (!frequency) {
+      onChange(null);
+      return;
+    }
+    onChange({
+      frequency,
+      interval: value?.interval ?? 2,
+      weekdays: value?.weekdays?.length ? value.weekdays : [anchor.getDay()],
+      monthDay: value?.monthDay ?? anchor.getDate(),
+      skipped: value?.skipped ?? [],
+    });
+  };
+
+  const toggleWeekday = (d) => {
+    const weekdays = value.weekdays.includes(d)
+      ? value.weekdays.filter((w) => w !== d)
+      : [...value.weekdays, d];
+    // Keep at least one day so the rule always has a next date
+    if (weekdays.length) onChange({ ...value, weekdays });
+  };
+
+  const clampNumber = (text, min, max) => Math.min(max, Math.max(min, Number(text) || min));
+
+  const upcoming = value
+    ? upcomingOccurrences(value, { from: dueDate || null, count: 4 }).filter((o) => !o.skipped)
+    : [];
+
+  return (
+    <div className="space-y-3">
+      <Select
+        label="Repeat"
+        options={repeatOptions}
+        value={value?.frequency ?? ''}
+        onChange={(e) => setFrequency(e.target.value)}
+      />
+
+      {value?.frequency === 'weekly' && (
+        <div className="flex flex-wrap gap-1.5" role="group" aria-label="Repeat on">
+          {WEEKDAY_LABELS.map((label, d) => (
+            <button
+              key={label}
+              type="button"
+              aria-pressed={value.weekdays.includes(d)}
+              onClick={() => toggleWeekday(d)}
+              className={clsx(
+                'h-8 w-11 rounded-lg text-xs font-medium transition-colors',
+                value.weekdays.includes(d)
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-surface-100 text-surface-600 hover:bg-surface-200'
+              )}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value?.frequency === 'monthly' && (
+        <Input
+          label="Day of the month"
+          type="number"
+          min={1}
+          max={31}
+          value={value.monthDay}
+          onChange={(e) => onChange({ ...value, monthDay: clampNumber(e.target.value, 1, 31) })}
+          helperText="Shorter months use their last day"
+        />
+      )}
+
+      {value?.frequency === 'interval' && (
+        <Input
+          label="Every how many days"
+          type="number"
+          min={1}
+          max={365}
+          value={value.interval}
+          onChange={(e) => onChange({ ...value, interval: clampNumber(e.target.value, 1, 365) })}
+        />
+      )}
+
+      {upcoming.length > 0 && (
+        <p className="text-xs text-surface-500">
+          After this one:{' '}
+          {upcoming.map((o) => format(parseISO(o.date), 'EEE, MMM d')).join(' · ')}
+        </p>
+      )}
+    </div>
+  );
+}
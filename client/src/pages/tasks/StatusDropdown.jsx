@@ -0,0 +1,18 @@
+import { TASK_STATUSES, statusValue } from '../../utils/tasks';
+
+export default function StatusDropdown({ status, onChange }) {
+  return (
+    <select
+      value={statusValue(status)}
+      onChange={(e) => onChange(Number(e.target.value))}
+      aria-label="Status"
+      className="text-xs rounded-lg border-0 bg-transparent py-1 pl-1 pr-6 font-medium focus:ring-2 focus:ring-primary-500 cursor-pointer"
+    >
+      {TASK_STATUSES.map((s) => (
+        <option key={s.value} value={s.value}>
+          {s.label}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,262 @@
+import { useState, useEffect, useRef } from 'react';
+import { clsx } from 'clsx';
+import { format } from 'date-fns';
+import {
+  HiChevronLeft,
+  HiChevronRight,
+  HiOutlineCalendar,
+  HiOutlineUser,
+} from 'react-icons/hi';
+import { taskService } from '../../services/taskService';
+import { usePagination } from '../../hooks/usePagination';
+import { Badge, Spinner } from '../../components/ui';
+import { TASK_STATUSES, isTaskOverdue } from '../../utils/tasks';
+import ChecklistProgress from './ChecklistProgress';
+
+const COLUMN_PAGE_SIZE = 10;
+
+export default function TaskBoardView({ filters, reloadToken, onOpenTask, onStatusChange }) {
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  // Keyboard "pick up" state: { task, from, target } as column indexes
+  const [grabbed, setGrabbed] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+
+  // Columns remount when the shared filters change so each one starts at page 1
+  const filtersKey = JSON.stringify(filters);
+
+  const moveTask = async (task, status) => {
+    if (task.status === status.key) return;
+    setAnnouncement(`Moved "${task.title}" to ${status.label}`);
+    await onStatusChange(task, status.value);
+  };
+
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    setDropTarget(null);
+    if (dragging) moveTask(dragging, status);
+    setDragging(null);
+  };
+
+  const handleCardKeyDown = (e, task, columnIndex) => {
+    if (!grabbed) {
+      if (e.key === ' ') {
+        e.preventDefault();
+        setGrabbed({ task, from: columnIndex, target: columnIndex });
+        setAnnouncement(
+          `Picked up "${task.title}". Use left and right arrows to choose a column, space to drop, escape to cancel.`
+        );
+      } else if (e.key === 'Enter') {
+        onOpenTask(task);
+      }
+      return;
+    }
+
+    if (grabbed.task.id !== task.id) return;
+
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      const delta = e.key === 'ArrowLeft' ? -1 : 1;
+      const target = Math.min(TASK_STATUSES.length - 1, Math.max(0, grabbed.target + delta));
+      setGrabbed({ ...grabbed, target });
+      setAnnouncement(`Over ${TASK_STATUSES[target].label}`);
+    } else if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      setGrabbed(null);
+      if (grabbed.target === grabbed.from) {
+        setAnnouncement('Dropped in the same column');
+      } else {
+        moveTask(task, TASK_STATUSES[grabbed.target]);
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setGrabbed(null);
+      setAnnouncement('Move cancelled');
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4 items-start">
+      {TASK_STATUSES.map((status, index) => (
+        <BoardColumn
+          key={`${status.key}-${filtersKey}`}
+          status={status}
+          filters={filters}
+          reloadToken={reloadToken}
+          highlighted={
+            dropTarget === status.key ||
+            (grabbed && grabbed.target === index && grabbed.from !== index)
+          }
+          grabbedId={grabbed?.task.id}
+          draggingId={dragging?.id}
+          onDragOver={(e) => {
+            if (!dragging) return;
+            e.preventDefault();
+            setDropTarget(status.key);
+          }}
+          onDragLeave={() => setDropTarget((prev) => (prev === status.key ? null : prev))}
+          onDrop={(e) => handleDrop(e, status)}
+          onCardDragStart={(e, task) => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(task.id));
+            setDragging(task);
+          }}
+          onCardDragEnd={() => {
+            setDragging(null);
+            setDropTarget(null);
+          }}
+          onCardKeyDown={(e, task) => handleCardKeyDown(e, task, index)}
+          onOpenTask={onOpenTask}
+        />
+      ))}
+
+      {/* Screen reader feedback for keyboard moves */}
+      <p className="sr-only" aria-live="assertive">
+        {announcement}
+      </p>
+    </div>
+  );
+}
+
+function BoardColumn({
+  status,
+  filters,
+  reloadToken,
+  highlighted,
+  grabbedId,
+  draggingId,
+  onDragOver,
+  onDragLeave,
+  onDrop,
+  onCardDragStart,
+  onCardDragEnd,
+  onCardKeyDown,
+  onOpenTask,
+}) {
+  const { data, loading, page, setPage, refresh } = usePagination(taskService.getTasks, {
+    ...filters,
+    status: status.value,
+    pageSize: COLUMN_PAGE_SIZE,
+  });
+  const lastToken = useRef(reloadToken);
+
+  useEffect(() => {
+    if (lastToken.current === reloadToken) return;
+    lastToken.current = reloadToken;
+    refresh();
+  }, [reloadToken, refresh]);
+
+  const tasks = data?.tasks || [];
+  const totalPages = data?.totalPages || 0;
+
+  return (
+    <section
+      aria-label={`${status.label} column`}
+      onDragOver={onDragOver}
+      onDragLeave={onDragLeave}
+      onDrop={onDrop}
+      className={clsx(
+        'flex flex-col rounded-xl border bg-surface-100/60 transition-colors',
+        highlighted ? 'border-primary-400 bg-primary-50/60' : 'border-surface-200'
+      )}
+    >
+      <header className="flex items-center justify-between px-4 py-3">
+        <div className="flex items-center gap-2">
+          <span className={clsx('h-2 w-2 rounded-full', status.dot)} />
+          <h3 className="text-sm font-semibold text-surface-900">{status.label}</h3>
+        </div>
+        <span className="text-xs font-medium text-surface-500">{data?.totalCount ?? 0}</span>
+      </header>
+
+      <div className="flex-1 px-3 pb-3 space-y-2 min-h-[120px]">
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Spinner size="sm" />
+          </div>
+        ) : tasks.length === 0 ? (
+          <p className="py-8 text-center text-xs text-surface-400">No tasks</p>
+        ) : (
+          tasks.map((task) => (
+            <BoardCard
+              key={task.id}
+              task={task}
+              grabbed={grabbedId === task.id}
+              dragging={draggingId === task.id}
+              onDragStart={(e) => onCardDragStart(e, task)}
+              onDragEnd={onCardDragEnd}
+              onKeyDown={(e) => onCardKeyDown(e, task)}
+              onClick={() => onOpenTask(task)}
+            />
+          ))
+        )}
+      </div>
+
+      {totalPages > 1 && (
+        <footer className="flex items-center justify-between px-4 py-2 border-t border-surface-200">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            aria-label={`Previous ${status.label} page`}
+            className="p-1 rounded-lg text-surface-500 hover:bg-surface-200 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            <HiChevronLeft className="h-4 w-4" />
+          </button>
+          <span className="text-xs text-surface-500">
+            {page} / {totalPages}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            aria-label={`Next ${status.label} page`}
+            className="p-1 rounded-lg text-surface-500 hover:bg-surface-200 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            <HiChevronRight className="h-4 w-4" />
+          </button>
+        </footer>
+      )}
+    </section>
+  );
+}
+
+function BoardCard({ task, grabbed, dragging, onDragStart, onDragEnd, onKeyDown, onClick }) {
+  const overdue = isTaskOverdue(task);
+
+  return (
+    <div
+      role="button"
+      tabIndex={0}
+      draggable
+      aria-pressed={grabbed}
+      aria-roledescription="Draggable task"
+      onDragStart={onDragStart}
+      onDragEnd={onDragEnd}
+      onKeyDown={onKeyDown}
+      onClick={onClick}
+      className={clsx(
+        'rounded-lg bg-white p-3 shadow-card cursor-grab space-y-2 transition-all',
+        'focus:outline-none focus:ring-2 focus:ring-primary-500',
+        grabbed && 'ring-2 ring-primary-500 shadow-elevated',
+        dragging && 'opacity-50'
+      )}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <p className="text-sm font-medium text-surface-900 line-clamp-2">{task.title}</p>
+        <Badge color={task.priority}>{task.priority}</Badge>
+      </div>
+      <div className="flex items-center gap-2">
+        <p className="text-xs text-surface-500">{task.category}</p>
+        <ChecklistProgress description={task.description} />
+      </div>
+      <div className="flex items-center justify-between text-xs text-surface-500">
+        <span className={clsx('flex items-center gap-1', overdue && 'text-red-600 font-medium')}>
+          <HiOutlineCalendar className="h-3.5 w-3.5" />
+          {task.dueDate ? format(new Date(task.dueDate), 'MMM d') : 'No due date'}
+        </span>
+        <span className="flex items-center gap-1 truncate">
+          <HiOutlineUser className="h-3.5 w-3.5" />
+          {task.assignedToUserName || 'Unassigned'}
+        </span>
+      </div>
+    </div>
+  );
+}
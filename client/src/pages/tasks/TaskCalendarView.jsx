@@ -0,0 +1,320 @@
+import { useState, useEffect, useMemo } from 'react';
+import { clsx } from 'clsx';
+import {
+  format,
+  startOfMonth,
+  endOfMonth,
+  startOfWeek,
+  endOfWeek,
+  eachDayOfInterval,
+  addMonths,
+  addWeeks,
+  isSameMonth,
+  isToday,
+} from 'date-fns';
+import { HiChevronLeft, HiChevronRight, HiOutlineInbox } from 'react-icons/hi';
+import { taskService } from '../../services/taskService';
+import { Button, Card, Spinner } from '../../components/ui';
+import { isTaskOverdue } from '../../utils/tasks';
+import { cleanParams } from '../../utils/params';
+
+const MAX_PAGE_SIZE = 100;
+const MAX_PAGES = 5;
+const MONTH_VISIBLE_TASKS = 3;
+
+const priorityAccent = {
+  Low: 'border-l-surface-400',
+  Medium: 'border-l-blue-500',
+  High: 'border-l-orange-500',
+  Critical: 'border-l-red-500',
+};
+
+// Walks the pages of GET /task so a busy month or tray is not cut off at one page
+async function fetchAllTasks(params) {
+  const tasks = [];
+  let totalCount = 0;
+  for (let pageNumber = 1; pageNumber <= MAX_PAGES; pageNumber++) {
+    const res = await taskService.getTasks({ ...params, pageNumber, pageSize: MAX_PAGE_SIZE });
+    tasks.push(...(res.data.tasks || []));
+    totalCount = res.data.totalCount || 0;
+    if (pageNumber >= (res.data.totalPages || 0)) break;
+  }
+  return { tasks, truncated: tasks.length < totalCount };
+}
+
+export default function TaskCalendarView({ filters, reloadToken, onOpenTask, onReschedule }) {
+  const [mode, setMode] = useState('month');
+  const [cursor, setCursor] = useState(() => new Date());
+  const [tasks, setTasks] = useState([]);
+  const [unscheduled, setUnscheduled] = useState([]);
+  const [truncated, setTruncated] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [dragging, setDragging] = useState(null);
+  const [dropDay, setDropDay] = useState(null);
+
+  const [rangeStart, rangeEnd] = useMemo(() => {
+    if (mode === 'week') return [startOfWeek(cursor), endOfWeek(cursor)];
+    return [startOfWeek(startOfMonth(cursor)), endOfWeek(endOfMonth(cursor))];
+  }, [mode, cursor]);
+
+  const days = useMemo(
+    () => eachDayOfInterval({ start: rangeStart, end: rangeEnd }),
+    [rangeStart, rangeEnd]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      try {
+        const base = cleanParams({ ...filters, pageSize: undefined });
+        const [scheduled, undated] = await Promise.all([
+          fetchAllTasks({
+            ...base,
+            dueDateFrom: format(rangeStart, 'yyyy-MM-dd'),
+            dueDateTo: format(rangeEnd, "yyyy-MM-dd'T'23:59:59"),
+          }),
+          fetchAllTasks({ ...base, hasDueDate: false }),
+        ]);
+        if (cancelled) return;
+        setTasks(scheduled.tasks);
+        setTruncated(scheduled.truncated);
+        setUnscheduled(undated.tasks);
+      } catch {
+        if (!cancelled) {
+          setTasks([]);
+          setUnscheduled([]);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [filters, rangeStart, rangeEnd, reloadToken]);
+
+  const tasksByDay = useMemo(() => {
+    const map = {};
+    tasks.forEach((task) => {
+      const key = format(new Date(task.dueDate), 'yyyy-MM-dd');
+      (map[key] ||= []).push(task);
+    });
+    return map;
+  }, [tasks]);
+
+  const step = (direction) => {
+    setCursor((prev) => (mode === 'week' ? addWeeks(prev, direction) : addMonths(prev, direction)));
+  };
+
+  const handleDrop = (e, day) => {
+    e.preventDefault();
+    setDropDay(null);
+    if (!dragging) return;
+    const task = dragging;
+    setDragging(null);
+    const target = format(day, 'yyyy-MM-dd');
+    if (task.dueDate && format(new Date(task.dueDate), 'yyyy-MM-dd') === target) return;
+    onReschedule(task, target);
+  };
+
+  const title =
+    mode === 'week'
+      ? `${format(rangeStart, 'MMM d')} – ${format(rangeEnd, 'MMM d, yyyy')}`
+      : format(cursor, 'MMMM yyyy');
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-[1fr_260px] gap-4 items-start">
+      <Card padding={false}>
+        {/* Toolbar */}
+        <div className="flex flex-wrap items-center justify-between gap-3 px-4 py-3 border-b border-surface-100">
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => step(-1)}
+              aria-label={mode === 'week' ? 'Previous week' : 'Previous month'}
+              className="p-2 rounded-lg text-surface-500 hover:bg-surface-100"
+            >
+              <HiChevronLeft className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => step(1)}
+              aria-label={mode === 'week' ? 'Next week' : 'Next month'}
+              className="p-2 rounded-lg text-surface-500 hover:bg-surface-100"
+            >
+              <HiChevronRight className="h-4 w-4" />
+            </button>
+            <h3 className="text-base font-semibold text-surface-900">{title}</h3>
+            {loading && <Spinner size="sm" />}
+          </div>
+          <div className="flex items-center gap-2">
+            <Button variant="ghost" size="sm" onClick={() => setCursor(new Date())}>
+              Today
+            </Button>
+            <div className="flex rounded-lg border border-surface-200 p-0.5" role="group" aria-label="Calendar mode">
+              {['month', 'week'].map((m) => (
+                <button
+                  key={m}
+                  onClick={() => setMode(m)}
+                  aria-pressed={mode === m}
+                  className={clsx(
+                    'rounded-md px-2.5 py-1 text-xs font-medium capitalize transition-colors',
+                    mode === m ? 'bg-primary-50 text-primary-700' : 'text-surface-500 hover:text-surface-900'
+                  )}
+                >
+                  {m}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {truncated && (
+          <p className="px-4 py-2 text-xs text-amber-700 bg-amber-50 border-b border-amber-100">
+            Only the first {MAX_PAGE_SIZE * MAX_PAGES} tasks in this range are shown. Narrow the filters to see the rest.
+          </p>
+        )}
+
+        {/* Weekday header */}
+        <div className="grid grid-cols-7 border-b border-surface-100">
+          {days.slice(0, 7).map((day) => (
+            <div
+              key={day.toISOString()}
+              className="px-2 py-2 text-xs font-medium text-surface-500 uppercase tracking-wider"
+            >
+              {format(day, 'EEE')}
+            </div>
+          ))}
+        </div>
+
+        {/* Day grid */}
+        <div className="grid grid-cols-7">
+          {days.map((day) => {
+            const key = format(day, 'yyyy-MM-dd');
+            const dayTasks = tasksByDay[key] || [];
+            const visible = mode === 'month' ? dayTasks.slice(0, MONTH_VISIBLE_TASKS) : dayTasks;
+            const hidden = dayTasks.length - visible.length;
+
+            return (
+              <div
+                key={key}
+                onDragOver={(e) => {
+                  if (!dragging) return;
+                  e.preventDefault();
+                  setDropDay(key);
+                }}
+                onDragLeave={() => setDropDay((prev) => (prev === key ? null : prev))}
+                onDrop={(e) => handleDrop(e, day)}
+                className={clsx(
+                  'border-b border-r border-surface-100 p-1.5 space-y-1 transition-colors',
+                  mode === 'month' ? 'min-h-[110px]' : 'min-h-[320px]',
+                  mode === 'month' && !isSameMonth(day, cursor) && 'bg-surface-50/70',
+                  dropDay === key && 'bg-primary-50'
+                )}
+              >
+                <div className="flex justify-end">
+                  <span
+                    className={clsx(
+                      'flex h-6 w-6 items-center justify-center rounded-full text-xs font-medium',
+                      isToday(day)
+                        ? 'bg-primary-600 text-white'
+                        : isSameMonth(day, cursor) || mode === 'week'
+                          ? 'text-surface-700'
+                          : 'text-surface-400'
+                    )}
+                  >
+                    {format(day, 'd')}
+                  </span>
+                </div>
+                {visible.map((task) => (
+                  <CalendarChip
+                    key={task.id}
+                    task={task}
+                    dragging={dragging?.id === task.id}
+                    onDragStart={() => setDragging(task)}
+                    onDragEnd={() => {
+                      setDragging(null);
+                      setDropDay(null);
+                    }}
+                    onClick={() => onOpenTask(task)}
+                  />
+                ))}
+                {hidden > 0 && (
+                  <button
+                    onClick={() => {
+                      setCursor(day);
+                      setMode('week');
+                    }}
+                    className="w-full text-left px-1.5 text-xs font-medium text-primary-600 hover:text-primary-700"
+                  >
+                    +{hidden} more
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </Card>
+
+      {/* Unscheduled tray */}
+      <Card padding={false}>
+        <div className="flex items-center justify-between px-4 py-3 border-b border-surface-100">
+          <h3 className="text-sm font-semibold text-surface-900">Unscheduled</h3>
+          <span className="text-xs font-medium text-surface-500">{unscheduled.length}</span>
+        </div>
+        <div className="p-2 space-y-1 max-h-[520px] overflow-y-auto">
+          {unscheduled.length === 0 ? (
+            <div className="flex flex-col items-center py-8 text-center">
+              <HiOutlineInbox className="h-6 w-6 text-surface-300 mb-2" />
+              <p className="text-xs text-surface-400">Every task has a due date</p>
+            </div>
+          ) : (
+            <>
+              <p className="px-1.5 pb-1 text-xs text-surface-400">Drag onto a day to schedule</p>
+              {unscheduled.map((task) => (
+                <CalendarChip
+                  key={task.id}
+                  task={task}
+                  dragging={dragging?.id === task.id}
+                  onDragStart={() => setDragging(task)}
+                  onDragEnd={() => {
+                    setDragging(null);
+                    setDropDay(null);
+                  }}
+                  onClick={() => onOpenTask(task)}
+                />
+              ))}
+            </>
+          )}
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+function CalendarChip({ task, dragging, onDragStart, onDragEnd, onClick }) {
+  const overdue = isTaskOverdue(task);
+
+  return (
+    <button
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(task.id));
+        onDragStart();
+      }}
+      onDragEnd={onDragEnd}
+      onClick={onClick}
+      title={overdue ? `${task.title} (overdue)` : task.title}
+      className={clsx(
+        'block w-full truncate rounded-md border-l-2 px-1.5 py-1 text-left text-xs font-medium transition-opacity cursor-grab',
+        priorityAccent[task.priority] || priorityAccent.Medium,
+        overdue ? 'bg-red-50 text-red-700' : 'bg-white text-surface-700 shadow-card hover:bg-surface-50',
+        (task.status === 'Completed' || task.status === 'Cancelled') && 'line-through text-surface-400',
+        dragging && 'opacity-50'
+      )}
+    >
+      {task.title}
+    </button>
+  );
+}
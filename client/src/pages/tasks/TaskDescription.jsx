@@ -0,0 +1,54 @@
+import { useState, useEffect, useRef } from 'react';
+import { taskService } from '../../services/taskService';
+import { toggleChecklistItem } from '../../utils/checklist';
+import { Markdown } from '../../components/ui';
+import ChecklistProgress from './ChecklistProgress';
+import toast from 'react-hot-toast';
+
+/**
+ * A task's description rendered as Markdown, with its `- [ ]` lines as
+ * working checkboxes. Ticking one rewrites the description through updateTask
+ * straight away; saves go out in click order, and a failure puts back the last
+ * saved text.
+ */
+export default function TaskDescription({ task, onUpdated }) {
+  const [description, setDescription] = useState(task.description || '');
+  const saved = useRef(task.description || '');
+  const queue = useRef(Promise.resolve());
+  const pending = useRef(0);
+
+  // Follow the task as it reloads, unless our own saves are still in flight
+  useEffect(() => {
+    if (pending.current > 0) return;
+    saved.current = task.description || '';
+    setDescription(saved.current);
+  }, [task.id, task.description]);
+
+  const toggle = (line) => {
+    const next = toggleChecklistItem(description, line);
+    setDescription(next);
+    pending.current += 1;
+    queue.current = queue.current.then(async () => {
+      try {
+        await taskService.updateTask(task.id, { description: next });
+        saved.current = next;
+        onUpdated?.();
+      } catch (err) {
+        setDescription(saved.current);
+        toast.error(err.response?.data?.message || "Couldn't update the checklist");
+      } finally {
+        pending.current -= 1;
+      }
+    });
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-1">
+        <h4 className="text-sm font-medium text-surface-500">Description</h4>
+        <ChecklistProgress description={description} />
+      </div>
+      <Markdown source={description} onToggleTask={toggle} />
+    </div>
+  );
+}
@@ -1,10 +1,51 @@
-import { Modal, Badge, Button } from '../../components/ui';
+import { useState, useEffect } from 'react';
+import { Modal, Badge, Button, Lightbox } from '../../components/ui';
 import { format } from 'date-fns';
-import { HiOutlinePencil, HiOutlineCalendar, HiOutlineUser, HiOutlineTag } from 'react-icons/hi';
+import {
+  HiOutlinePencil,
+  HiOutlineCalendar,
+  HiOutlineUser,
+  HiOutlineTag,
+  HiOutlineDocumentDuplicate,
+  HiOutlineArrowsExpand,
+} from 'react-icons/hi';
+import { useTaskTemplates } from '../../context/TaskTemplatesContext';
+import { useAuth } from '../../context/AuthContext';
+import { templateFromTask } from '../../utils/templates';
+import { cloudinaryImageProps } from '../../utils/cloudinary';
+import { canAssignTask } from '../../utils/tasks';
+import toast from 'react-hot-toast';
+import UpcomingOccurrences from './UpcomingOccurrences';
+import TaskDescription from './TaskDescription';
+import AssigneeCombobox from './AssigneeCombobox';
+
+export default function TaskDetailModal({
+  isOpen,
+  onClose,
+  task,
+  onEdit,
+  onStatusChange,
+  onUpdated,
+  assignees = [],
+  assigneesLoading = false,
+  canListUsers = false,
+  onAssign,
+}) {
+  const { saveTemplate } = useTaskTemplates();
+  const { user, isAdmin } = useAuth();
+  const [viewerOpen, setViewerOpen] = useState(false);
+
+  useEffect(() => {
+    setViewerOpen(false);
+  }, [task?.id, isOpen]);
 
-export default function TaskDetailModal({ isOpen, onClose, task, onEdit, onStatusChange }) {
   if (!task) return null;
 
+  const handleSaveTemplate = () => {
+    const template = saveTemplate(templateFromTask(task));
+    toast.success(`Saved “${template.name}” as a template`);
+  };
+
   const statusActions = {
     Pending: { next: 1, label: 'Start Working', color: 'primary' },
     InProgress: { next: 2, label: 'Mark Complete', color: 'primary' },
@@ -22,6 +63,10 @@ export default function TaskDetailModal({ isOpen, onClose, task, onEdit, onStatu
       size="lg"
       footer={
         <>
+          <Button variant="ghost" onClick={handleSaveTemplate} className="mr-auto">
+            <HiOutlineDocumentDuplicate className="h-4 w-4" />
+            Save as template
+          </Button>
           {action && (
             <Button
               variant={action.color}
@@ -50,21 +95,36 @@ export default function TaskDetailModal({ isOpen, onClose, task, onEdit, onStatu
         </div>
 
         {/* Description */}
-        <div>
-          <h4 className="text-sm font-medium text-surface-500 mb-1">Description</h4>
-          <p className="text-sm text-surface-700 whitespace-pre-wrap leading-relaxed">
-            {task.description}
-          </p>
-        </div>
+        <TaskDescription task={task} onUpdated={onUpdated} />
 
         {/* Image */}
         {task.imageUrl && (
           <div>
             <h4 className="text-sm font-medium text-surface-500 mb-2">Attachment</h4>
-            <img
+            <button
+              type="button"
+              onClick={() => setViewerOpen(true)}
+              title="View full size"
+              className="group relative block overflow-hidden rounded-xl border border-surface-200 focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <img
+                {...cloudinaryImageProps(task.imageUrl, {
+                  widths: [320, 640, 960, 1200],
+                  sizes: '(min-width: 672px) 36rem, calc(100vw - 5rem)',
+                })}
+                alt="Task attachment"
+                className="max-h-64 object-cover transition-transform group-hover:scale-[1.02]"
+              />
+              <span className="absolute right-2 top-2 rounded-lg bg-black/50 p-1.5 text-white opacity-0 transition-opacity group-hover:opacity-100 group-focus:opacity-100">
+                <HiOutlineArrowsExpand className="h-4 w-4" />
+              </span>
+            </button>
+            <Lightbox
+              isOpen={viewerOpen}
+              onClose={() => setViewerOpen(false)}
               src={task.imageUrl}
               alt="Task attachment"
-              className="rounded-xl border border-surface-200 max-h-64 object-cover"
+              title={task.title}
             />
           </div>
         )}
@@ -89,10 +149,26 @@ export default function TaskDetailModal({ isOpen, onClose, task, onEdit, onStatu
           <DetailItem
             icon={HiOutlineUser}
             label="Assigned To"
-            value={task.assignedToUserName || 'Unassigned'}
+            value={
+              onAssign && canAssignTask(task, user, isAdmin) ? (
+                <AssigneeCombobox
+                  variant="inline"
+                  users={assignees}
+                  loading={assigneesLoading}
+                  allowIdEntry={!canListUsers}
+                  value={task.assignedToUserId}
+                  valueName={task.assignedToUserName}
+                  onChange={(assignee) => onAssign(task, assignee)}
+                />
+              ) : (
+                task.assignedToUserName || 'Unassigned'
+              )
+            }
           />
         </div>
 
+        <UpcomingOccurrences task={task} />
+
         {/* Timestamps */}
         <div className="text-xs text-surface-400 space-y-1">
           <p>Created: {format(new Date(task.createdAt), 'MMM d, yyyy h:mm a')}</p>
@@ -111,7 +187,7 @@ function DetailItem({ icon: Icon, label, value }) {
       <Icon className="h-4 w-4 text-surface-400 mt-0.5" />
       <div>
         <p className="text-xs text-surface-500">{label}</p>
-        <p className="text-sm font-medium text-surface-900">{value}</p>
+        <div className="text-sm font-medium text-surface-900">{value}</div>
       </div>
     </div>
   );
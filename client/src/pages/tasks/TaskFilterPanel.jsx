@@ -0,0 +1,207 @@
+import { format } from 'date-fns';
+import { HiX } from 'react-icons/hi';
+import { Button, Input, Select } from '../../components/ui';
+import { TASK_STATUSES, TASK_PRIORITIES, DUE_PRESETS } from '../../utils/tasks';
+
+const statusOptions = [
+  { value: '', label: 'All Statuses' },
+  ...TASK_STATUSES.map((s) => ({ value: String(s.value), label: s.label })),
+];
+
+const priorityOptions = [
+  { value: '', label: 'All Priorities' },
+  ...TASK_PRIORITIES.map((p) => ({ value: String(p.value), label: p.label })),
+];
+
+const dueOptions = [{ value: '', label: 'Any due date' }, ...DUE_PRESETS];
+
+// Everything the filter panel can set, so "clear" and chips can cover it all
+export const TASK_FILTER_KEYS = [
+  'status',
+  'priority',
+  'category',
+  'assignedToUserId',
+  'isOverdue',
+  'duePreset',
+  'dueDateFrom',
+  'dueDateTo',
+  'searchTerm',
+];
+
+export default function TaskFilterPanel({
+  filters,
+  onChange,
+  onClear,
+  categories,
+  assignees,
+  showStatus = true,
+}) {
+  const categoryOptions = [
+    { value: '', label: 'All Categories' },
+    ...categories.map((c) => ({ value: c, label: c })),
+  ];
+
+  const assigneeOptions = [
+    { value: '', label: 'Anyone' },
+    ...assignees.map((u) => ({ value: String(u.id), label: u.name })),
+  ];
+
+  const handleDuePreset = (value) => {
+    if (value === 'custom') {
+      onChange({ duePreset: value });
+    } else {
+      onChange({ duePreset: value || undefined, dueDateFrom: undefined, dueDateTo: undefined });
+    }
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-surface-100 space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+        {showStatus && (
+          <Select
+            label="Status"
+            options={statusOptions}
+            value={filters.status ?? ''}
+            onChange={(e) => onChange({ status: e.target.value || undefined })}
+          />
+        )}
+        <Select
+          label="Priority"
+          options={priorityOptions}
+          value={filters.priority ?? ''}
+          onChange={(e) => onChange({ priority: e.target.value || undefined })}
+        />
+        <Select
+          label="Category"
+          options={categoryOptions}
+          value={filters.category ?? ''}
+          onChange={(e) => onChange({ category: e.target.value || undefined })}
+        />
+        <Select
+          label="Assigned To"
+          options={assigneeOptions}
+          value={filters.assignedToUserId ?? ''}
+          onChange={(e) => onChange({ assignedToUserId: e.target.value || undefined })}
+        />
+        <Select
+          label="Due Date"
+          options={dueOptions}
+          value={filters.duePreset ?? ''}
+          onChange={(e) => handleDuePreset(e.target.value)}
+        />
+        {filters.duePreset === 'custom' && (
+          <div className="grid grid-cols-2 gap-2">
+            <Input
+              label="From"
+              type="date"
+              value={filters.dueDateFrom ?? ''}
+              max={filters.dueDateTo || undefined}
+              onChange={(e) => onChange({ dueDateFrom: e.target.value || undefined })}
+            />
+            <Input
+              label="To"
+              type="date"
+              value={filters.dueDateTo ?? ''}
+              min={filters.dueDateFrom || undefined}
+              onChange={(e) => onChange({ dueDateTo: e.target.value || undefined })}
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <label className="flex items-center gap-2 text-sm text-surface-700 cursor-pointer">
+          <input
+            type="checkbox"
+            className="h-4 w-4 rounded border-surface-300 text-primary-600 focus:ring-primary-500"
+            checked={filters.isOverdue === 'true'}
+            onChange={(e) => onChange({ isOverdue: e.target.checked ? 'true' : undefined })}
+          />
+          Overdue only
+        </label>
+        <Button variant="ghost" size="sm" onClick={onClear}>
+          Clear filters
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * One removable chip per active filter, so it's obvious why rows are missing.
+ */
+export function ActiveFilterChips({ filters, onRemove, onClear, assignees, showStatus = true }) {
+  const chips = describeFilters(filters, assignees).filter(
+    (chip) => showStatus || chip.keys[0] !== 'status'
+  );
+  if (chips.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {chips.map((chip) => (
+        <span
+          key={chip.keys.join('-')}
+          className="inline-flex items-center gap-1 rounded-full bg-primary-50 py-1 pl-3 pr-1.5 text-xs font-medium text-primary-700 ring-1 ring-inset ring-primary-600/20"
+        >
+          {chip.label}
+          <button
+            onClick={() => onRemove(Object.fromEntries(chip.keys.map((k) => [k, undefined])))}
+            aria-label={`Remove filter ${chip.label}`}
+            className="rounded-full p-0.5 hover:bg-primary-100"
+          >
+            <HiX className="h-3 w-3" />
+          </button>
+        </span>
+      ))}
+      {chips.length > 1 && (
+        <button
+          onClick={onClear}
+          className="text-xs font-medium text-surface-500 hover:text-surface-900"
+        >
+          Clear all
+        </button>
+      )}
+    </div>
+  );
+}
+
+function describeFilters(filters, assignees) {
+  const chips = [];
+  const shortDate = (value) => format(new Date(`${value}T00:00:00`), 'MMM d, yyyy');
+
+  if (filters.searchTerm) {
+    chips.push({ keys: ['searchTerm'], label: `“${filters.searchTerm}”` });
+  }
+  if (filters.status) {
+    const status = TASK_STATUSES.find((s) => String(s.value) === filters.status);
+    chips.push({ keys: ['status'], label: `Status: ${status?.label ?? filters.status}` });
+  }
+  if (filters.priority) {
+    const priority = TASK_PRIORITIES.find((p) => String(p.value) === filters.priority);
+    chips.push({ keys: ['priority'], label: `Priority: ${priority?.label ?? filters.priority}` });
+  }
+  if (filters.category) {
+    chips.push({ keys: ['category'], label: `Category: ${filters.category}` });
+  }
+  if (filters.assignedToUserId) {
+    const assignee = assignees.find((u) => String(u.id) === filters.assignedToUserId);
+    chips.push({
+      keys: ['assignedToUserId'],
+      label: `Assignee: ${assignee?.name ?? `User #${filters.assignedToUserId}`}`,
+    });
+  }
+  if (filters.isOverdue === 'true') {
+    chips.push({ keys: ['isOverdue'], label: 'Overdue only' });
+  }
+  if (filters.duePreset === 'custom') {
+    if (filters.dueDateFrom || filters.dueDateTo) {
+      const from = filters.dueDateFrom ? shortDate(filters.dueDateFrom) : '…';
+      const to = filters.dueDateTo ? shortDate(filters.dueDateTo) : '…';
+      chips.push({ keys: ['duePreset', 'dueDateFrom', 'dueDateTo'], label: `Due ${from} – ${to}` });
+    }
+  } else if (filters.duePreset) {
+    const preset = DUE_PRESETS.find((p) => p.value === filters.duePreset);
+    chips.push({ keys: ['duePreset'], label: preset?.label ?? filters.duePreset });
+  }
+  return chips;
+}
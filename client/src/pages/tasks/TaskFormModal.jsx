@@ -1,7 +1,20 @@
-import { useState, useEffect } from 'react';
-import { HiOutlinePhotograph } from 'react-icons/hi';
+import { useState, useEffect, useRef } from 'react';
+import { HiOutlineDocumentDuplicate } from 'react-icons/hi';
 import { taskService } from '../../services/taskService';
-import { Modal, Button, Input, Select } from '../../components/ui';
+import { useAuth } from '../../context/AuthContext';
+import { useTaskTemplates } from '../../context/TaskTemplatesContext';
+import { useRecurrence } from '../../context/RecurrenceContext';
+import { useAttachments } from '../../hooks/useAttachments';
+import { useFileDrop } from '../../hooks/useFileDrop';
+import { useAssignableUsers } from '../../hooks/useAssignableUsers';
+import { applyTemplate } from '../../utils/templates';
+import { Modal, Button, Input, Select, MarkdownEditor } from '../../components/ui';
+import TaskTemplateLibrary from './TaskTemplateLibrary';
+import RecurrenceEditor from './RecurrenceEditor';
+import ChecklistEditor from './ChecklistEditor';
+import AttachmentTray from './AttachmentTray';
+import UploadStatus from './UploadStatus';
+import AssigneeCombobox from './AssigneeCombobox';
 import toast from 'react-hot-toast';
 
 const priorityOptions = [
@@ -45,11 +58,23 @@ const statusEnumToValue = {
 export default function TaskFormModal({ isOpen, onClose, task, onSuccess }) {
   const isEdit = !!task;
   const [form, setForm] = useState(defaultForm);
-  const [image, setImage] = useState(null);
-  const [imagePreview, setImagePreview] = useState(null);
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
+  // Progress or failure of the last save; the form keeps its data either way
+  const [upload, setUpload] = useState(null);
+  const abortRef = useRef(null);
+  // The save in flight, marked `closed` if the form is closed before it ends
+  const saveRef = useRef(null);
   const [categories, setCategories] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+  const [showLibrary, setShowLibrary] = useState(false);
+  const { user } = useAuth();
+  const { users, loading: usersLoading, canListUsers } = useAssignableUsers();
+  const { templates } = useTaskTemplates();
+  const { getRule, setRule } = useRecurrence();
+  const [recurrence, setRecurrence] = useState(null);
+  const { attachments, primary, processing, add, remove, makePrimary, reset } = useAttachments();
+  const { dragging, dropProps } = useFileDrop(add);
 
   useEffect(() => {
     if (task) {
@@ -62,14 +87,16 @@ export default function TaskFormModal({ isOpen, onClose, task, onSuccess }) {
         assignedToUserId: task.assignedToUserId?.toString() || '',
         status: statusEnumToValue[task.status] ?? '0',
       });
-      setImagePreview(task.imageUrl || null);
     } else {
       setForm(defaultForm);
-      setImagePreview(null);
     }
-    setImage(null);
+    reset();
+    setUpload(null);
     setErrors({});
-  }, [task, isOpen]);
+    setTemplateId('');
+    setShowLibrary(false);
+    setRecurrence(task ? getRule(task.id) : null);
+  }, [task, isOpen, getRule, reset]);
 
   useEffect(() => {
     if (isOpen) {
@@ -88,19 +115,37 @@ export default function TaskFormModal({ isOpen, onClose, task, onSuccess }) {
     return Object.keys(errs).length === 0;
   };
 
-  const handleImageChange = (e) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      setImage(file);
-      setImagePreview(URL.createObjectURL(file));
-    }
+  const handlePaste = (e) => {
+    const files = Array.from(e.clipboardData?.files || []);
+    if (files.length === 0) return;
+    e.preventDefault();
+    add(files);
   };
 
+  // Regular users only list themselves, so keep whoever has the task now
+  const assignees =
+    task?.assignedToUserId && !users.some((u) => u.id === task.assignedToUserId)
+      ? [...users, { id: task.assignedToUserId, name: task.assignedToUserName }]
+      : users;
+
   const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!validate()) return;
+    e?.preventDefault();
+    if (!validate() || processing) return;
 
+    const image = primary?.file ?? null;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const save = { closed: false };
+    saveRef.current = save;
+    const options = {
+      signal: controller.signal,
+      // Only worth a progress bar when there's an image going up
+      onUploadProgress: image
+        ? ({ loaded, total }) => setUpload({ status: 'uploading', loaded, total: total ?? image.size })
+        : undefined,
+    };
     setLoading(true);
+    setUpload(image ? { status: 'uploading', loaded: 0, total: image.size } : null);
     try {
       const payload = {
         title: form.title,
@@ -113,148 +158,207 @@ export default function TaskFormModal({ isOpen, onClose, task, onSuccess }) {
 
       if (isEdit) {
         payload.status = Number(form.status);
-        await taskService.updateTask(task.id, payload, image);
-        toast.success('Task updated!');
+        // The page confirms edits itself, with an Undo action
+        await taskService.updateTask(task.id, payload, image, options);
+        // An update leaves the assignee alone when none is sent
+        if (task.assignedToUserId && !payload.assignedToUserId) {
+          await taskService.unassignTask(task.id);
+        }
+        setRule(task.id, recurrence);
       } else {
-        await taskService.createTask(payload, image);
+        const res = await taskService.createTask(payload, image, options);
+        setRule(res.data.id, recurrence);
         toast.success('Task created!');
       }
-      onSuccess();
+      setUpload(null);
+      onSuccess({ closed: save.closed });
     } catch (err) {
-      const msg = err.response?.data?.message || `Failed to ${isEdit ? 'update' : 'create'} task`;
-      toast.error(msg);
+      if (err.name === 'CanceledError') {
+        setUpload(null);
+        return;
+      }
+      const message = err.response?.data?.message || `Failed to ${isEdit ? 'update' : 'create'} task`;
+      // Nobody is looking at the form's footer any more
+      if (save.closed) toast.error(message);
+      else setUpload({ status: 'failed', message });
     } finally {
-      setLoading(false);
+      // The form may have been reopened and be saving again by now
+      if (saveRef.current === save) {
+        abortRef.current = null;
+        saveRef.current = null;
+        setLoading(false);
+      }
     }
   };
 
-  const updateField = (field) => (e) => {
-    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+  const cancelUpload = () => abortRef.current?.abort();
+
+  // Closing stops an image that's still going up. Once it's all sent the
+  // server may already have written the task, so the save is left to finish
+  // and `onSuccess({ closed: true })` tells the page not to close it again.
+  const handleClose = () => {
+    if (upload?.status === 'uploading' && upload.loaded < upload.total) cancelUpload();
+    if (saveRef.current) saveRef.current.closed = true;
+    onClose();
+  };
+
+  const startFromTemplate = (template) => {
+    setForm(template ? applyTemplate(template, { user }) : defaultForm);
+    setTemplateId(template?.id ?? '');
+    setErrors({});
+    setShowLibrary(false);
+  };
+
+  const setField = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
     if (errors[field]) setErrors((prev) => ({ ...prev, [field]: undefined }));
   };
 
+  const updateField = (field) => (e) => setField(field, e.target.value);
+  const setDescription = (description) => setField('description', description);
+
   return (
     <Modal
       isOpen={isOpen}
-      onClose={onClose}
-      title={isEdit ? 'Edit Task' : 'Create New Task'}
+      onClose={handleClose}
+      title={showLibrary ? 'Task Templates' : isEdit ? 'Edit Task' : 'Create New Task'}
       size="lg"
       footer={
-        <>
-          <Button variant="secondary" onClick={onClose}>
-            Cancel
-          </Button>
-          <Button loading={loading} onClick={handleSubmit}>
-            {isEdit ? 'Save Changes' : 'Create Task'}
+        showLibrary ? (
+          <Button variant="secondary" onClick={() => setShowLibrary(false)}>
+            Back to task
           </Button>
-        </>
+        ) : (
+          <>
+            {upload && <UploadStatus upload={upload} onCancel={cancelUpload} onRetry={handleSubmit} />}
+            <Button variant="secondary" onClick={handleClose}>
+              Cancel
+            </Button>
+            <Button loading={loading} disabled={processing} onClick={handleSubmit}>
+              {processing ? 'Preparing images…' : isEdit ? 'Save Changes' : 'Create Task'}
+            </Button>
+          </>
+        )
       }
     >
-      <form onSubmit={handleSubmit} className="space-y-5">
-        <Input
-          label="Title"
-          placeholder="Enter task title"
-          value={form.title}
-          onChange={updateField('title')}
-          error={errors.title}
-        />
+      {showLibrary ? (
+        <TaskTemplateLibrary onUse={startFromTemplate} />
+      ) : (
+        <form onSubmit={handleSubmit} onPaste={handlePaste} {...dropProps} className="space-y-5">
+          {!isEdit && (
+            <div className="flex items-end gap-2 p-3 bg-surface-50 rounded-xl">
+              <div className="flex-1">
+                <Select
+                  label="Start from a template"
+                  options={[
+                    { value: '', label: 'Blank task' },
+                    ...templates.map((t) => ({ value: t.id, label: t.name })),
+                  ]}
+                  value={templateId}
+                  onChange={(e) => startFromTemplate(templates.find((t) => t.id === e.target.value))}
+                />
+              </div>
+              <Button type="button" variant="secondary" onClick={() => setShowLibrary(true)}>
+                <HiOutlineDocumentDuplicate className="h-4 w-4" />
+                Manage
+              </Button>
+            </div>
+          )}
+
+          <Input
+            label="Title"
+            placeholder="Enter task title"
+            value={form.title}
+            onChange={updateField('title')}
+            error={errors.title}
+          />
 
-        <div className="space-y-1.5">
-          <label className="block text-sm font-medium text-surface-700">
-            Description
-          </label>
-          <textarea
-            rows={3}
-            className={`input-field resize-none ${errors.description ? 'input-error' : ''}`}
+          <MarkdownEditor
+            label="Description"
             placeholder="Describe the task..."
             value={form.description}
-            onChange={updateField('description')}
+            onChange={setDescription}
+            error={errors.description}
           />
-          {errors.description && (
-            <p className="text-sm text-red-500">{errors.description}</p>
-          )}
-        </div>
 
-        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-          <Select
-            label="Priority"
-            options={priorityOptions}
-            value={form.priority}
-            onChange={updateField('priority')}
-          />
+          <ChecklistEditor description={form.description} onChange={setDescription} />
 
-          {isEdit && (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
             <Select
-              label="Status"
-              options={statusOptions}
-              value={form.status}
-              onChange={updateField('status')}
+              label="Priority"
+              options={priorityOptions}
+              value={form.priority}
+              onChange={updateField('priority')}
             />
-          )}
 
-          <div className="space-y-1.5">
-            <label className="block text-sm font-medium text-surface-700">
-              Category
-            </label>
-            <input
-              list="categories-list"
-              className={`input-field ${errors.category ? 'input-error' : ''}`}
-              placeholder="e.g. Development, Design"
-              value={form.category}
-              onChange={updateField('category')}
-            />
-            <datalist id="categories-list">
-              {categories.map((c) => (
-                <option key={c} value={c} />
-              ))}
-            </datalist>
-            {errors.category && (
-              <p className="text-sm text-red-500">{errors.category}</p>
+            {isEdit && (
+              <Select
+                label="Status"
+                options={statusOptions}
+                value={form.status}
+                onChange={updateField('status')}
+              />
             )}
-          </div>
 
-          <Input
-            label="Due Date"
-            type="date"
-            value={form.dueDate}
-            onChange={updateField('dueDate')}
-          />
-
-          <Input
-            label="Assign To (User ID)"
-            type="number"
-            placeholder="Optional user ID"
-            value={form.assignedToUserId}
-            onChange={updateField('assignedToUserId')}
-          />
-        </div>
-
-        {/* Image upload */}
-        <div className="space-y-1.5">
-          <label className="block text-sm font-medium text-surface-700">
-            Attachment
-          </label>
-          <div className="flex items-center gap-4">
-            <label className="flex items-center gap-2 px-4 py-2.5 rounded-lg border border-dashed border-surface-300 text-sm text-surface-600 hover:border-primary-400 hover:text-primary-600 cursor-pointer transition-colors">
-              <HiOutlinePhotograph className="h-5 w-5" />
-              {image ? image.name : 'Upload image'}
+            <div className="space-y-1.5">
+              <label className="block text-sm font-medium text-surface-700">
+                Category
+              </label>
               <input
-                type="file"
-                accept="image/*"
-                onChange={handleImageChange}
-                className="hidden"
+                list="categories-list"
+                className={`input-field ${errors.category ? 'input-error' : ''}`}
+                placeholder="e.g. Development, Design"
+                value={form.category}
+                onChange={updateField('category')}
               />
+              <datalist id="categories-list">
+                {categories.map((c) => (
+                  <option key={c} value={c} />
+                ))}
+              </datalist>
+              {errors.category && (
+                <p className="text-sm text-red-500">{errors.category}</p>
+              )}
+            </div>
+
+            <Input
+              label="Due Date"
+              type="date"
+              value={form.dueDate}
+              onChange={updateField('dueDate')}
+            />
+
+            <AssigneeCombobox
+              label="Assign To"
+              users={assignees}
+              loading={usersLoading}
+              allowIdEntry={!canListUsers}
+              value={form.assignedToUserId}
+              valueName={
+                Number(form.assignedToUserId) === task?.assignedToUserId ? task.assignedToUserName : undefined
+              }
+              onChange={(assignee) => setField('assignedToUserId', assignee ? String(assignee.id) : '')}
+            />
+          </div>
+
+          <RecurrenceEditor value={recurrence} onChange={setRecurrence} dueDate={form.dueDate} />
+
+          <div className="space-y-1.5">
+            <label className="block text-sm font-medium text-surface-700">
+              Attachments
             </label>
-            {imagePreview && (
-              <img
-                src={imagePreview}
-                alt="Preview"
-                className="h-12 w-12 rounded-lg object-cover border border-surface-200"
-              />
-            )}
+            <AttachmentTray
+              attachments={attachments}
+              primaryId={primary?.id}
+              currentImageUrl={task?.imageUrl}
+              dragging={dragging}
+              onAdd={add}
+              onRemove={remove}
+              onMakePrimary={makePrimary}
+            />
           </div>
-        </div>
-      </form>
+        </form>
+      )}
     </Modal>
   );
 }
@@ -1,74 +1,281 @@
-import { useState, useEffect, useCallback } from 'react';
-import { useSearchParams } from 'react-router-dom';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useSearchParams, useLocation, useNavigate, useOutletContext } from 'react-router-dom';
 import {
   HiOutlinePlus,
   HiOutlineSearch,
   HiOutlineFilter,
   HiOutlineTrash,
   HiOutlineClipboardList,
+  HiOutlineViewList,
+  HiOutlineViewBoards,
+  HiOutlineCalendar,
+  HiOutlineChartBar,
+  HiOutlineBookmark,
+  HiOutlinePencil,
+  HiOutlineRefresh,
 } from 'react-icons/hi';
+import { clsx } from 'clsx';
 import { taskService } from '../../services/taskService';
 import { usePagination } from '../../hooks/usePagination';
+import { useAssignableUsers } from '../../hooks/useAssignableUsers';
+import { useAuth } from '../../context/AuthContext';
+import { usePreferences } from '../../hooks/usePreferences';
+import { useSavedViews } from '../../context/SavedViewsContext';
+import { useUndo } from '../../context/UndoContext';
+import { useMyWorkCounts } from '../../context/MyWorkCountsContext';
+import { useRecurrence } from '../../context/RecurrenceContext';
+import { fileDropHandlers } from '../../hooks/useFileDrop';
 import {
   Button,
   Card,
   Input,
-  Select,
   Badge,
   Pagination,
   EmptyState,
   PageLoader,
   Modal,
+  Select,
+  DataTable,
+  Lightbox,
 } from '../../components/ui';
 import TaskFormModal from './TaskFormModal';
+import QuickAddBar from './QuickAddBar';
 import TaskDetailModal from './TaskDetailModal';
+import TaskBoardView from './TaskBoardView';
+import TaskCalendarView from './TaskCalendarView';
+import TaskTimelineView from './TaskTimelineView';
+import TaskScrollList from './TaskScrollList';
+import TaskFilterPanel, { ActiveFilterChips, TASK_FILTER_KEYS } from './TaskFilterPanel';
+import StatusDropdown from './StatusDropdown';
+import EditableCell from './EditableCell';
+import ChecklistProgress from './ChecklistProgress';
+import AssigneeCombobox from './AssigneeCombobox';
+import TaskThumbnail from './TaskThumbnail';
+import BulkActionBar, { BulkResultModal } from './BulkActionBar';
+import {
+  resolveTaskFilters,
+  statusValue,
+  TASK_STATUSES,
+  priorityValue,
+  formatStatus,
+  TASK_PRIORITIES,
+  canAssignTask,
+} from '../../utils/tasks';
+import { runBulk } from '../../utils/bulk';
+import { snapshotFields, restoreTask, restoreAssignee } from '../../utils/taskHistory';
+import { validateImageFile, compressImage } from '../../utils/images';
+import { isEditableTarget } from '../../utils/keyboard';
 import { format } from 'date-fns';
 import toast from 'react-hot-toast';
 
-const statusOptions = [
-  { value: '', label: 'All Statuses' },
-  { value: '0', label: 'Pending' },
-  { value: '1', label: 'In Progress' },
-  { value: '2', label: 'Completed' },
-  { value: '3', label: 'Cancelled' },
-];
+// Resolve presets at request time so "this week" always means this week
+const fetchTasks = (params) => taskService.getTasks(resolveTaskFilters(params));
 
-const priorityOptions = [
-  { value: '', label: 'All Priorities' },
-  { value: '0', label: 'Low' },
-  { value: '1', label: 'Medium' },
-  { value: '2', label: 'High' },
-  { value: '3', label: 'Critical' },
+const modalKinds = ['view', 'edit', 'delete'];
+// What a saved view captures: filters, search term and view mode
+const savedViewKeys = [...TASK_FILTER_KEYS, 'mode'];
+
+const viewModes = [
+  { value: 'list', label: 'List', icon: HiOutlineViewList },
+  { value: 'board', label: 'Board', icon: HiOutlineViewBoards },
+  { value: 'calendar', label: 'Calendar', icon: HiOutlineCalendar },
+  { value: 'timeline', label: 'Timeline', icon: HiOutlineChartBar },
 ];
 
+const priorityOptions = TASK_PRIORITIES.map((p) => ({ value: String(p.value), label: p.label }));
+
+// Bulk undo/redo counts as failed if any task didn't go through
+const allOrThrow = async (run) => {
+  const { failed } = await run;
+  if (failed.length > 0) throw new Error(`${failed.length} failed`);
+};
+
+const plural = (n) => `${n} task${n === 1 ? '' : 's'}`;
+
+// The API caps pageSize at 100
+const pageSizeOptions = [10, 25, 50, 100].map((n) => ({ value: n, label: `${n} per page` }));
+
 export default function TaskListPage() {
   const [searchParams, setSearchParams] = useSearchParams();
+  const location = useLocation();
+  // Whether the layout's "?" overlay is showing
+  const { shortcutsOpen } = useOutletContext();
+  const navigate = useNavigate();
   const [showFilters, setShowFilters] = useState(false);
-  const [search, setSearch] = useState('');
+  // Task ids; kept across pages, dropped when the filters change
   const [selectedTasks, setSelectedTasks] = useState([]);
-  const [showCreateModal, setShowCreateModal] = useState(false);
-  const [editTask, setEditTask] = useState(null);
-  const [viewTask, setViewTask] = useState(null);
-  const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [selectingAll, setSelectingAll] = useState(false);
+  const [bulkProgress, setBulkProgress] = useState(null);
+  const [bulkResult, setBulkResult] = useState(null);
+  const [bulkDeleteOpen, setBulkDeleteOpen] = useState(false);
+  // Tasks seen since the last change, by id, for selected tasks that aren't
+  // on screen; titles are kept for good, for naming tasks in bulk reports
+  const knownTasks = useRef(new Map());
+  const knownTitles = useRef(new Map());
+  // Task behind the view/edit/delete param, once resolved
+  const [modalTask, setModalTask] = useState(null);
+  // Row that image files are being dragged over
+  const [imageDropId, setImageDropId] = useState(null);
+  // Task whose image is open full-screen
+  const [viewerTaskId, setViewerTaskId] = useState(null);
+  const [saveViewOpen, setSaveViewOpen] = useState(false);
+  const [viewName, setViewName] = useState('');
+  const { saveView } = useSavedViews();
+  const { record, deferDelete, pendingDeleteIds, version: historyVersion } = useUndo();
+  const { refreshCounts } = useMyWorkCounts();
+  const { rules: recurrenceRules, scheduleNext } = useRecurrence();
+  // Bumped after every mutation so views that fetch on their own reload too
+  const [reloadToken, setReloadToken] = useState(0);
+  // Classic pages or endless scroll, and how many rows to fetch at a time
+  const [listPrefs, updateListPrefs] = usePreferences('task-list', {
+    scrollMode: 'paged',
+    pageSize: 10,
+  });
 
   const {
     data,
     loading,
     page,
+    pageSize,
     filters,
     setPage,
+    setPageSize,
     updateFilters,
     refresh,
-  } = usePagination(taskService.getTasks, { pageSize: 10 });
+  } = usePagination(fetchTasks, { pageSize: listPrefs.pageSize }, { syncKeys: TASK_FILTER_KEYS });
+  const queryFilters = useMemo(() => resolveTaskFilters(filters), [filters]);
+  const [categories, setCategories] = useState([]);
+  const { users, loading: usersLoading, canListUsers } = useAssignableUsers();
+  const { user: currentUser, isAdmin } = useAuth();
+  const [search, setSearch] = useState(filters.searchTerm || '');
+
+  // Keep the search box in step with the URL (Back/Forward, shared links)
+  useEffect(() => {
+    setSearch(filters.searchTerm || '');
+  }, [filters.searchTerm]);
+
+  const viewMode = viewModes.some((m) => m.value === searchParams.get('mode'))
+    ? searchParams.get('mode')
+    : 'list';
+
+  const endless = listPrefs.scrollMode === 'endless';
+
+  // The saved preference decides the page size, so it's followed when it
+  // changes later too, e.g. to another user's size after switching accounts
+  useEffect(() => {
+    if (listPrefs.pageSize !== pageSize) setPageSize(listPrefs.pageSize);
+  }, [listPrefs.pageSize, pageSize, setPageSize]);
+
+  const changePageSize = (size) => updateListPrefs({ pageSize: size });
+
+  const setViewMode = (mode) => {
+    const next = new URLSearchParams(searchParams);
+    if (mode === 'list') next.delete('mode');
+    else next.set('mode', mode);
+    setSearchParams(next, { replace: true });
+  };
+
+  useEffect(() => {
+    taskService
+      .getCategories()
+      .then((res) => setCategories(res.data || []))
+      .catch(() => {});
+  }, [reloadToken]);
+
+  // Regular users can't list accounts, so also offer anyone already assigned on this page
+  const assignees = useMemo(() => {
+    const byId = new Map(users.map((u) => [u.id, u]));
+    (data?.tasks || []).forEach((t) => {
+      if (t.assignedToUserId && !byId.has(t.assignedToUserId)) {
+        byId.set(t.assignedToUserId, { id: t.assignedToUserId, name: t.assignedToUserName });
+      }
+    });
+    return [...byId.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }, [users, data]);
+
+  // Date bounds belong to the due preset; search has its own box
+  const activeFilterCount = ['status', 'priority', 'category', 'assignedToUserId', 'isOverdue', 'duePreset']
+    .filter((key) => filters[key]).length;
+
+  const clearFilters = () => {
+    updateFilters(Object.fromEntries(TASK_FILTER_KEYS.map((k) => [k, undefined])));
+    setSearch('');
+  };
+
+  const handleSaveView = (e) => {
+    e.preventDefault();
+    if (!viewName.trim()) return;
+    const query = new URLSearchParams(
+      [...searchParams.entries()].filter(([key]) => savedViewKeys.includes(key))
+    ).toString();
+    saveView(viewName, query);
+    toast.success(`Saved “${viewName.trim()}” to the sidebar`);
+    setSaveViewOpen(false);
+    setViewName('');
+  };
+
+  // Every change ends here, so cached tasks are dropped rather than risk
+  // recording a stale "before"; the refreshed page refills the cache
+  const reload = useCallback(() => {
+    knownTasks.current.clear();
+    refresh();
+    setReloadToken((t) => t + 1);
+    refreshCounts();
+  }, [refresh, refreshCounts]);
+
+  // Modals live in the URL: ?create=true, ?view=<id>, ?edit=<id>, ?delete=<id>
+  const showCreateModal = searchParams.get('create') === 'true';
+  const modalKind = modalKinds.find((kind) => searchParams.has(kind)) || null;
+  const modalTaskId = modalKind ? Number(searchParams.get(modalKind)) : null;
+  const resolvedTask = modalTask?.id === modalTaskId ? modalTask : null;
+
+  const openModal = (kind, task) => {
+    if (task) setModalTask(task);
+    const next = new URLSearchParams(searchParams);
+    ['create', ...modalKinds].forEach((k) => next.delete(k));
+    next.set(kind, task ? String(task.id) : 'true');
+    // Switching between modals replaces the entry so Back still closes them in one step
+    const alreadyOpen = showCreateModal || !!modalKind;
+    setSearchParams(next, {
+      replace: alreadyOpen,
+      state: alreadyOpen ? location.state : { modal: true },
+    });
+  };
+
+  const closeModal = useCallback(() => {
+    if (location.state?.modal) {
+      navigate(-1);
+      return;
+    }
+    const next = new URLSearchParams(searchParams);
+    ['create', ...modalKinds].forEach((k) => next.delete(k));
+    setSearchParams(next, { replace: true });
+  }, [location.state, navigate, searchParams, setSearchParams]);
 
-  // Handle URL params for opening modals
+  // Resolve the task for a modal opened from the URL, fetching it when it
+  // isn't on the current page (e.g. links from the dashboard)
   useEffect(() => {
-    if (searchParams.get('create') === 'true') {
-      setShowCreateModal(true);
-      searchParams.delete('create');
-      setSearchParams(searchParams, { replace: true });
+    if (!modalTaskId || modalTask?.id === modalTaskId) return;
+    const onPage = data?.tasks?.find((t) => t.id === modalTaskId);
+    if (onPage) {
+      setModalTask(onPage);
+      return;
     }
-  }, [searchParams, setSearchParams]);
+    let cancelled = false;
+    taskService
+      .getTaskById(modalTaskId)
+      .then((res) => {
+        if (!cancelled) setModalTask(res.data);
+      })
+      .catch(() => {
+        if (cancelled) return;
+        toast.error('Task not found');
+        closeModal();
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [modalTaskId, modalTask, data, closeModal]);
 
   const handleSearch = useCallback(
     (e) => {
@@ -78,60 +285,519 @@ export default function TaskListPage() {
     [search, updateFilters]
   );
 
-  const handleDelete = async (id) => {
+  const handleDelete = (task) => {
+    closeModal();
+    setSelectedTasks((prev) => prev.filter((id) => id !== task.id));
+    deferDelete({
+      label: `Deleted “${task.title}”`,
+      ids: [task.id],
+      commit: () => taskService.deleteTask(task.id),
+    });
+  };
+
+  const remember = (task) => {
+    knownTasks.current.set(task.id, task);
+    knownTitles.current.set(task.id, task.title);
+  };
+
+  useEffect(() => {
+    (data?.tasks || []).forEach((t) => {
+      knownTasks.current.set(t.id, t);
+      knownTitles.current.set(t.id, t.title);
+    });
+  }, [data]);
+
+  useEffect(() => {
+    setSelectedTasks([]);
+  }, [queryFilters]);
+
+  // Undo/redo changes server data behind our back, so reload after each one
+  const lastHistoryVersion = useRef(historyVersion);
+  useEffect(() => {
+    if (lastHistoryVersion.current === historyVersion) return;
+    lastHistoryVersion.current = historyVersion;
+    reload();
+  }, [historyVersion, reload]);
+
+  // The task as last seen, for recording what a change replaced
+  const snapshotOf = async (id) => {
+    if (knownTasks.current.has(id)) return knownTasks.current.get(id);
+    const { data: task } = await taskService.getTaskById(id);
+    remember(task);
+    return task;
+  };
+
+  const selectAllMatching = async () => {
+    setSelectingAll(true);
     try {
-      await taskService.deleteTask(id);
-      toast.success('Task deleted');
-      setDeleteConfirm(null);
-      refresh();
+      const ids = [];
+      for (let pageNumber = 1; ; pageNumber++) {
+        const res = await fetchTasks({ ...filters, pageNumber, pageSize: 100 });
+        res.data.tasks.forEach((t) => {
+          ids.push(t.id);
+          remember(t);
+        });
+        if (pageNumber >= res.data.totalPages) break;
+      }
+      setSelectedTasks(ids);
     } catch {
-      toast.error('Failed to delete task');
+      toast.error("Couldn't select all matching tasks");
+    } finally {
+      setSelectingAll(false);
     }
   };
 
-  const handleBulkDelete = async () => {
-    if (selectedTasks.length === 0) return;
+  // The API has bulk endpoints for delete and status only; everything else
+  // runs one request per task and reports which ones failed. `revert(task)`
+  // puts one task back as it was before `apply(id)`.
+  const runPerTask = async (title, progressLabel, apply, revert) => {
+    const ids = selectedTasks;
+    const before = new Map();
+    setBulkProgress({ label: progressLabel, done: 0, total: ids.length });
+    const result = await runBulk(
+      ids,
+      async (id) => {
+        before.set(id, await snapshotOf(id));
+        await apply(id);
+      },
+      { onProgress: (done, total) => setBulkProgress({ label: progressLabel, done, total }) }
+    );
+    setBulkProgress(null);
+    setSelectedTasks(result.failed.map((f) => f.id));
+
+    const done = result.succeeded;
+    if (done.length > 0) {
+      record(
+        {
+          label: `${title} (${plural(done.length)})`,
+          undo: () => allOrThrow(runBulk(done, (id) => revert(before.get(id)))),
+          redo: () => allOrThrow(runBulk(done, apply)),
+        },
+        // The summary modal reports partial runs instead of a toast
+        { notify: result.failed.length === 0 }
+      );
+    }
+    if (result.failed.length > 0) setBulkResult({ label: title, ...result });
+    reload();
+  };
+
+  // Completing a repeating task creates its next occurrence (see
+  // RecurrenceContext); resolves to null when nothing was created
+  const scheduleAfter = async (task, status) => {
+    if (status !== statusValue('Completed') || task.status === 'Completed') return null;
     try {
-      await taskService.bulkDelete(selectedTasks);
-      toast.success(`${selectedTasks.length} tasks deleted`);
+      return await scheduleNext(task);
+    } catch (err) {
+      toast.error(err.response?.data?.message || `Couldn't create the next “${task.title}”`);
+      return null;
+    }
+  };
+
+  const handleBulkStatus = async (status) => {
+    const ids = selectedTasks;
+    const label = TASK_STATUSES.find((s) => s.value === status).label;
+    try {
+      const before = await Promise.all(ids.map(snapshotOf));
+      await taskService.bulkUpdateStatus(ids, status);
       setSelectedTasks([]);
-      refresh();
-    } catch {
-      toast.error('Failed to delete tasks');
+      const scheduleAll = () =>
+        Promise.all(before.map((t) => scheduleAfter(t, status))).then((r) => r.filter(Boolean));
+      let scheduled = await scheduleAll();
+      record({
+        label: `Moved ${plural(ids.length)} to ${label}`,
+        // One bulk request per status the tasks had before
+        undo: async () => {
+          await Promise.all(
+            TASK_STATUSES.map((s) => {
+              const group = before.filter((t) => statusValue(t.status) === s.value).map((t) => t.id);
+              return group.length > 0 ? taskService.bulkUpdateStatus(group, s.value) : null;
+            })
+          );
+          await Promise.all(scheduled.map((next) => next.undo()));
+        },
+        redo: async () => {
+          await taskService.bulkUpdateStatus(ids, status);
+          scheduled = await scheduleAll();
+        },
+      });
+      reload();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update tasks');
     }
   };
 
-  const handleStatusChange = async (id, status) => {
+  const handleBulkDelete = () => {
+    const ids = selectedTasks;
+    if (ids.length === 0) return;
+    setBulkDeleteOpen(false);
+    setSelectedTasks([]);
+    deferDelete({
+      label: `Deleted ${plural(ids.length)}`,
+      ids,
+      commit: () => taskService.bulkDelete(ids),
+    });
+  };
+
+  const handleStatusChange = async (task, status) => {
+    const previous = statusValue(task.status);
+    if (previous === status) return;
     try {
-      await taskService.updateTaskStatus(id, status);
-      toast.success('Status updated');
-      refresh();
+      await taskService.updateTaskStatus(task.id, status);
+      let next = await scheduleAfter(task, status);
+      record({
+        label: next
+          ? `Completed “${task.title}”, next due ${format(new Date(next.task.dueDate), 'MMM d')}`
+          : `Moved “${task.title}” to ${TASK_STATUSES[status].label}`,
+        undo: async () => {
+          await taskService.updateTaskStatus(task.id, previous);
+          await next?.undo();
+        },
+        redo: async () => {
+          await taskService.updateTaskStatus(task.id, status);
+          next = await scheduleAfter(task, status);
+        },
+      });
+      reload();
     } catch {
       toast.error('Failed to update status');
     }
   };
 
-  const toggleSelect = (id) => {
-    setSelectedTasks((prev) =>
-      prev.includes(id) ? prev.filter((t) => t !== id) : [...prev, id]
-    );
+  const handleReschedule = async (task, dueDate) => {
+    const label = `Moved “${task.title}” to ${format(new Date(`${dueDate}T00:00:00`), 'MMM d')}`;
+    const previous = snapshotFields(task, ['dueDate']);
+    try {
+      await taskService.updateTask(task.id, { dueDate });
+      if (previous) {
+        record({
+          label,
+          undo: () => taskService.updateTask(task.id, previous),
+          redo: () => taskService.updateTask(task.id, { dueDate }),
+        });
+      } else {
+        toast.success(label);
+      }
+      reload();
+    } catch {
+      toast.error('Failed to reschedule task');
+    }
   };
 
-  const toggleSelectAll = () => {
-    if (!data?.tasks) return;
-    if (selectedTasks.length === data.tasks.length) {
-      setSelectedTasks([]);
-    } else {
-      setSelectedTasks(data.tasks.map((t) => t.id));
+  // A task keeps one image, so the first usable file replaces whatever it had
+  const handleAttachImages = async (task, files) => {
+    const [file, ...others] = files.filter((f) => !validateImageFile(f));
+    if (!file) {
+      toast.error(validateImageFile(files[0]) || 'Only images can be attached');
+      return;
+    }
+    const toastId = toast.loading(`Attaching ${file.name}…`);
+    let image;
+    try {
+      image = await compressImage(file);
+    } catch (err) {
+      toast.error(err.message, { id: toastId });
+      return;
     }
+    try {
+      await taskService.updateTask(task.id, {}, image);
+      toast.success(
+        others.length
+          ? `Attached ${file.name} to “${task.title}”; a task keeps one image`
+          : `Attached ${file.name} to “${task.title}”`,
+        { id: toastId }
+      );
+      reload();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to attach image', { id: toastId });
+    }
+  };
+
+  // Rows take image files dropped on them, or pasted while focus is inside
+  // the row (after clicking its checkbox, say)
+  const imageRowProps = (task) => ({
+    ...fileDropHandlers(
+      (files) => handleAttachImages(task, files),
+      (over) => setImageDropId((id) => (over ? task.id : id === task.id ? null : id))
+    ),
+    onPaste: (e) => {
+      const files = Array.from(e.clipboardData?.files || []);
+      if (files.length === 0 || isEditableTarget(e.target)) return;
+      e.preventDefault();
+      handleAttachImages(task, files);
+    },
+  });
+
+  const imageRowClassName = (task) =>
+    imageDropId === task.id && 'bg-primary-50 outline outline-2 -outline-offset-2 outline-dashed outline-primary-400';
+
+  // A paste with nothing focused goes to the one selected task. The listener
+  // is added once and reads the latest render through the ref.
+  const pasteOntoSelection = useRef(null);
+  pasteOntoSelection.current = (e) => {
+    const files = Array.from(e.clipboardData?.files || []);
+    if (files.length === 0 || e.defaultPrevented || isEditableTarget(e.target)) return;
+    if (viewMode !== 'list' || !listShortcutsEnabled || selectedTasks.length !== 1) return;
+    e.preventDefault();
+    const id = selectedTasks[0];
+    handleAttachImages({ id, title: knownTitles.current.get(id) || `Task #${id}` }, files);
   };
 
-  const tasks = data?.tasks || [];
+  useEffect(() => {
+    const handlePaste = (e) => pasteOntoSelection.current(e);
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, []);
+
+  // Through PUT /assign and /unassign; updateTask can't clear an assignee
+  const handleAssign = async (task, assignee) => {
+    const assign = () =>
+      assignee ? taskService.assignTask(task.id, assignee.id) : taskService.unassignTask(task.id);
+    try {
+      const { data: updated } = await assign();
+      record({
+        label: assignee
+          ? `Assigned “${task.title}” to ${updated?.assignedToUserName || assignee.name}`
+          : `Unassigned “${task.title}”`,
+        undo: () => restoreAssignee(task),
+        redo: assign,
+      });
+      // The detail modal shows its own copy of the task
+      if (updated && modalTask?.id === task.id) setModalTask(updated);
+      reload();
+    } catch (err) {
+      toast.error(err.response?.data?.message || `Failed to ${assignee ? 'assign' : 'unassign'} task`);
+    }
+  };
+
+  // Errors are left to the cell, which shows them and reverts
+  const handleInlineUpdate = async (task, changes) => {
+    await taskService.updateTask(task.id, changes);
+    const previous = snapshotFields(task, Object.keys(changes));
+    if (previous) {
+      record({
+        label: `Updated “${task.title}”`,
+        undo: () => taskService.updateTask(task.id, previous),
+        redo: () => taskService.updateTask(task.id, changes),
+      });
+    }
+    reload();
+  };
+
+  // The form saves on its own, so the state after the edit is read back
+  // when undoing, ready for a redo
+  const recordEdit = (before) => {
+    const entry = {
+      label: `Edited “${before.title}”`,
+      undo: async () => {
+        const { data: current } = await taskService.getTaskById(before.id);
+        entry.after = current;
+        await restoreTask(before, current);
+      },
+      redo: () => restoreTask(entry.after, before),
+    };
+    record(entry);
+  };
+
+  // Row shortcuts (listed in the ? overlay) pause while any dialog is open
+  const listShortcutsEnabled =
+    !showCreateModal &&
+    !modalKind &&
+    !saveViewOpen &&
+    !bulkDeleteOpen &&
+    !bulkResult &&
+    !shortcutsOpen &&
+    viewerTaskId === null;
+
+  const handleRowKey = (key, task) => {
+    if (key === 'Enter') openModal('view', task);
+    else if (key === 'e') openModal('edit', task);
+    else if (key === '#') openModal('delete', task);
+    else if (['1', '2', '3', '4'].includes(key)) handleStatusChange(task, Number(key) - 1);
+    else return false;
+    return true;
+  };
+
+  // GET /task has no sort parameter, so every sortable column sorts the current page
+  const taskColumns = [
+    {
+      id: 'image',
+      header: 'Image',
+      width: 72,
+      cell: (task) => <TaskThumbnail task={task} onClick={() => setViewerTaskId(task.id)} />,
+    },
+    {
+      id: 'title',
+      header: 'Task',
+      hideable: false,
+      sortValue: (task) => task.title.toLowerCase(),
+      cell: (task) => (
+        <EditableCell
+          label="Title"
+          activator="icon"
+          value={task.title}
+          emptyError="Title is required"
+          onSave={(title) => handleInlineUpdate(task, { title })}
+          render={(title) => (
+            <button
+              onClick={() => openModal('view', task)}
+              className="flex items-center gap-1.5 text-left max-w-full"
+            >
+              <p className="text-sm font-medium text-surface-900 hover:text-primary-600 transition-colors truncate">
+                {title}
+              </p>
+              <ChecklistProgress description={task.description} />
+              {recurrenceRules[task.id] && (
+                <HiOutlineRefresh className="h-3.5 w-3.5 shrink-0 text-surface-400" title="Repeats" />
+              )}
+            </button>
+          )}
+        />
+      ),
+    },
+    {
+      id: 'category',
+      header: 'Category',
+      width: 150,
+      sortValue: (task) => task.category.toLowerCase(),
+      cell: (task) => (
+        <EditableCell
+          label="Category"
+          value={task.category}
+          suggestions={categories}
+          emptyError="Category is required"
+          onSave={(category) => handleInlineUpdate(task, { category })}
+          render={(category) => <span className="text-sm text-surface-600">{category}</span>}
+        />
+      ),
+    },
+    {
+      id: 'status',
+      header: 'Status',
+      width: 150,
+      sortValue: (task) => statusValue(task.status),
+      cell: (task) => (
+        <StatusDropdown status={task.status} onChange={(s) => handleStatusChange(task, s)} />
+      ),
+    },
+    {
+      id: 'priority',
+      header: 'Priority',
+      width: 130,
+      sortValue: (task) => priorityValue(task.priority),
+      cell: (task) => (
+        <EditableCell
+          label="Priority"
+          type="select"
+          value={String(priorityValue(task.priority))}
+          options={priorityOptions}
+          onSave={(priority) => handleInlineUpdate(task, { priority: Number(priority) })}
+          render={(priority) => (
+            <Badge color={TASK_PRIORITIES[priority].key}>{TASK_PRIORITIES[priority].label}</Badge>
+          )}
+        />
+      ),
+    },
+    {
+      id: 'dueDate',
+      header: 'Due Date',
+      width: 160,
+      sortValue: (task) => (task.dueDate ? new Date(task.dueDate).getTime() : null),
+      cell: (task) => (
+        <EditableCell
+          label="Due date"
+          type="date"
+          value={task.dueDate ? task.dueDate.split('T')[0] : ''}
+          // updateTask ignores empty fields, so a due date can be moved but not removed
+          emptyError="Due dates can't be cleared here"
+          onSave={(dueDate) => handleInlineUpdate(task, { dueDate })}
+          render={(dueDate) => (
+            <span className="text-sm text-surface-500">
+              {dueDate ? format(new Date(`${dueDate}T00:00:00`), 'MMM d, yyyy') : '—'}
+            </span>
+          )}
+        />
+      ),
+    },
+    {
+      id: 'assignee',
+      header: 'Assigned To',
+      width: 160,
+      sortValue: (task) => task.assignedToUserName?.toLowerCase() ?? null,
+      cell: (task) =>
+        canAssignTask(task, currentUser, isAdmin) ? (
+          <AssigneeCombobox
+            variant="inline"
+            users={assignees}
+            loading={usersLoading}
+            allowIdEntry={!canListUsers}
+            value={task.assignedToUserId}
+            valueName={task.assignedToUserName}
+            onChange={(assignee) => handleAssign(task, assignee)}
+          />
+        ) : (
+          <span className="text-sm text-surface-500">{task.assignedToUserName || '—'}</span>
+        ),
+    },
+    {
+      id: 'actions',
+      header: 'Actions',
+      width: 100,
+      hideable: false,
+      cell: (task) => (
+        <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+          <button
+            onClick={() => openModal('edit', task)}
+            className="p-1.5 rounded-lg text-surface-400 hover:text-primary-600 hover:bg-primary-50"
+            title="Edit task"
+          >
+            <HiOutlinePencil className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => openModal('delete', task)}
+            className="p-1.5 rounded-lg text-surface-400 hover:text-red-600 hover:bg-red-50"
+            title="Delete task"
+          >
+            <HiOutlineTrash className="h-4 w-4" />
+          </button>
+        </div>
+      ),
+    },
+  ];
+
+  // Deletes waiting to be sent are hidden as if they had gone through
+  const tasks = (data?.tasks || []).filter((t) => !pendingDeleteIds.includes(t.id));
   const totalPages = data?.totalPages || 0;
   const totalCount = data?.totalCount || 0;
 
+  // The lightbox steps through the images on this page
+  const imageTasks = tasks.filter((t) => t.imageUrl);
+  const viewerIndex = imageTasks.findIndex((t) => t.id === viewerTaskId);
+  const viewerTask = imageTasks[viewerIndex];
+  const stepViewer = (delta) =>
+    setViewerTaskId(imageTasks[(viewerIndex + delta + imageTasks.length) % imageTasks.length].id);
+
+  const showBulkBar = viewMode === 'list' && (selectedTasks.length > 0 || !!bulkProgress);
+
+  const emptyState = (
+    <EmptyState
+      icon={HiOutlineClipboardList}
+      title="No tasks found"
+      description={
+        activeFilterCount > 0 || filters.searchTerm
+          ? 'Try adjusting your search or filters'
+          : 'Get started by creating your first task'
+      }
+      action={
+        <Button onClick={() => openModal('create')}>
+          <HiOutlinePlus className="h-4 w-4" />
+          Create Task
+        </Button>
+      }
+    />
+  );
+
   return (
-    <div className="space-y-6 animate-fade-in">
+    <div className={clsx('space-y-6 animate-fade-in', showBulkBar && 'pb-20')}>
       {/* Top bar */}
       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
         <div>
@@ -144,20 +810,39 @@ export default function TaskListPage() {
             )}
           </h2>
         </div>
-        <div className="flex items-center gap-3">
-          {selectedTasks.length > 0 && (
-            <Button variant="danger" size="sm" onClick={handleBulkDelete}>
-              <HiOutlineTrash className="h-4 w-4" />
-              Delete ({selectedTasks.length})
-            </Button>
-          )}
-          <Button onClick={() => setShowCreateModal(true)}>
+        <div className="flex flex-wrap items-center gap-3">
+          <div className="flex rounded-lg border border-surface-200 bg-white p-0.5" role="group" aria-label="View mode">
+            {viewModes.map((mode) => (
+              <button
+                key={mode.value}
+                onClick={() => setViewMode(mode.value)}
+                aria-pressed={viewMode === mode.value}
+                title={`${mode.label} view`}
+                className={clsx(
+                  'flex items-center gap-1.5 rounded-md px-2.5 py-1.5 text-xs font-medium transition-colors',
+                  viewMode === mode.value
+                    ? 'bg-primary-50 text-primary-700'
+                    : 'text-surface-500 hover:text-surface-900'
+                )}
+              >
+                <mode.icon className="h-4 w-4" />
+                <span className="hidden sm:inline">{mode.label}</span>
+              </button>
+            ))}
+          </div>
+          <Button variant="secondary" onClick={() => setSaveViewOpen(true)} title="Save view">
+            <HiOutlineBookmark className="h-4 w-4" />
+            <span className="hidden sm:inline">Save view</span>
+          </Button>
+          <Button onClick={() => openModal('create')}>
             <HiOutlinePlus className="h-4 w-4" />
             New Task
           </Button>
         </div>
       </div>
 
+      <QuickAddBar users={users} onCreated={reload} />
+
       {/* Search & Filters */}
       <Card>
         <div className="flex flex-col sm:flex-row gap-3">
@@ -179,165 +864,158 @@ export default function TaskListPage() {
           >
             <HiOutlineFilter className="h-4 w-4" />
             Filters
+            {activeFilterCount > 0 && (
+              <span className="rounded-full bg-primary-600 px-1.5 text-[11px] font-semibold text-white">
+                {activeFilterCount}
+              </span>
+            )}
           </Button>
         </div>
 
         {showFilters && (
-          <div className="mt-4 pt-4 border-t border-surface-100 grid grid-cols-1 sm:grid-cols-3 gap-3">
-            <Select
-              label="Status"
-              options={statusOptions}
-              value={filters.status ?? ''}
-              onChange={(e) => updateFilters({ status: e.target.value || undefined })}
-            />
-            <Select
-              label="Priority"
-              options={priorityOptions}
-              value={filters.priority ?? ''}
-              onChange={(e) => updateFilters({ priority: e.target.value || undefined })}
-            />
-            <div className="flex items-end">
-              <Button
-                variant="ghost"
-                size="sm"
-                onClick={() => {
-                  updateFilters({ status: undefined, priority: undefined, searchTerm: undefined });
-                  setSearch('');
-                }}
-              >
-                Clear filters
-              </Button>
-            </div>
-          </div>
+          <TaskFilterPanel
+            filters={filters}
+            onChange={updateFilters}
+            onClear={clearFilters}
+            categories={categories}
+            assignees={assignees}
+            showStatus={viewMode !== 'board'}
+          />
         )}
       </Card>
 
-      {/* Tasks table */}
-      {loading ? (
-        <PageLoader />
-      ) : tasks.length === 0 ? (
-        <EmptyState
-          icon={HiOutlineClipboardList}
-          title="No tasks found"
-          description="Get started by creating your first task"
-          action={
-            <Button onClick={() => setShowCreateModal(true)}>
-              <HiOutlinePlus className="h-4 w-4" />
-              Create Task
-            </Button>
-          }
-        />
-      ) : (
-        <Card padding={false}>
-          {/* Desktop table */}
-          <div className="hidden md:block overflow-x-auto">
-            <table className="w-full">
-              <thead>
-                <tr className="border-b border-surface-100 text-left">
-                  <th className="px-4 py-3">
-                    <input
-                      type="checkbox"
-                      className="h-4 w-4 rounded border-surface-300 text-primary-600 focus:ring-primary-500"
-                      checked={selectedTasks.length === tasks.length && tasks.length > 0}
-                      onChange={toggleSelectAll}
-                    />
-                  </th>
-                  <th className="px-4 py-3 text-xs font-medium text-surface-500 uppercase tracking-wider">
-                    Task
-                  </th>
-                  <th className="px-4 py-3 text-xs font-medium text-surface-500 uppercase tracking-wider">
-                    Status
-                  </th>
-                  <th className="px-4 py-3 text-xs font-medium text-surface-500 uppercase tracking-wider">
-                    Priority
-                  </th>
-                  <th className="px-4 py-3 text-xs font-medium text-surface-500 uppercase tracking-wider">
-                    Due Date
-                  </th>
-                  <th className="px-4 py-3 text-xs font-medium text-surface-500 uppercase tracking-wider">
-                    Assigned To
-                  </th>
-                  <th className="px-4 py-3 text-xs font-medium text-surface-500 uppercase tracking-wider">
-                    Actions
-                  </th>
-                </tr>
-              </thead>
-              <tbody className="divide-y divide-surface-100">
-                {tasks.map((task) => (
-                  <tr
-                    key={task.id}
-                    className="hover:bg-surface-50 transition-colors group"
-                  >
-                    <td className="px-4 py-3">
-                      <input
-                        type="checkbox"
-                        className="h-4 w-4 rounded border-surface-300 text-primary-600 focus:ring-primary-500"
-                        checked={selectedTasks.includes(task.id)}
-                        onChange={() => toggleSelect(task.id)}
-                      />
-                    </td>
-                    <td className="px-4 py-3">
-                      <button
-                        onClick={() => setViewTask(task)}
-                        className="text-left"
-                      >
-                        <p className="text-sm font-medium text-surface-900 hover:text-primary-600 transition-colors">
-                          {task.title}
-                        </p>
-                        <p className="text-xs text-surface-500 mt-0.5">
-                          {task.category}
-                        </p>
-                      </button>
-                    </td>
-                    <td className="px-4 py-3">
-                      <StatusDropdown
-                        status={task.status}
-                        onChange={(s) => handleStatusChange(task.id, s)}
-                      />
-                    </td>
-                    <td className="px-4 py-3">
-                      <Badge color={task.priority}>{task.priority}</Badge>
-                    </td>
-                    <td className="px-4 py-3 text-sm text-surface-500">
-                      {task.dueDate
-                        ? format(new Date(task.dueDate), 'MMM d, yyyy')
-                        : '—'}
-                    </td>
-                    <td className="px-4 py-3 text-sm text-surface-500">
-                      {task.assignedToUserName || '—'}
-                    </td>
-                    <td className="px-4 py-3">
-                      <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
-                        <button
-                          onClick={() => setEditTask(task)}
-                          className="p-1.5 rounded-lg text-surface-400 hover:text-primary-600 hover:bg-primary-50"
-                        >
-                          <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
-                            <path strokeLinecap="round" strokeLinejoin="round" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                          </svg>
-                        </button>
-                        <button
-                          onClick={() => setDeleteConfirm(task)}
-                          className="p-1.5 rounded-lg text-surface-400 hover:text-red-600 hover:bg-red-50"
-                        >
-                          <HiOutlineTrash className="h-4 w-4" />
-                        </button>
-                      </div>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
+      <ActiveFilterChips
+        filters={filters}
+        onRemove={updateFilters}
+        onClear={clearFilters}
+        assignees={assignees}
+        showStatus={viewMode !== 'board'}
+      />
+
+      {viewMode === 'list' && (
+        <div className="flex items-center justify-end gap-3">
+          <Select
+            options={pageSizeOptions}
+            value={pageSize}
+            onChange={(e) => changePageSize(Number(e.target.value))}
+            aria-label={endless ? 'Tasks loaded per batch' : 'Tasks per page'}
+            className="py-1.5 text-xs"
+          />
+          <div className="flex rounded-lg border border-surface-200 bg-white p-0.5" role="group" aria-label="Paging style">
+            {[
+              { value: 'paged', label: 'Pages' },
+              { value: 'endless', label: 'Endless scroll' },
+            ].map((mode) => (
+              <button
+                key={mode.value}
+                onClick={() => updateListPrefs({ scrollMode: mode.value })}
+                aria-pressed={listPrefs.scrollMode === mode.value}
+                className={clsx(
+                  'rounded-md px-2.5 py-1 text-xs font-medium transition-colors',
+                  listPrefs.scrollMode === mode.value
+                    ? 'bg-primary-50 text-primary-700'
+                    : 'text-surface-500 hover:text-surface-900'
+                )}
+              >
+                {mode.label}
+              </button>
+            ))}
           </div>
+        </div>
+      )}
 
-          {/* Mobile cards */}
-          <div className="md:hidden divide-y divide-surface-100">
-            {tasks.map((task) => (
-              <div
-                key={task.id}
-                className="p-4 space-y-3"
-                onClick={() => setViewTask(task)}
+      {viewMode === 'list' && selectedTasks.length > 0 && (
+        <div className="flex flex-wrap items-center justify-center gap-x-2 gap-y-1 rounded-lg bg-primary-50 px-4 py-2 text-sm text-primary-800">
+          {selectedTasks.length >= totalCount ? (
+            <span>All {plural(totalCount)} matching this filter are selected.</span>
+          ) : (
+            <>
+              <span>{plural(selectedTasks.length)} selected, including any on other pages.</span>
+              <button
+                onClick={selectAllMatching}
+                disabled={selectingAll}
+                className="font-medium underline underline-offset-2 hover:text-primary-900 disabled:opacity-60"
               >
+                {selectingAll ? 'Selecting…' : `Select all ${totalCount} matching this filter`}
+              </button>
+            </>
+          )}
+          <button
+            onClick={() => setSelectedTasks([])}
+            className="font-medium text-primary-600 hover:text-primary-900"
+          >
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      {/* Tasks board / table */}
+      {viewMode === 'board' ? (
+        <TaskBoardView
+          filters={queryFilters}
+          reloadToken={reloadToken}
+          onOpenTask={(task) => openModal('view', task)}
+          onStatusChange={handleStatusChange}
+        />
+      ) : viewMode === 'calendar' ? (
+        <TaskCalendarView
+          filters={queryFilters}
+          reloadToken={reloadToken}
+          onOpenTask={(task) => openModal('view', task)}
+          onReschedule={handleReschedule}
+        />
+      ) : viewMode === 'timeline' ? (
+        <TaskTimelineView
+          key={JSON.stringify(queryFilters)}
+          filters={queryFilters}
+          reloadToken={reloadToken}
+          onOpenTask={(task) => openModal('view', task)}
+        />
+      ) : endless ? (
+        <Card padding={false}>
+          <TaskScrollList
+            filters={queryFilters}
+            pageSize={pageSize}
+            reloadToken={reloadToken}
+            selectedIds={selectedTasks}
+            onSelectionChange={setSelectedTasks}
+            onOpenModal={openModal}
+            onStatusChange={handleStatusChange}
+            onUpdate={handleInlineUpdate}
+            onAssign={handleAssign}
+            categories={categories}
+            assignees={assignees}
+            assigneesLoading={usersLoading}
+            canListUsers={canListUsers}
+            hiddenIds={pendingDeleteIds}
+            keyboardNavigation={listShortcutsEnabled}
+            onRowAction={handleRowKey}
+            rowProps={imageRowProps}
+            rowClassName={imageRowClassName}
+            empty={emptyState}
+          />
+        </Card>
+      ) : // Rows stay mounted while a refresh is in flight so edits don't flash
+      loading && !data ? (
+        <PageLoader />
+      ) : tasks.length === 0 ? (
+        emptyState
+      ) : (
+        <Card padding={false} className={clsx('transition-opacity', loading && 'opacity-60')}>
+          <DataTable
+            tableId="tasks"
+            columns={taskColumns}
+            rows={tasks}
+            selectable
+            selectedIds={selectedTasks}
+            onSelectionChange={setSelectedTasks}
+            keyboardNavigation={listShortcutsEnabled}
+            onRowAction={handleRowKey}
+            rowProps={imageRowProps}
+            rowClassName={imageRowClassName}
+            toolbar={`Showing ${tasks.length} of ${totalCount}`}
+            renderMobileRow={(task) => (
+              <div className="p-4 space-y-3" onClick={() => openModal('view', task)}>
                 <div className="flex items-start justify-between">
                   <div className="flex-1 min-w-0">
                     <p className="text-sm font-medium text-surface-900 truncate">
@@ -356,58 +1034,99 @@ export default function TaskListPage() {
                   )}
                 </div>
               </div>
-            ))}
-          </div>
-
-          {/* Pagination */}
-          <div className="px-4 border-t border-surface-100">
-            <Pagination page={page} totalPages={totalPages} onPageChange={setPage} />
-          </div>
+            )}
+            footer={
+              <div className="px-4 border-t border-surface-100">
+                <Pagination page={page} totalPages={totalPages} onPageChange={setPage} />
+              </div>
+            }
+          />
         </Card>
       )}
 
+      <Lightbox
+        isOpen={!!viewerTask}
+        onClose={() => setViewerTaskId(null)}
+        src={viewerTask?.imageUrl}
+        alt={viewerTask ? `Attachment of ${viewerTask.title}` : ''}
+        title={viewerTask?.title}
+        onPrev={imageTasks.length > 1 ? () => stepViewer(-1) : undefined}
+        onNext={imageTasks.length > 1 ? () => stepViewer(1) : undefined}
+      />
+
       {/* Create/Edit modal */}
       <TaskFormModal
-        isOpen={showCreateModal || !!editTask}
-        onClose={() => {
-          setShowCreateModal(false);
-          setEditTask(null);
-        }}
-        task={editTask}
-        onSuccess={() => {
-          setShowCreateModal(false);
-          setEditTask(null);
-          refresh();
+        isOpen={showCreateModal || (modalKind === 'edit' && !!resolvedTask)}
+        onClose={closeModal}
+        task={modalKind === 'edit' ? resolvedTask : null}
+        onSuccess={({ closed }) => {
+          if (modalKind === 'edit' && resolvedTask) recordEdit(resolvedTask);
+          // A save that outlived its form must not close whatever is open now
+          if (!closed) closeModal();
+          reload();
         }}
       />
 
       {/* View detail modal */}
       <TaskDetailModal
-        isOpen={!!viewTask}
-        onClose={() => setViewTask(null)}
-        task={viewTask}
-        onEdit={(task) => {
-          setViewTask(null);
-          setEditTask(task);
-        }}
+        isOpen={modalKind === 'view' && !!resolvedTask}
+        onClose={closeModal}
+        task={modalKind === 'view' ? resolvedTask : null}
+        onEdit={(task) => openModal('edit', task)}
         onStatusChange={(id, status) => {
-          handleStatusChange(id, status);
-          setViewTask(null);
+          handleStatusChange(resolvedTask, status);
+          closeModal();
         }}
+        onUpdated={reload}
+        assignees={assignees}
+        assigneesLoading={usersLoading}
+        canListUsers={canListUsers}
+        onAssign={handleAssign}
       />
 
+      {/* Save current view */}
+      <Modal
+        isOpen={saveViewOpen}
+        onClose={() => setSaveViewOpen(false)}
+        title="Save View"
+        size="sm"
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setSaveViewOpen(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSaveView} disabled={!viewName.trim()}>
+              Save
+            </Button>
+          </>
+        }
+      >
+        <form onSubmit={handleSaveView} className="space-y-3">
+          <Input
+            label="Name"
+            placeholder="e.g. Critical + overdue"
+            value={viewName}
+            onChange={(e) => setViewName(e.target.value)}
+            autoFocus
+          />
+          <p className="text-xs text-surface-500">
+            The current filters, search and view mode will be pinned under Tasks in the sidebar.
+          </p>
+        </form>
+      </Modal>
+
       {/* Delete confirmation */}
       <Modal
-        isOpen={!!deleteConfirm}
-        onClose={() => setDeleteConfirm(null)}
+        isOpen={modalKind === 'delete' && !!resolvedTask}
+        onClose={closeModal}
         title="Delete Task"
         size="sm"
         footer={
           <>
-            <Button variant="secondary" onClick={() => setDeleteConfirm(null)}>
+            <Button variant="secondary" onClick={closeModal}>
               Cancel
             </Button>
-            <Button variant="danger" onClick={() => handleDelete(deleteConfirm?.id)}>
+            <Button variant="danger" onClick={() => handleDelete(resolvedTask)}>
               Delete
             </Button>
           </>
@@ -415,36 +1134,77 @@ export default function TaskListPage() {
       >
         <p className="text-sm text-surface-600">
           Are you sure you want to delete{' '}
-          <strong>&quot;{deleteConfirm?.title}&quot;</strong>? This action cannot be undone.
+          <strong>&quot;{resolvedTask?.title}&quot;</strong>? This action cannot be undone.
         </p>
       </Modal>
-    </div>
-  );
-}
 
-function StatusDropdown({ status, onChange }) {
-  const statusMap = {
-    Pending: 0,
-    InProgress: 1,
-    Completed: 2,
-    Cancelled: 3,
-  };
+      {/* Bulk actions */}
+      {showBulkBar && (
+        <BulkActionBar
+          count={selectedTasks.length}
+          progress={bulkProgress}
+          assignees={assignees}
+          categories={categories}
+          onClear={() => setSelectedTasks([])}
+          onStatus={handleBulkStatus}
+          onAssign={(user) =>
+            runPerTask(
+              `Assign to ${user.name}`,
+              'Assigning',
+              (id) => taskService.assignTask(id, user.id),
+              restoreAssignee
+            )
+          }
+          onUnassign={() =>
+            runPerTask('Unassign', 'Unassigning', (id) => taskService.unassignTask(id), restoreAssignee)
+          }
+          onPriority={(p) =>
+            runPerTask(
+              `Set priority to ${p.label}`,
+              'Setting priority',
+              (id) => taskService.updateTask(id, { priority: p.value }),
+              (task) => taskService.updateTask(task.id, snapshotFields(task, ['priority']))
+            )
+          }
+          onCategory={(category) =>
+            runPerTask(
+              `Move to ${category}`,
+              'Setting category',
+              (id) => taskService.updateTask(id, { category }),
+              (task) => taskService.updateTask(task.id, snapshotFields(task, ['category']))
+            )
+          }
+          onDelete={() => setBulkDeleteOpen(true)}
+        />
+      )}
 
-  return (
-    <select
-      value={statusMap[status] ?? 0}
-      onChange={(e) => onChange(Number(e.target.value))}
-      className="text-xs rounded-lg border-0 bg-transparent py-1 pl-1 pr-6 font-medium focus:ring-2 focus:ring-primary-500 cursor-pointer"
-    >
-      <option value={0}>Pending</option>
-      <option value={1}>In Progress</option>
-      <option value={2}>Completed</option>
-      <option value={3}>Cancelled</option>
-    </select>
-  );
-}
+      <BulkResultModal
+        result={bulkResult}
+        taskTitle={(id) => knownTitles.current.get(id) || `Task #${id}`}
+        onClose={() => setBulkResult(null)}
+      />
 
-function formatStatus(status) {
-  if (status === 'InProgress') return 'In Progress';
-  return status;
+      <Modal
+        isOpen={bulkDeleteOpen}
+        onClose={() => setBulkDeleteOpen(false)}
+        title="Delete Tasks"
+        size="sm"
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setBulkDeleteOpen(false)}>
+              Cancel
+            </Button>
+            <Button variant="danger" onClick={handleBulkDelete}>
+              Delete {plural(selectedTasks.length)}
+            </Button>
+          </>
+        }
+      >
+        <p className="text-sm text-surface-600">
+          Are you sure you want to delete <strong>{plural(selectedTasks.length)}</strong>? Tasks
+          you don&apos;t have permission to delete are skipped. This action cannot be undone.
+        </p>
+      </Modal>
+    </div>
+  );
 }
@@ -0,0 +1,280 @@
+import { useState, useEffect, useRef } from 'react';
+import { clsx } from 'clsx';
+import { format } from 'date-fns';
+import { HiOutlinePencil, HiOutlineTrash, HiOutlineClipboardList } from 'react-icons/hi';
+import { taskService } from '../../services/taskService';
+import { useAuth } from '../../context/AuthContext';
+import { useInfiniteScroll } from '../../hooks/useInfiniteScroll';
+import { useRowNavigation } from '../../hooks/useRowNavigation';
+import { Badge, Spinner, VirtualList, EmptyState, PageLoader, Lightbox } from '../../components/ui';
+import StatusDropdown from './StatusDropdown';
+import ChecklistProgress from './ChecklistProgress';
+import EditableCell from './EditableCell';
+import TaskThumbnail from './TaskThumbnail';
+import AssigneeCombobox from './AssigneeCombobox';
+import { TASK_PRIORITIES, priorityValue, canAssignTask } from '../../utils/tasks';
+
+const ROW_HEIGHT = 60;
+
+const priorityOptions = TASK_PRIORITIES.map((p) => ({ value: String(p.value), label: p.label }));
+
+const rowGrid =
+  'grid grid-cols-[2.5rem_minmax(0,1fr)_9rem] md:grid-cols-[2.5rem_3rem_minmax(0,1fr)_8rem_9rem_6.5rem_8rem_10rem_5rem] items-center gap-2 px-2';
+
+export default function TaskScrollList({
+  filters,
+  pageSize,
+  reloadToken,
+  selectedIds,
+  onSelectionChange,
+  onOpenModal,
+  onStatusChange,
+  onUpdate,
+  onAssign,
+  categories = [],
+  assignees = [],
+  assigneesLoading = false,
+  canListUsers = false,
+  hiddenIds = [],
+  keyboardNavigation = false,
+  onRowAction,
+  rowProps,
+  rowClassName,
+  empty,
+}) {
+  const { items, totalCount, loading, loadingMore, error, hasMore, loadMore, refresh } =
+    useInfiniteScroll(taskService.getTasks, filters, { pageSize, itemsKey: 'tasks' });
+  const { user, isAdmin } = useAuth();
+  const lastToken = useRef(reloadToken);
+  const [viewerTaskId, setViewerTaskId] = useState(null);
+
+  useEffect(() => {
+    if (lastToken.current === reloadToken) return;
+    lastToken.current = reloadToken;
+    refresh();
+  }, [reloadToken, refresh]);
+
+  const tasks = items.filter((t) => !hiddenIds.includes(t.id));
+  const ids = tasks.map((t) => t.id);
+
+  const { activeId, setActiveId, toggle } = useRowNavigation({
+    ids,
+    selectedIds,
+    onSelectionChange,
+    onAction: (key, id) => onRowAction(key, tasks.find((t) => t.id === id)),
+    enabled: keyboardNavigation && !loading && viewerTaskId === null,
+  });
+
+  // The lightbox steps through the images loaded so far
+  const imageTasks = tasks.filter((t) => t.imageUrl);
+  const viewerIndex = imageTasks.findIndex((t) => t.id === viewerTaskId);
+  const viewerTask = imageTasks[viewerIndex];
+  const stepViewer = (delta) =>
+    setViewerTaskId(imageTasks[(viewerIndex + delta + imageTasks.length) % imageTasks.length].id);
+
+  if (loading) return <PageLoader />;
+  if (tasks.length === 0 && !hasMore) {
+    return error ? (
+      <EmptyState icon={HiOutlineClipboardList} title="Couldn't load tasks" description={error} />
+    ) : (
+      empty
+    );
+  }
+
+  const allSelected = ids.length > 0 && ids.every((id) => selectedIds.includes(id));
+  const someSelected = ids.some((id) => selectedIds.includes(id));
+
+  const toggleAll = () => {
+    if (allSelected) onSelectionChange(selectedIds.filter((id) => !ids.includes(id)));
+    else onSelectionChange([...new Set([...selectedIds, ...ids])]);
+  };
+
+  return (
+    <div>
+      <div
+        className={clsx(
+          rowGrid,
+          'py-2 border-b border-surface-100 text-xs font-medium text-surface-500 uppercase tracking-wider'
+        )}
+      >
+        <span className="flex justify-center">
+          <input
+            type="checkbox"
+            aria-label="Select all loaded tasks"
+            className="h-4 w-4 rounded border-surface-300 text-primary-600 focus:ring-primary-500"
+            checked={allSelected}
+            ref={(el) => {
+              if (el) el.indeterminate = someSelected && !allSelected;
+            }}
+            onChange={toggleAll}
+          />
+        </span>
+        <span className="hidden md:block">Image</span>
+        <span>
+          Task
+          <span className="ml-2 normal-case tracking-normal font-normal">
+            {tasks.length} of {totalCount} loaded
+          </span>
+        </span>
+        <span className="hidden md:block">Category</span>
+        <span>Status</span>
+        <span className="hidden md:block">Priority</span>
+        <span className="hidden md:block">Due Date</span>
+        <span className="hidden md:block">Assigned To</span>
+        <span className="hidden md:block">Actions</span>
+      </div>
+
+      <VirtualList
+        items={tasks}
+        rowHeight={ROW_HEIGHT}
+        // A failed page waits for the retry button rather than going again on its own
+        onEndReached={error ? undefined : loadMore}
+        activeIndex={activeId === null ? null : ids.indexOf(activeId)}
+        renderRow={(task) => (
+          <div
+            {...rowProps?.(task)}
+            onMouseDown={() => setActiveId(task.id)}
+            className={clsx(
+              rowGrid,
+              'h-full border-b border-surface-100 hover:bg-surface-50 transition-colors group',
+              selectedIds.includes(task.id) && 'bg-primary-50/40',
+              activeId === task.id && 'outline outline-2 -outline-offset-2 outline-primary-400',
+              rowClassName?.(task)
+            )}
+          >
+            <span className="flex justify-center">
+              <input
+                type="checkbox"
+                aria-label={`Select ${task.title}`}
+                title="Shift+click to select a range"
+                className="h-4 w-4 rounded border-surface-300 text-primary-600 focus:ring-primary-500"
+                checked={selectedIds.includes(task.id)}
+                readOnly
+                onClick={(e) => toggle(task.id, e.shiftKey)}
+              />
+            </span>
+            <span className="hidden md:block">
+              <TaskThumbnail task={task} onClick={() => setViewerTaskId(task.id)} />
+            </span>
+            <EditableCell
+              label="Title"
+              activator="icon"
+              value={task.title}
+              emptyError="Title is required"
+              onSave={(title) => onUpdate(task, { title })}
+              render={(title) => (
+                <button onClick={() => onOpenModal('view', task)} className="text-left max-w-full">
+                  <p className="text-sm font-medium text-surface-900 hover:text-primary-600 transition-colors truncate">
+                    {title}
+                  </p>
+                  <p className="flex items-center gap-1.5 text-xs text-surface-500 mt-0.5 truncate">
+                    <span className="md:hidden">{task.category}</span>
+                    <ChecklistProgress description={task.description} className="py-0" />
+                  </p>
+                </button>
+              )}
+            />
+            <span className="hidden md:block">
+              <EditableCell
+                label="Category"
+                value={task.category}
+                suggestions={categories}
+                emptyError="Category is required"
+                onSave={(category) => onUpdate(task, { category })}
+                render={(category) => <span className="text-sm text-surface-600 truncate">{category}</span>}
+              />
+            </span>
+            <StatusDropdown status={task.status} onChange={(s) => onStatusChange(task, s)} />
+            <span className="hidden md:block">
+              <EditableCell
+                label="Priority"
+                type="select"
+                value={String(priorityValue(task.priority))}
+                options={priorityOptions}
+                onSave={(priority) => onUpdate(task, { priority: Number(priority) })}
+                render={(priority) => (
+                  <Badge color={TASK_PRIORITIES[priority].key}>{TASK_PRIORITIES[priority].label}</Badge>
+                )}
+              />
+            </span>
+            <span className="hidden md:block">
+              <EditableCell
+                label="Due date"
+                type="date"
+                value={task.dueDate ? task.dueDate.split('T')[0] : ''}
+                emptyError="Due dates can't be cleared here"
+                onSave={(dueDate) => onUpdate(task, { dueDate })}
+                render={(dueDate) => (
+                  <span className="text-sm text-surface-500">
+                    {dueDate ? format(new Date(`${dueDate}T00:00:00`), 'MMM d, yyyy') : '—'}
+                  </span>
+                )}
+              />
+            </span>
+            <span className="hidden md:block min-w-0">
+              {canAssignTask(task, user, isAdmin) ? (
+                <AssigneeCombobox
+                  variant="inline"
+                  users={assignees}
+                  loading={assigneesLoading}
+                  allowIdEntry={!canListUsers}
+                  value={task.assignedToUserId}
+                  valueName={task.assignedToUserName}
+                  onChange={(assignee) => onAssign(task, assignee)}
+                />
+              ) : (
+                <span className="block text-sm text-surface-500 truncate">{task.assignedToUserName || '—'}</span>
+              )}
+            </span>
+            <span className="hidden md:flex items-center gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+              <button
+                onClick={() => onOpenModal('edit', task)}
+                className="p-1.5 rounded-lg text-surface-400 hover:text-primary-600 hover:bg-primary-50"
+                title="Edit task"
+              >
+                <HiOutlinePencil className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => onOpenModal('delete', task)}
+                className="p-1.5 rounded-lg text-surface-400 hover:text-red-600 hover:bg-red-50"
+                title="Delete task"
+              >
+                <HiOutlineTrash className="h-4 w-4" />
+              </button>
+            </span>
+          </div>
+        )}
+        footer={
+          <div className="flex items-center justify-center gap-2 py-4 text-xs text-surface-500">
+            {loadingMore ? (
+              <>
+                <Spinner size="sm" />
+                Loading more…
+              </>
+            ) : error ? (
+              <button onClick={loadMore} className="font-medium text-primary-600 hover:text-primary-700">
+                Couldn&apos;t load more — retry
+              </button>
+            ) : hasMore ? (
+              <button onClick={loadMore} className="font-medium text-primary-600 hover:text-primary-700">
+                Load more
+              </button>
+            ) : (
+              <span>All {totalCount} tasks loaded</span>
+            )}
+          </div>
+        }
+      />
+
+      <Lightbox
+        isOpen={!!viewerTask}
+        onClose={() => setViewerTaskId(null)}
+        src={viewerTask?.imageUrl}
+        alt={viewerTask ? `Attachment of ${viewerTask.title}` : ''}
+        title={viewerTask?.title}
+        onPrev={imageTasks.length > 1 ? () => stepViewer(-1) : undefined}
+        onNext={imageTasks.length > 1 ? () => stepViewer(1) : undefined}
+      />
+    </div>
+  );
+}
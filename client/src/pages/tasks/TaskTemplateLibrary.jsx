@@ -0,0 +1,191 @@
+import { useState } from 'react';
+import { HiOutlinePencil, HiOutlineTrash, HiOutlinePlus, HiOutlineDocumentDuplicate } from 'react-icons/hi';
+import { useTaskTemplates } from '../../context/TaskTemplatesContext';
+import { resolveRelativeDue } from '../../utils/templates';
+import { TASK_PRIORITIES } from '../../utils/tasks';
+import { Button, Input, Select, EmptyState } from '../../components/ui';
+import toast from 'react-hot-toast';
+
+const priorityOptions = TASK_PRIORITIES.map((p) => ({ value: String(p.value), label: p.label }));
+
+const blankTemplate = {
+  name: '',
+  title: '',
+  description: '',
+  priority: 1,
+  category: '',
+  dueIn: '',
+  assignedToUserId: null,
+};
+
+function TemplateEditor({ template, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    ...template,
+    priority: String(template.priority ?? 1),
+    assignedToUserId: template.assignedToUserId ? String(template.assignedToUserId) : '',
+  });
+  const [errors, setErrors] = useState({});
+
+  const updateField = (field) => (e) => {
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+    if (errors[field]) setErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const errs = {};
+    if (!form.name.trim()) errs.name = 'Name is required';
+    if (resolveRelativeDue(form.dueIn) === null) errs.dueIn = 'Use a form like "+3 days" or "+2 weeks"';
+    setErrors(errs);
+    if (Object.keys(errs).length) return;
+
+    onSave({
+      name: form.name.trim(),
+      title: form.title,
+      description: form.description,
+      priority: Number(form.priority),
+      category: form.category.trim(),
+      dueIn: form.dueIn.trim(),
+      assignedToUserId: form.assignedToUserId ? Number(form.assignedToUserId) : null,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <Input
+        label="Template name"
+        placeholder="e.g. Bug triage"
+        value={form.name}
+        onChange={updateField('name')}
+        error={errors.name}
+        autoFocus
+      />
+      <Input
+        label="Task title"
+        placeholder="e.g. Release checklist – {{date}}"
+        value={form.title}
+        onChange={updateField('title')}
+      />
+      <div className="space-y-1.5">
+        <label className="block text-sm font-medium text-surface-700">Description</label>
+        <textarea
+          rows={5}
+          className="input-field resize-y font-mono text-xs"
+          value={form.description}
+          onChange={updateField('description')}
+        />
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <Select
+          label="Priority"
+          options={priorityOptions}
+          value={form.priority}
+          onChange={updateField('priority')}
+        />
+        <Input label="Category" value={form.category} onChange={updateField('category')} />
+        <Input
+          label="Due"
+          placeholder="e.g. +3 days"
+          value={form.dueIn}
+          onChange={updateField('dueIn')}
+          error={errors.dueIn}
+          helperText="Relative to the day the template is used"
+        />
+        <Input
+          label="Assign To (User ID)"
+          type="number"
+          placeholder="Optional user ID"
+          value={form.assignedToUserId}
+          onChange={updateField('assignedToUserId')}
+        />
+      </div>
+      <p className="text-xs text-surface-500">
+        <code className="rounded bg-surface-100 px-1">{'{{date}}'}</code> and{' '}
+        <code className="rounded bg-surface-100 px-1">{'{{user}}'}</code> in the title, description
+        or category become today&apos;s date and your name.
+      </p>
+      <div className="flex justify-end gap-3">
+        <Button type="button" variant="secondary" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit">Save template</Button>
+      </div>
+    </form>
+  );
+}
+
+// Browse, edit and pick task templates; shown inside TaskFormModal
+export default function TaskTemplateLibrary({ onUse }) {
+  const { templates, saveTemplate, updateTemplate, deleteTemplate } = useTaskTemplates();
+  const [editing, setEditing] = useState(null);
+
+  if (editing) {
+    return (
+      <TemplateEditor
+        template={editing}
+        onCancel={() => setEditing(null)}
+        onSave={(fields) => {
+          if (editing.id) updateTemplate(editing.id, fields);
+          else saveTemplate(fields);
+          toast.success('Template saved');
+          setEditing(null);
+        }}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {templates.length === 0 ? (
+        <EmptyState
+          icon={HiOutlineDocumentDuplicate}
+          title="No templates yet"
+          description="Create one here, or use “Save as template” on any task."
+        />
+      ) : (
+        <ul className="divide-y divide-surface-100 rounded-xl border border-surface-200">
+          {templates.map((template) => (
+            <li key={template.id} className="flex items-center gap-3 px-4 py-3">
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-surface-900 truncate">{template.name}</p>
+                <p className="text-xs text-surface-500 truncate">
+                  {[
+                    template.category,
+                    TASK_PRIORITIES[template.priority]?.label,
+                    template.dueIn && `due ${template.dueIn}`,
+                  ]
+                    .filter(Boolean)
+                    .join(' · ')}
+                </p>
+              </div>
+              <Button size="sm" onClick={() => onUse(template)}>
+                Use
+              </Button>
+              <button
+                onClick={() => setEditing(template)}
+                className="p-1.5 rounded-lg text-surface-400 hover:text-primary-600 hover:bg-primary-50"
+                title="Edit template"
+              >
+                <HiOutlinePencil className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => {
+                  deleteTemplate(template.id);
+                  toast.success(`Deleted “${template.name}”`);
+                }}
+                className="p-1.5 rounded-lg text-surface-400 hover:text-red-600 hover:bg-red-50"
+                title="Delete template"
+              >
+                <HiOutlineTrash className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <Button variant="secondary" onClick={() => setEditing(blankTemplate)}>
+        <HiOutlinePlus className="h-4 w-4" />
+        New template
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import { cloudinaryImageProps } from '../../utils/cloudinary';
+
+// A task's image at list-row size; clicking it opens the full view
+export default function TaskThumbnail({ task, onClick }) {
+  if (!task.imageUrl) return null;
+  return (
+    <button
+      onClick={onClick}
+      title="View image"
+      className="block h-10 w-10 overflow-hidden rounded-lg border border-surface-200 bg-surface-100 focus:outline-none focus:ring-2 focus:ring-primary-500"
+    >
+      <img
+        {...cloudinaryImageProps(task.imageUrl, { width: 40, height: 40 })}
+        alt=""
+        loading="lazy"
+        className="h-full w-full object-cover"
+      />
+    </button>
+  );
+}
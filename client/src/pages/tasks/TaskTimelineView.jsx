@@ -0,0 +1,289 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { clsx } from 'clsx';
+import {
+  format,
+  addDays,
+  subDays,
+  startOfDay,
+  eachDayOfInterval,
+  eachWeekOfInterval,
+  eachMonthOfInterval,
+} from 'date-fns';
+import { HiOutlineChartBar } from 'react-icons/hi';
+import { taskService } from '../../services/taskService';
+import { usePagination } from '../../hooks/usePagination';
+import { Card, Select, Pagination, EmptyState, PageLoader } from '../../components/ui';
+import { isTaskOverdue, formatStatus } from '../../utils/tasks';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LABEL_WIDTH = 224;
+const PAGE_SIZE = 50;
+
+const scales = {
+  day: { label: 'Day', pxPerDay: 48 },
+  week: { label: 'Week', pxPerDay: 16 },
+  month: { label: 'Month', pxPerDay: 4 },
+};
+
+const groupOptions = [
+  { value: 'none', label: 'No grouping' },
+  { value: 'category', label: 'Category' },
+  { value: 'assignee', label: 'Assignee' },
+];
+
+const priorityBar = {
+  Low: 'bg-surface-400',
+  Medium: 'bg-blue-500',
+  High: 'bg-orange-500',
+  Critical: 'bg-red-500',
+};
+
+export default function TaskTimelineView({ filters, reloadToken, onOpenTask }) {
+  const [scale, setScale] = useState('week');
+  const [groupBy, setGroupBy] = useState('none');
+  const scrollRef = useRef(null);
+
+  const { data, loading, page, setPage, refresh } = usePagination(taskService.getTasks, {
+    ...filters,
+    pageSize: PAGE_SIZE,
+  });
+  const lastToken = useRef(reloadToken);
+
+  useEffect(() => {
+    if (lastToken.current === reloadToken) return;
+    lastToken.current = reloadToken;
+    refresh();
+  }, [reloadToken, refresh]);
+
+  const tasks = useMemo(() => data?.tasks || [], [data]);
+  const { pxPerDay } = scales[scale];
+  const today = useMemo(() => new Date(), []);
+
+  // Visible window: earliest createdAt to the latest of dueDate / today, padded a little
+  const [rangeStart, rangeEnd] = useMemo(() => {
+    let min = today;
+    let max = today;
+    tasks.forEach((task) => {
+      const created = new Date(task.createdAt);
+      if (created < min) min = created;
+      if (task.dueDate) {
+        const due = new Date(task.dueDate);
+        if (due < min) min = due;
+        if (due > max) max = due;
+      }
+    });
+    const pad = scale === 'month' ? 30 : scale === 'week' ? 7 : 2;
+    return [startOfDay(subDays(min, pad)), startOfDay(addDays(max, pad))];
+  }, [tasks, today, scale]);
+
+  const trackWidth = Math.ceil((rangeEnd - rangeStart) / DAY_MS) * pxPerDay;
+  const toX = (date) => ((new Date(date) - rangeStart) / DAY_MS) * pxPerDay;
+  const todayX = toX(today);
+
+  const ticks = useMemo(() => {
+    const interval = { start: rangeStart, end: rangeEnd };
+    if (scale === 'day') {
+      return eachDayOfInterval(interval).map((d) => ({
+        date: d,
+        label: format(d, d.getDate() === 1 ? 'MMM d' : 'd'),
+      }));
+    }
+    if (scale === 'week') {
+      return eachWeekOfInterval(interval).map((d) => ({ date: d, label: format(d, 'MMM d') }));
+    }
+    return eachMonthOfInterval(interval).map((d) => ({ date: d, label: format(d, 'MMM yyyy') }));
+  }, [rangeStart, rangeEnd, scale]);
+
+  const groups = useMemo(() => {
+    if (groupBy === 'none') return [{ name: null, tasks }];
+    const map = new Map();
+    tasks.forEach((task) => {
+      const name =
+        groupBy === 'category'
+          ? task.category || 'Uncategorized'
+          : task.assignedToUserName || 'Unassigned';
+      if (!map.has(name)) map.set(name, []);
+      map.get(name).push(task);
+    });
+    return [...map.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, groupTasks]) => ({ name, tasks: groupTasks }));
+  }, [tasks, groupBy]);
+
+  // Keep "today" in view whenever the data or zoom level changes
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    el.scrollLeft = Math.max(0, LABEL_WIDTH + todayX - el.clientWidth / 2);
+  }, [todayX, loading]);
+
+  if (loading) return <PageLoader />;
+
+  if (tasks.length === 0) {
+    return (
+      <EmptyState
+        icon={HiOutlineChartBar}
+        title="Nothing to plot"
+        description="No tasks match the current filters"
+      />
+    );
+  }
+
+  return (
+    <Card padding={false}>
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center justify-between gap-3 px-4 py-3 border-b border-surface-100">
+        <div className="flex rounded-lg border border-surface-200 p-0.5" role="group" aria-label="Zoom">
+          {Object.entries(scales).map(([key, s]) => (
+            <button
+              key={key}
+              onClick={() => setScale(key)}
+              aria-pressed={scale === key}
+              className={clsx(
+                'rounded-md px-2.5 py-1 text-xs font-medium transition-colors',
+                scale === key ? 'bg-primary-50 text-primary-700' : 'text-surface-500 hover:text-surface-900'
+              )}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-3">
+          <Legend />
+          <Select
+            options={groupOptions}
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            aria-label="Group by"
+            className="py-1.5 text-xs"
+          />
+        </div>
+      </div>
+
+      {/* Chart */}
+      <div ref={scrollRef} className="overflow-x-auto">
+        <div className="relative" style={{ width: LABEL_WIDTH + trackWidth }}>
+          {/* Scale header */}
+          <div className="flex sticky top-0 z-20 bg-white border-b border-surface-100">
+            <div
+              className="sticky left-0 z-10 shrink-0 bg-white px-4 py-2 text-xs font-medium text-surface-500 uppercase tracking-wider"
+              style={{ width: LABEL_WIDTH }}
+            >
+              Task
+            </div>
+            <div className="relative h-8" style={{ width: trackWidth }}>
+              {ticks.map((tick) => (
+                <span
+                  key={tick.date.toISOString()}
+                  className="absolute top-0 h-full border-l border-surface-100 pl-1 pt-2 text-[11px] text-surface-500 whitespace-nowrap"
+                  style={{ left: toX(tick.date) }}
+                >
+                  {tick.label}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          {/* Rows */}
+          {groups.map((group) => (
+            <div key={group.name ?? 'all'}>
+              {group.name && (
+                <div className="flex bg-surface-50 border-b border-surface-100">
+                  <div
+                    className="sticky left-0 z-10 shrink-0 bg-surface-50 px-4 py-1.5 text-xs font-semibold text-surface-700"
+                    style={{ width: LABEL_WIDTH }}
+                  >
+                    {group.name}
+                    <span className="ml-1.5 font-normal text-surface-400">{group.tasks.length}</span>
+                  </div>
+                </div>
+              )}
+              {group.tasks.map((task) => (
+                <TimelineRow
+                  key={task.id}
+                  task={task}
+                  toX={toX}
+                  todayX={todayX}
+                  trackWidth={trackWidth}
+                  onOpen={() => onOpenTask(task)}
+                />
+              ))}
+            </div>
+          ))}
+
+          {/* Today marker */}
+          <div
+            className="pointer-events-none absolute top-0 bottom-0 z-10 w-px bg-primary-500"
+            style={{ left: LABEL_WIDTH + todayX }}
+          >
+            <span className="absolute -top-0 left-1 rounded bg-primary-600 px-1 text-[10px] font-medium text-white">
+              Today
+            </span>
+          </div>
+        </div>
+      </div>
+
+      {(data?.totalPages || 0) > 1 && (
+        <div className="px-4 border-t border-surface-100">
+          <Pagination page={page} totalPages={data.totalPages} onPageChange={setPage} />
+        </div>
+      )}
+    </Card>
+  );
+}
+
+function TimelineRow({ task, toX, todayX, trackWidth, onOpen }) {
+  const overdue = isTaskOverdue(task);
+  const createdX = toX(task.createdAt);
+  // Tasks without a deadline are drawn open-ended up to today
+  const endX = task.dueDate ? toX(task.dueDate) : todayX;
+  const left = Math.min(createdX, endX);
+  const width = Math.max(6, Math.abs(endX - createdX));
+  const dueLabel = task.dueDate ? format(new Date(task.dueDate), 'MMM d, yyyy') : 'no due date';
+
+  return (
+    <div className="flex border-b border-surface-100 hover:bg-surface-50/60">
+      <button
+        onClick={onOpen}
+        className="sticky left-0 z-10 shrink-0 truncate bg-white px-4 py-2.5 text-left text-sm text-surface-800 hover:text-primary-600"
+        style={{ width: LABEL_WIDTH }}
+        title={task.title}
+      >
+        {task.title}
+      </button>
+      <div className="relative h-10" style={{ width: trackWidth }}>
+        <button
+          onClick={onOpen}
+          title={`${task.title} — ${format(new Date(task.createdAt), 'MMM d, yyyy')} → ${dueLabel} (${formatStatus(task.status)})`}
+          className={clsx(
+            'absolute top-2.5 h-5 rounded-md opacity-90 hover:opacity-100 transition-opacity',
+            priorityBar[task.priority] || priorityBar.Medium,
+            !task.dueDate && 'opacity-50 border border-dashed border-white',
+            (task.status === 'Completed' || task.status === 'Cancelled') && 'opacity-40'
+          )}
+          style={{ left, width }}
+        />
+        {overdue && todayX > endX && (
+          <div
+            className="absolute top-[1.125rem] h-1 rounded-full bg-red-300"
+            style={{ left: endX, width: todayX - endX }}
+            title="Overdue"
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Legend() {
+  return (
+    <div className="hidden md:flex items-center gap-3 text-xs text-surface-500">
+      {Object.entries(priorityBar).map(([name, color]) => (
+        <span key={name} className="flex items-center gap-1">
+          <span className={clsx('h-2.5 w-2.5 rounded-sm', color)} />
+          {name}
+        </span>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import { clsx } from 'clsx';
+import { format, parseISO } from 'date-fns';
+import { HiOutlineRefresh } from 'react-icons/hi';
+import { useRecurrence } from '../../context/RecurrenceContext';
+import { describeRule, upcomingOccurrences } from '../../utils/recurrence';
+
+// The next few dates a repeating task will be due, each of which can be skipped
+export default function UpcomingOccurrences({ task }) {
+  const { getRule, setRule } = useRecurrence();
+  const rule = getRule(task.id);
+  if (!rule) return null;
+
+  const upcoming = upcomingOccurrences(rule, { from: task.dueDate, count: 5 });
+
+  const toggleSkip = (date) => {
+    const skipped = rule.skipped || [];
+    setRule(task.id, {
+      ...rule,
+      skipped: skipped.includes(date) ? skipped.filter((d) => d !== date) : [...skipped, date],
+    });
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="flex items-center gap-1.5 text-sm font-medium text-surface-500">
+          <HiOutlineRefresh className="h-4 w-4" />
+          {describeRule(rule)}
+        </h4>
+        <button
+          onClick={() => setRule(task.id, null)}
+          className="text-xs font-medium text-surface-500 hover:text-red-600"
+        >
+          Stop repeating
+        </button>
+      </div>
+      <ul className="divide-y divide-surface-100 rounded-xl border border-surface-200">
+        {upcoming.map((o) => (
+          <li key={o.date} className="flex items-center justify-between px-4 py-2 text-sm">
+            <span className={clsx(o.skipped ? 'text-surface-400 line-through' : 'text-surface-700')}>
+              {format(parseISO(o.date), 'EEEE, MMM d, yyyy')}
+            </span>
+            <button
+              onClick={() => toggleSkip(o.date)}
+              className="text-xs font-medium text-primary-600 hover:text-primary-700"
+            >
+              {o.skipped ? 'Restore' : 'Skip'}
+            </button>
+          </li>
+        ))}
+      </ul>
+      <p className="mt-1.5 text-xs text-surface-400">
+        The next one is created when this task is marked complete. Edit the task to change how it
+        repeats.
+      </p>
+    </div>
+  );
+}
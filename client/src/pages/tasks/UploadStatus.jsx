@@ -0,0 +1,65 @@
+import { clsx } from 'clsx';
+import { HiOutlineExclamationCircle, HiOutlineRefresh } from 'react-icons/hi';
+import { Button } from '../../components/ui';
+import { formatBytes } from '../../utils/images';
+
+/**
+ * Where the form's save stands, for its footer. `upload` is
+ * { status: 'uploading', loaded, total } while an image goes up, or
+ * { status: 'failed', message } after any failed save.
+ * Cancel is offered only while bytes are still going up: after that the
+ * server is already saving, and stopping then would leave us not knowing
+ * whether the task was written.
+ */
+export default function UploadStatus({ upload, onCancel, onRetry }) {
+  if (upload.status === 'failed') {
+    return (
+      <div className="flex min-w-0 flex-1 items-center gap-2 text-sm text-red-600">
+        <HiOutlineExclamationCircle className="h-5 w-5 flex-shrink-0" />
+        <span className="truncate" title={upload.message}>
+          {upload.message}
+        </span>
+        <Button size="sm" variant="secondary" onClick={onRetry} className="flex-shrink-0">
+          <HiOutlineRefresh className="h-4 w-4" />
+          Retry
+        </Button>
+      </div>
+    );
+  }
+
+  const { loaded, total } = upload;
+  const sent = total ? loaded >= total : false;
+  const percent = total ? Math.round((loaded / total) * 100) : 0;
+
+  return (
+    <div className="flex min-w-0 flex-1 items-center gap-3">
+      <div className="min-w-0 flex-1">
+        <div className="flex justify-between text-xs text-surface-500 mb-1">
+          <span>{sent ? 'Saving…' : 'Uploading…'}</span>
+          {total > 0 && !sent && (
+            <span>
+              {formatBytes(loaded)} of {formatBytes(total)} · {percent}%
+            </span>
+          )}
+        </div>
+        <div
+          className="h-1.5 rounded-full bg-surface-100 overflow-hidden"
+          role="progressbar"
+          aria-valuenow={percent}
+          aria-valuemin={0}
+          aria-valuemax={100}
+        >
+          <div
+            className={clsx('h-full rounded-full bg-primary-500 transition-all', sent && 'animate-pulse')}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      </div>
+      {!sent && (
+        <Button size="sm" variant="ghost" onClick={onCancel}>
+          Cancel upload
+        </Button>
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import { useState, useCallback } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import {
   HiOutlineSearch,
   HiOutlineUsers,
@@ -21,6 +21,7 @@ import {
   EmptyState,
   PageLoader,
   Modal,
+  DataTable,
 } from '../../components/ui';
 import UserEditModal from './UserEditModal';
 import { format } from 'date-fns';
@@ -46,7 +47,12 @@ export default function UserListPage() {
     setPage,
     updateFilters,
     refresh,
-  } = usePagination(userService.getUsers, { pageSize: 10 });
+  } = usePagination(userService.getUsers, { pageSize: 10 }, { syncKeys: ['searchTerm', 'role'] });
+
+  // Keep the search box in step with the URL (e.g. arriving from the navbar search)
+  useEffect(() => {
+    setSearch(filters.searchTerm || '');
+  }, [filters.searchTerm]);
 
   const handleSearch = useCallback(
     (e) => {
@@ -87,6 +93,98 @@ export default function UserListPage() {
     }
   };
 
+  // GET /user has no sort parameter, so sorting only reorders the current page
+  const userColumns = [
+    {
+      id: 'user',
+      header: 'User',
+      hideable: false,
+      sortValue: (user) => user.name.toLowerCase(),
+      cell: (user) => (
+        <div className="flex items-center gap-3 min-w-0">
+          <Avatar name={user.name} size="sm" />
+          <div className="min-w-0">
+            <p className="text-sm font-medium text-surface-900 truncate">{user.name}</p>
+            <p className="text-xs text-surface-500 truncate">{user.email}</p>
+          </div>
+        </div>
+      ),
+    },
+    {
+      id: 'role',
+      header: 'Role',
+      width: 150,
+      sortValue: (user) => user.role,
+      cell: (user) => (
+        <select
+          value={user.role}
+          onChange={(e) => handleRoleChange(user.id, e.target.value)}
+          className="text-xs rounded-lg border-0 bg-transparent py-1 pl-1 pr-6 font-medium focus:ring-2 focus:ring-primary-500 cursor-pointer"
+        >
+          <option value="User">User</option>
+          <option value="Admin">Admin</option>
+          <option value="SuperAdmin">Super Admin</option>
+        </select>
+      ),
+    },
+    {
+      id: 'emailStatus',
+      header: 'Email Status',
+      width: 180,
+      sortValue: (user) => (user.isEmailVerified ? 1 : 0),
+      cell: (user) =>
+        user.isEmailVerified ? (
+          <Badge color="success" dot>Verified</Badge>
+        ) : (
+          <div className="flex items-center gap-2">
+            <Badge color="warning" dot>Unverified</Badge>
+            <button
+              onClick={() => handleVerifyEmail(user.id)}
+              className="text-xs text-primary-600 hover:text-primary-700 font-medium"
+              title="Manually verify"
+            >
+              Verify
+            </button>
+          </div>
+        ),
+    },
+    {
+      id: 'joined',
+      header: 'Joined',
+      width: 140,
+      sortValue: (user) => new Date(user.createdAt).getTime(),
+      cell: (user) => (
+        <span className="text-sm text-surface-500">
+          {format(new Date(user.createdAt), 'MMM d, yyyy')}
+        </span>
+      ),
+    },
+    {
+      id: 'actions',
+      header: 'Actions',
+      width: 100,
+      hideable: false,
+      cell: (user) => (
+        <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+          <button
+            onClick={() => setEditUser(user)}
+            className="p-1.5 rounded-lg text-surface-400 hover:text-primary-600 hover:bg-primary-50"
+            title="Edit user"
+          >
+            <HiOutlinePencil className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => setDeleteConfirm(user)}
+            className="p-1.5 rounded-lg text-surface-400 hover:text-red-600 hover:bg-red-50"
+            title="Delete user"
+          >
+            <HiOutlineTrash className="h-4 w-4" />
+          </button>
+        </div>
+      ),
+    },
+  ];
+
   const users = data?.users || [];
   const totalPages = data?.totalPages || 0;
   const totalCount = data?.totalCount || 0;
@@ -143,98 +241,13 @@ export default function UserListPage() {
         />
       ) : (
         <Card padding={false}>
-          {/* Desktop table */}
-          <div className="hidden md:block overflow-x-auto">
-            <table className="w-full">
-              <thead>
-                <tr className="border-b border-surface-100 text-left">
-                  <th className="px-4 py-3 text-xs font-medium text-surface-500 uppercase tracking-wider">
-                    User
-                  </th>
-                  <th className="px-4 py-3 text-xs font-medium text-surface-500 uppercase tracking-wider">
-                    Role
-                  </th>
-                  <th className="px-4 py-3 text-xs font-medium text-surface-500 uppercase tracking-wider">
-                    Email Status
-                  </th>
-                  <th className="px-4 py-3 text-xs font-medium text-surface-500 uppercase tracking-wider">
-                    Joined
-                  </th>
-                  <th className="px-4 py-3 text-xs font-medium text-surface-500 uppercase tracking-wider">
-                    Actions
-                  </th>
-                </tr>
-              </thead>
-              <tbody className="divide-y divide-surface-100">
-                {users.map((user) => (
-                  <tr key={user.id} className="hover:bg-surface-50 transition-colors group">
-                    <td className="px-4 py-3">
-                      <div className="flex items-center gap-3">
-                        <Avatar name={user.name} size="sm" />
-                        <div>
-                          <p className="text-sm font-medium text-surface-900">{user.name}</p>
-                          <p className="text-xs text-surface-500">{user.email}</p>
-                        </div>
-                      </div>
-                    </td>
-                    <td className="px-4 py-3">
-                      <select
-                        value={user.role}
-                        onChange={(e) => handleRoleChange(user.id, e.target.value)}
-                        className="text-xs rounded-lg border-0 bg-transparent py-1 pl-1 pr-6 font-medium focus:ring-2 focus:ring-primary-500 cursor-pointer"
-                      >
-                        <option value="User">User</option>
-                        <option value="Admin">Admin</option>
-                        <option value="SuperAdmin">Super Admin</option>
-                      </select>
-                    </td>
-                    <td className="px-4 py-3">
-                      {user.isEmailVerified ? (
-                        <Badge color="success" dot>Verified</Badge>
-                      ) : (
-                        <div className="flex items-center gap-2">
-                          <Badge color="warning" dot>Unverified</Badge>
-                          <button
-                            onClick={() => handleVerifyEmail(user.id)}
-                            className="text-xs text-primary-600 hover:text-primary-700 font-medium"
-                            title="Manually verify"
-                          >
-                            Verify
-                          </button>
-                        </div>
-                      )}
-                    </td>
-                    <td className="px-4 py-3 text-sm text-surface-500">
-                      {format(new Date(user.createdAt), 'MMM d, yyyy')}
-                    </td>
-                    <td className="px-4 py-3">
-                      <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
-                        <button
-                          onClick={() => setEditUser(user)}
-                          className="p-1.5 rounded-lg text-surface-400 hover:text-primary-600 hover:bg-primary-50"
-                          title="Edit user"
-                        >
-                          <HiOutlinePencil className="h-4 w-4" />
-                        </button>
-                        <button
-                          onClick={() => setDeleteConfirm(user)}
-                          className="p-1.5 rounded-lg text-surface-400 hover:text-red-600 hover:bg-red-50"
-                          title="Delete user"
-                        >
-                          <HiOutlineTrash className="h-4 w-4" />
-                        </button>
-                      </div>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-
-          {/* Mobile cards */}
-          <div className="md:hidden divide-y divide-surface-100">
-            {users.map((user) => (
-              <div key={user.id} className="p-4 space-y-3">
+          <DataTable
+            tableId="users"
+            columns={userColumns}
+            rows={users}
+            toolbar={`Showing ${users.length} of ${totalCount}`}
+            renderMobileRow={(user) => (
+              <div className="p-4 space-y-3">
                 <div className="flex items-center gap-3">
                   <Avatar name={user.name} size="sm" />
                   <div className="flex-1 min-w-0">
@@ -265,13 +278,13 @@ export default function UserListPage() {
                   </div>
                 </div>
               </div>
-            ))}
-          </div>
-
-          {/* Pagination */}
-          <div className="px-4 border-t border-surface-100">
-            <Pagination page={page} totalPages={totalPages} onPageChange={setPage} />
-          </div>
+            )}
+            footer={
+              <div className="px-4 border-t border-surface-100">
+                <Pagination page={page} totalPages={totalPages} onPageChange={setPage} />
+              </div>
+            }
+          />
         </Card>
       )}
 
@@ -11,7 +11,8 @@ export const taskService = {
   getOverdue: (params) => api.get('/task/overdue', { params }),
 
   // CREATE
-  createTask: (data, image) => {
+  // `options` passes through to axios, e.g. { signal, onUploadProgress }
+  createTask: (data, image, options) => {
     const formData = new FormData();
     Object.entries(data).forEach(([key, value]) => {
       if (value !== null && value !== undefined && value !== '') {
@@ -20,12 +21,13 @@ export const taskService = {
     });
     if (image) formData.append('image', image);
     return api.post('/task', formData, {
+      ...options,
       headers: { 'Content-Type': 'multipart/form-data' },
     });
   },
 
   // UPDATE
-  updateTask: (id, data, image) => {
+  updateTask: (id, data, image, options) => {
     const formData = new FormData();
     Object.entries(data).forEach(([key, value]) => {
       if (value !== null && value !== undefined && value !== '') {
@@ -34,6 +36,7 @@ export const taskService = {
     });
     if (image) formData.append('image', image);
     return api.put(`/task/${id}`, formData, {
+      ...options,
       headers: { 'Content-Type': 'multipart/form-data' },
     });
   },
@@ -46,6 +49,18 @@ export const taskService = {
   bulkDelete: (taskIds) => api.post('/task/bulk-delete', taskIds),
   bulkUpdateStatus: (taskIds, status) =>
     api.post('/task/bulk-update-status', { taskIds, status }),
+  // For a page that's going away: the browser cancels axios requests on
+  // unload, but lets a keepalive fetch finish
+  bulkDeleteOnUnload: (taskIds) =>
+    window.fetch(`${api.defaults.baseURL}/task/bulk-delete`, {
+      method: 'POST',
+      keepalive: true,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${localStorage.getItem('token')}`,
+      },
+      body: JSON.stringify(taskIds),
+    }),
 
   // DELETE
   deleteTask: (id) => api.delete(`/task/${id}`),
@@ -0,0 +1,26 @@
+/**
+ * Run `action(id)` for every id, a few at a time, for bulk operations the API
+ * has no endpoint for. One failure doesn't stop the rest; the result lists
+ * which ids went through and why the others didn't.
+ */
+export async function runBulk(ids, action, { concurrency = 4, onProgress } = {}) {
+  const succeeded = [];
+  const failed = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < ids.length) {
+      const id = ids[next++];
+      try {
+        await action(id);
+        succeeded.push(id);
+      } catch (err) {
+        failed.push({ id, message: err.response?.data?.message || 'Request failed' });
+      }
+      onProgress?.(succeeded.length + failed.length, ids.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, ids.length) }, worker));
+  return { succeeded, failed };
+}
@@ -0,0 +1,68 @@
+// `- [ ] step` / `- [x] step` lines (or `*` bullets) in a task description
+export const CHECKLIST_ITEM = /^\s*[-*] \[([ xX])\](?: (.*))?$/;
+
+// Opens or closes a ``` / ~~~ code block; shared with the Markdown parser
+export const CODE_FENCE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+
+/**
+ * The checklist items in a description, in order. `line` is the item's line
+ * number, which the other helpers use to rewrite it in place. Lines inside
+ * fenced code are code, not items, just as the Markdown view shows them.
+ */
+export function parseChecklist(description) {
+  const items = [];
+  let fence = null;
+  (description || '').split('\n').forEach((text, line) => {
+    if (fence) {
+      if (text.trim().startsWith(fence)) fence = null;
+      return;
+    }
+    const opening = CODE_FENCE.exec(text);
+    if (opening) {
+      fence = opening[1];
+      return;
+    }
+    const match = CHECKLIST_ITEM.exec(text);
+    if (match) items.push({ line, checked: match[1] !== ' ', text: match[2] ?? '' });
+  });
+  return items;
+}
+
+// { done, total } for the list's "3/7", or null when there is no checklist
+export function checklistProgress(description) {
+  const items = parseChecklist(description);
+  if (items.length === 0) return null;
+  return { done: items.filter((i) => i.checked).length, total: items.length };
+}
+
+// Text goes in as typed, trailing spaces and all, so an item being edited
+// doesn't lose the space before its next word
+const itemLine = ({ checked, text }) => `- [${checked ? 'x' : ' '}]${text ? ` ${text}` : ''}`;
+
+export function toggleChecklistItem(description, line) {
+  const item = parseChecklist(description).find((i) => i.line === line);
+  if (!item) return description;
+  const lines = description.split('\n');
+  lines[line] = lines[line].replace(/\[[ xX]\]/, item.checked ? '[ ]' : '[x]');
+  return lines.join('\n');
+}
+
+/**
+ * Replace the description's checklist with `items` ({ checked, text }). The
+ * new list goes where the first item was, or at the end after a blank line.
+ */
+export function replaceChecklist(description, items) {
+  const lines = (description || '').split('\n');
+  const itemLines = new Set(parseChecklist(description).map((i) => i.line));
+  const first = itemLines.size ? Math.min(...itemLines) : -1;
+  const rest = lines.filter((_, i) => !itemLines.has(i));
+  const list = items.map(itemLine);
+
+  if (first !== -1) {
+    rest.splice(first, 0, ...list);
+    return rest.join('\n');
+  }
+  const body = rest.join('\n').trimEnd();
+  if (list.length === 0) return body;
+  return body ? `${body}\n\n${list.join('\n')}` : list.join('\n');
+}
@@ -0,0 +1,49 @@
+// https://res.cloudinary.com/<cloud>/image/upload/v123/dosimple/tasks/abc.jpg
+const UPLOAD_URL = /^(https:\/\/res\.cloudinary\.com\/[^/]+\/image\/upload\/)(.+)$/;
+
+export const isCloudinaryUrl = (url) => UPLOAD_URL.test(url || '');
+
+/**
+ * A Cloudinary delivery URL for `url` with a transformation applied, so the
+ * CDN sends a resized copy instead of the stored original. Other URLs come
+ * back unchanged.
+ *
+ * Options: width, height, crop ('fill' | 'limit' | …), dpr, attachment
+ * (download with a Save As instead of showing it). Format and quality are
+ * left to Cloudinary (f_auto, q_auto) unless downloading.
+ */
+export function cloudinaryUrl(url, { width, height, crop = 'limit', dpr, attachment = false } = {}) {
+  const match = UPLOAD_URL.exec(url || '');
+  if (!match) return url;
+
+  const parts = attachment ? ['fl_attachment'] : ['f_auto', 'q_auto'];
+  if (width || height) parts.push(`c_${crop}`);
+  if (width) parts.push(`w_${Math.round(width)}`);
+  if (height) parts.push(`h_${Math.round(height)}`);
+  if (dpr) parts.push(`dpr_${dpr}`);
+  return `${match[1]}${parts.join(',')}/${match[2]}`;
+}
+
+/**
+ * `src`/`srcSet` props for an <img>, so the browser picks the smallest copy
+ * that looks sharp. Either a fixed `width`×`height` box, served at 1x/2x/3x,
+ * or fluid `widths` (e.g. [320, 640, 960]) with the `sizes` it's shown at.
+ * Non-Cloudinary URLs get just `src`.
+ */
+export function cloudinaryImageProps(url, { width, height, crop = 'fill', widths, sizes } = {}) {
+  if (!isCloudinaryUrl(url)) return { src: url };
+
+  if (widths) {
+    return {
+      src: cloudinaryUrl(url, { width: widths[0] }),
+      srcSet: widths.map((w) => `${cloudinaryUrl(url, { width: w })} ${w}w`).join(', '),
+      sizes,
+    };
+  }
+  return {
+    src: cloudinaryUrl(url, { width, height, crop }),
+    srcSet: [1, 2, 3]
+      .map((dpr) => `${cloudinaryUrl(url, { width, height, crop, dpr })} ${dpr}x`)
+      .join(', '),
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * Score how well `query` matches `text` as an in-order subsequence
+ * ("nwtsk" matches "New task"). Returns null when it doesn't match; higher
+ * is better. Consecutive letters and letters starting a word count extra.
+ */
+export function fuzzyScore(query, text) {
+  const q = query.trim().toLowerCase();
+  if (!q) return 0;
+  const t = text.toLowerCase();
+
+  let score = 0;
+  let ti = 0;
+  let streak = 0;
+  for (const ch of q) {
+    if (ch === ' ') continue;
+    const found = t.indexOf(ch, ti);
+    if (found === -1) return null;
+    const wordStart = found === 0 || /[\s\-_/]/.test(t[found - 1]);
+    streak = found === ti ? streak + 1 : 0;
+    score += 1 + streak * 2 + (wordStart ? 3 : 0);
+    ti = found + 1;
+  }
+  // Prefer shorter texts for the same letters
+  return score - t.length * 0.01;
+}
+
+// Items whose `getText(item)` matches `query`, best match first
+export function fuzzyFilter(items, query, getText) {
+  if (!query.trim()) return items;
+  return items
+    .map((item) => ({ item, score: fuzzyScore(query, getText(item)) }))
+    .filter((r) => r.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map((r) => r.item);
+}
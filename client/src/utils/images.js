@@ -0,0 +1,146 @@
+// What the server's Cloudinary upload accepts (CloudinaryService.UploadImageAsync)
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+// Phone photos are shrunk before upload, so larger originals are fine
+export const MAX_SOURCE_BYTES = 30 * 1024 * 1024;
+// Cloudinary stores tasks at 1200px at most, so anything bigger is wasted bandwidth
+export const MAX_IMAGE_DIMENSION = 1200;
+const JPEG_QUALITY = 0.85;
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Why `file` can't be attached, or null if it can
+export function validateImageFile(file) {
+  if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+    return `${file.name} isn't a supported image (JPEG, PNG, GIF or WebP)`;
+  }
+  const limit = file.type === 'image/gif' ? MAX_UPLOAD_BYTES : MAX_SOURCE_BYTES;
+  if (file.size > limit) {
+    return `${file.name} is ${formatBytes(file.size)}; images can be up to ${formatBytes(limit)}`;
+  }
+  return null;
+}
+
+/**
+ * The EXIF orientation (1–8) of a JPEG, or 1 when there is none. Only the
+ * first 64 KB are read; the APP1 segment always sits near the start.
+ */
+export async function readOrientation(file) {
+  if (file.type !== 'image/jpeg') return 1;
+  const view = new DataView(await file.slice(0, 64 * 1024).arrayBuffer());
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return 1;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    // Start of scan: image data follows, no more metadata
+    if (marker === 0xffda || (marker & 0xff00) !== 0xff00) return 1;
+    if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+      return exifOrientation(view, offset + 10);
+    }
+    offset += 2 + length;
+  }
+  return 1;
+}
+
+function exifOrientation(view, tiff) {
+  if (tiff + 8 > view.byteLength) return 1;
+  const little = view.getUint16(tiff) === 0x4949;
+  const ifd = tiff + view.getUint32(tiff + 4, little);
+  if (ifd + 2 > view.byteLength) return 1;
+  const entries = view.getUint16(ifd, little);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > view.byteLength) return 1;
+    if (view.getUint16(entry, little) === 0x0112) {
+      const value = view.getUint16(entry + 8, little);
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+  }
+  return 1;
+}
+
+// Browsers that support `image-orientation` also draw JPEGs upright on a canvas
+const browserAppliesOrientation = () =>
+  window.CSS?.supports?.('image-orientation', 'from-image') ?? false;
+
+// Canvas transform that draws a `width`×`height` image upright for an orientation
+function orientationTransform(orientation, width, height) {
+  switch (orientation) {
+    case 2: return [-1, 0, 0, 1, width, 0];
+    case 3: return [-1, 0, 0, -1, width, height];
+    case 4: return [1, 0, 0, -1, 0, height];
+    case 5: return [0, 1, 1, 0, 0, 0];
+    case 6: return [0, 1, -1, 0, height, 0];
+    case 7: return [0, -1, -1, 0, height, width];
+    case 8: return [0, -1, 1, 0, 0, width];
+    default: return [1, 0, 0, 1, 0, 0];
+  }
+}
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`${file.name} couldn't be read as an image`));
+    };
+    img.src = url;
+  });
+}
+
+const toBlob = (canvas, type, quality) =>
+  new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+
+const renamed = (name, type) => name.replace(/\.[^.]*$/, '') + (type === 'image/jpeg' ? '.jpg' : '.webp');
+
+/**
+ * Shrink an image to MAX_IMAGE_DIMENSION and re-encode it in the browser,
+ * drawing it upright whatever its EXIF orientation says. JPEGs stay JPEG;
+ * PNG and WebP become WebP so transparency survives. GIFs are passed through
+ * untouched to keep their animation, and so is anything that would come out
+ * bigger than it went in.
+ *
+ * Resolves to the File to upload; rejects with a readable message.
+ */
+export async function compressImage(file) {
+  if (file.type === 'image/gif') return file;
+
+  const [img, orientation] = await Promise.all([loadImage(file), readOrientation(file)]);
+  const turn = browserAppliesOrientation() ? 1 : orientation;
+  const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(img.naturalWidth, img.naturalHeight));
+  const width = Math.round(img.naturalWidth * scale);
+  const height = Math.round(img.naturalHeight * scale);
+  const sideways = turn >= 5;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = sideways ? height : width;
+  canvas.height = sideways ? width : height;
+  const ctx = canvas.getContext('2d');
+  ctx.transform(...orientationTransform(turn, width, height));
+  ctx.drawImage(img, 0, 0, width, height);
+
+  const type = file.type === 'image/jpeg' ? 'image/jpeg' : 'image/webp';
+  const blob = await toBlob(canvas, type, JPEG_QUALITY);
+  // Browsers without a WebP encoder hand back PNG; keep the original then
+  const keepOriginal =
+    !blob || blob.type !== type || (blob.size >= file.size && scale === 1 && turn === 1);
+  const result = keepOriginal
+    ? file
+    : new File([blob], renamed(file.name, type), { type, lastModified: file.lastModified });
+
+  if (result.size > MAX_UPLOAD_BYTES) {
+    throw new Error(`${file.name} is still over ${formatBytes(MAX_UPLOAD_BYTES)} after compression`);
+  }
+  return result;
+}
@@ -0,0 +1,5 @@
+// True when keystrokes on `el` are text entry, so single-key shortcuts
+// (and Ctrl+Z) should be left alone
+export function isEditableTarget(el) {
+  return !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+}
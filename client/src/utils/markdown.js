@@ -0,0 +1,227 @@
+import { CHECKLIST_ITEM, CODE_FENCE } from './checklist';
+
+/*
+ * A small Markdown parser for task descriptions. It covers what people write
+ * in tickets: headings, paragraphs, emphasis, inline and fenced code, links
+ * and bare URLs, block quotes, lists with `- [ ]` items, GitHub-style tables
+ * and rules. It returns plain objects, never HTML; components/ui/Markdown
+ * turns them into React elements.
+ */
+
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const isBlank = (line) => !line.trim();
+
+function startsTable(lines, i) {
+  return lines[i].includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1]);
+}
+
+function startsBlock(lines, i) {
+  const line = lines[i];
+  return (
+    CODE_FENCE.test(line) ||
+    HEADING.test(line) ||
+    RULE.test(line) ||
+    QUOTE.test(line) ||
+    LIST_ITEM.test(line) ||
+    startsTable(lines, i)
+  );
+}
+
+// Cells of a `| a | b |` row; `\|` stays inside a cell
+function splitRow(line) {
+  const cells = line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/);
+  return cells.map((cell) => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function alignmentOf(cell) {
+  const left = cell.startsWith(':');
+  const right = cell.endsWith(':');
+  if (left && right) return 'center';
+  if (right) return 'right';
+  return left ? 'left' : null;
+}
+
+/**
+ * Block-level structure of `source`. Block line numbers (`line`) are counted
+ * from `offset`, so a checklist item can be toggled in the original text.
+ */
+export function parseMarkdown(source, offset = 0) {
+  const lines = (source || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = CODE_FENCE.exec(line);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i++]);
+      i++;
+      blocks.push({ type: 'code', lang: fence[2], text: body.join('\n') });
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const start = i;
+      const body = [];
+      while (i < lines.length && QUOTE.test(lines[i])) body.push(lines[i++].replace(QUOTE, ''));
+      blocks.push({ type: 'quote', children: parseMarkdown(body.join('\n'), offset + start) });
+      continue;
+    }
+
+    if (startsTable(lines, i)) {
+      const header = splitRow(line);
+      const align = splitRow(lines[i + 1]).map(alignmentOf);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+        rows.push(splitRow(lines[i++]));
+      }
+      blocks.push({ type: 'table', header, align, rows });
+      continue;
+    }
+
+    const first = LIST_ITEM.exec(line);
+    if (first) {
+      const ordered = /\d/.test(first[2]);
+      const items = [];
+      while (i < lines.length) {
+        const item = LIST_ITEM.exec(lines[i]);
+        if (item && /\d/.test(item[2]) === ordered) {
+          const task = CHECKLIST_ITEM.exec(lines[i]);
+          items.push({
+            line: offset + i,
+            depth: Math.floor(item[1].replace(/\t/g, '  ').length / 2),
+            text: task ? task[2] ?? '' : item[3],
+            checked: task ? task[1] !== ' ' : undefined,
+          });
+          i++;
+        } else if (items.length && !isBlank(lines[i]) && /^\s/.test(lines[i]) && !item) {
+          // An indented line carries on the item above
+          items[items.length - 1].text += `\n${lines[i++].trim()}`;
+        } else {
+          break;
+        }
+      }
+      blocks.push({ type: 'list', ordered, start: ordered ? parseInt(first[2], 10) : 1, items });
+      continue;
+    }
+
+    const body = [line];
+    i++;
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i)) body.push(lines[i++]);
+    blocks.push({ type: 'paragraph', text: body.join('\n') });
+  }
+
+  return blocks;
+}
+
+const INLINE = new RegExp(
+  [
+    String.raw`\\(?<escaped>[\\\x60*_{}\[\]()#+\-.!~|>])`,
+    String.raw`(?<ticks>\x60+)(?<code>[\s\S]+?)\k<ticks>(?!\x60)`,
+    String.raw`<(?<autolink>(?:https?:\/\/|mailto:)[^\s<>]+)>`,
+    String.raw`\[(?<label>(?:\\.|[^\]\\])+)\]\((?<href>[^()\s]+)(?:\s+"[^"]*")?\)`,
+    String.raw`(?<strongMark>\*\*|__)(?<strong>(?=\S)[\s\S]*?\S)\k<strongMark>`,
+    String.raw`~~(?<del>(?=\S)[\s\S]*?\S)~~`,
+    String.raw`\*(?<em>(?=[^\s*])[\s\S]*?[^\s*])\*`,
+    String.raw`(?<![\p{L}\p{N}])_(?<underscoreEm>(?=\S)[\s\S]*?\S)_(?![\p{L}\p{N}])`,
+    String.raw`(?<url>(?:https?:\/\/|www\.)[^\s<]*[^\s<.,:;"')\]!?*_~])`,
+    String.raw`(?<br>\n)`,
+  ].join('|'),
+  'gu'
+);
+
+/**
+ * Inline content as a list of nodes: text, code, strong, em, del, link and
+ * br. Links can't contain further links.
+ */
+export function parseInline(text, { inLink = false } = {}) {
+  const nodes = [];
+  const pushText = (value) => {
+    if (!value) return;
+    const last = nodes[nodes.length - 1];
+    if (last?.type === 'text') last.value += value;
+    else nodes.push({ type: 'text', value });
+  };
+
+  const pattern = new RegExp(INLINE.source, INLINE.flags);
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const g = match.groups;
+    const isLink = g.autolink || g.label || g.url;
+    if (inLink && isLink) {
+      // Leave nested link syntax as it was written
+      pattern.lastIndex = match.index + 1;
+      continue;
+    }
+    pushText(text.slice(last, match.index));
+    last = pattern.lastIndex;
+
+    if (g.escaped !== undefined) {
+      pushText(g.escaped);
+    } else if (g.code !== undefined) {
+      nodes.push({ type: 'code', value: g.code.trim() || g.code });
+    } else if (g.autolink) {
+      nodes.push({ type: 'link', href: g.autolink, children: [{ type: 'text', value: g.autolink }] });
+    } else if (g.label) {
+      nodes.push({ type: 'link', href: g.href, children: parseInline(g.label, { inLink: true }) });
+    } else if (g.strong) {
+      nodes.push({ type: 'strong', children: parseInline(g.strong, { inLink }) });
+    } else if (g.del) {
+      nodes.push({ type: 'del', children: parseInline(g.del, { inLink }) });
+    } else if (g.em || g.underscoreEm) {
+      nodes.push({ type: 'em', children: parseInline(g.em || g.underscoreEm, { inLink }) });
+    } else if (g.url) {
+      const href = g.url.startsWith('www.') ? `https://${g.url}` : g.url;
+      nodes.push({ type: 'link', href, children: [{ type: 'text', value: g.url }] });
+    } else if (g.br) {
+      nodes.push({ type: 'br' });
+    }
+  }
+  pushText(text.slice(last));
+  return nodes;
+}
+
+/**
+ * The link target to use, or null to show the link as plain text. Only web,
+ * mail and same-site links are kept, so `javascript:`, `data:` and friends
+ * (however they're spelled or padded) never reach an href.
+ */
+export function safeUrl(url) {
+  // Browsers skip control characters and spaces when reading a scheme
+  const cleaned = [...url].filter((c) => c > ' ' && c !== '\u007f').join('');
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(cleaned);
+  if (!scheme) return cleaned;
+  return ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase()) ? cleaned : null;
+}
@@ -0,0 +1,8 @@
+// Query params with no value are left out rather than sent as `?status=`
+export function isEmptyParam(value) {
+  return value === '' || value === null || value === undefined;
+}
+
+export function cleanParams(params) {
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => !isEmptyParam(value)));
+}
@@ -0,0 +1,130 @@
+import { format, addDays, addWeeks, addMonths, nextDay, nextMonday, startOfDay } from 'date-fns';
+import { TASK_PRIORITIES } from './tasks';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const PRIORITY_ALIASES = { urgent: 3 };
+
+// Filler before a date ("due friday", "by tomorrow") goes with it
+const LEAD = String.raw`(?:(?:due|by|on)\s+)?`;
+const LED = /^(?:due|by|on)\s/i;
+const MONTH = String.raw`(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\.?`;
+
+/*
+ * Each rule is a pattern and a function from its match to a date. The first
+ * rule that matches wins, and only whole words count ("today's" isn't
+ * "today"). Rules marked bare are words that turn up in ordinary titles
+ * ("Friday standup", "may 3 people"), so they only count at the end of the
+ * line or after due/by/on. Short weekday names ("sat", "sun") need
+ * due/by/on/next wherever they are.
+ */
+const DATE_RULES = [
+  [String.raw`(\d{4})-(\d{2})-(\d{2})`, (m) => new Date(+m[1], m[2] - 1, +m[3])],
+  [String.raw`(today|tonight)`, (m, now) => now],
+  [String.raw`(tomorrow|tmrw)`, (m, now) => addDays(now, 1)],
+  [
+    String.raw`in\s+(\d+)\s+(day|week|month)s?`,
+    (m, now) => ({ day: addDays, week: addWeeks, month: addMonths })[m[2].toLowerCase()](now, +m[1]),
+  ],
+  [
+    String.raw`${MONTH}\s+(\d{1,2})(?:st|nd|rd|th)?`,
+    (m, now) => upcoming(now, monthIndex(m[1]), +m[2]),
+    { bare: true },
+  ],
+  [
+    String.raw`(\d{1,2})(?:st|nd|rd|th)?\s+${MONTH}`,
+    (m, now) => upcoming(now, monthIndex(m[2]), +m[1]),
+    { bare: true },
+  ],
+  [String.raw`next\s+week`, (m, now) => nextMonday(now)],
+  [String.raw`next\s+month`, (m, now) => addMonths(now, 1)],
+  [
+    String.raw`(next\s+)?(${WEEKDAYS.join('|')})`,
+    (m, now) => nextDay(now, WEEKDAYS.indexOf(m[2].toLowerCase())),
+    // "next friday" is a date anywhere
+    { bare: (m) => !m[1] },
+  ],
+  [
+    String.raw`(?:due|by|on|next)\s+(sun|mon|tues?|wed|thu(?:rs?)?|fri|sat)`,
+    (m, now) => nextDay(now, WEEKDAYS.findIndex((d) => d.startsWith(m[1].toLowerCase().slice(0, 3)))),
+  ],
+];
+
+const monthIndex = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+
+// "Mar 3" means the next Mar 3 that hasn't passed yet
+function upcoming(now, month, day) {
+  const date = new Date(now.getFullYear(), month, day);
+  return date < startOfDay(now) ? new Date(now.getFullYear() + 1, month, day) : date;
+}
+
+// `text` is padded with spaces, so every word has whitespace on both sides
+function parseDate(text, now) {
+  for (const [source, toDate, { bare = false } = {}] of DATE_RULES) {
+    const pattern = new RegExp(String.raw`(?<=\s)${LEAD}${source}(?=\s)`, 'gi');
+    for (const match of text.matchAll(pattern)) {
+      const end = match.index + match[0].length;
+      const isBare = typeof bare === 'function' ? bare(match) : bare;
+      if (isBare && !LED.test(match[0]) && text.slice(end).trim()) continue;
+      const date = toDate(match, now);
+      if (!date || Number.isNaN(date.getTime())) continue;
+      return { date: format(date, 'yyyy-MM-dd'), start: match.index, end };
+    }
+  }
+  return null;
+}
+
+/**
+ * Pull task fields out of a one-line description such as
+ * `Fix login redirect tomorrow !high #Development @42`:
+ *
+ * - `!low` … `!critical` (or a prefix like `!crit`) sets the priority
+ * - `#Category` or `#"Two words"` sets the category
+ * - `@42` assigns user 42, `@me` assigns `currentUserId`
+ * - a date phrase: `today`, `tomorrow`, `in 3 days`, `next week`, `next friday`,
+ *   `due fri`, `2025-03-03`; a bare `friday` or `Mar 3` only at the end or
+ *   after due/by/on
+ *
+ * Whatever is left is the title. Fields that weren't given are left out.
+ */
+export function parseQuickAdd(text, { now = new Date(), currentUserId } = {}) {
+  let rest = ` ${text} `;
+  const result = {};
+  const take = (pattern, handle) => {
+    rest = rest.replace(pattern, (...match) => {
+      const used = handle(match);
+      return used === false ? match[0] : ' ';
+    });
+  };
+
+  take(/(?<=\s)!([a-z]+)(?=\s)/gi, ([, word]) => {
+    const key = word.toLowerCase();
+    const value =
+      PRIORITY_ALIASES[key] ??
+      TASK_PRIORITIES.find((p) => p.key.toLowerCase().startsWith(key))?.value;
+    if (value === undefined || result.priority !== undefined) return false;
+    result.priority = value;
+  });
+
+  take(/(?<=\s)#(?:"([^"]+)"|(\S+))(?=\s)/g, ([, quoted, word]) => {
+    if (result.category) return false;
+    result.category = (quoted ?? word).trim();
+  });
+
+  take(/(?<=\s)@(\d+|me)(?=\s)/gi, ([, who]) => {
+    if (result.assignedToUserId) return false;
+    const id = who.toLowerCase() === 'me' ? currentUserId : Number(who);
+    if (!id) return false;
+    result.assignedToUserId = id;
+  });
+
+  const due = parseDate(rest, now);
+  if (due) {
+    result.dueDate = due.date;
+    rest = `${rest.slice(0, due.start)} ${rest.slice(due.end)}`;
+  }
+
+  result.title = rest.replace(/\s+/g, ' ').trim();
+  return result;
+}
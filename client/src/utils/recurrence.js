@@ -0,0 +1,90 @@
+import {
+  format,
+  addDays,
+  addMonths,
+  startOfDay,
+  startOfMonth,
+  getDaysInMonth,
+  setDate,
+} from 'date-fns';
+
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'interval', label: 'Every N days' },
+];
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const day = (date) => format(date, 'yyyy-MM-dd');
+
+// The rule's day of the month in `month`, moved back to the last day if short
+function monthDayIn(month, monthDay) {
+  const start = startOfMonth(month);
+  return setDate(start, Math.min(monthDay, getDaysInMonth(start)));
+}
+
+// The first date the rule falls on strictly after `date`
+function step(rule, date) {
+  switch (rule.frequency) {
+    case 'interval':
+      return addDays(date, Math.max(1, rule.interval || 1));
+    case 'weekly': {
+      const weekdays = rule.weekdays?.length ? rule.weekdays : [date.getDay()];
+      let next = addDays(date, 1);
+      while (!weekdays.includes(next.getDay())) next = addDays(next, 1);
+      return next;
+    }
+    case 'monthly': {
+      const thisMonth = monthDayIn(date, rule.monthDay || 1);
+      return thisMonth > date ? thisMonth : monthDayIn(addMonths(date, 1), rule.monthDay || 1);
+    }
+    default:
+      return addDays(date, 1);
+  }
+}
+
+/**
+ * The next `count` dates a rule falls on after `from` (the current
+ * occurrence's due date, or today). Dates before today are passed over, so a
+ * chore finished late isn't rescheduled into the past. Skipped dates are
+ * included with `skipped: true` so they can be shown and restored.
+ */
+export function upcomingOccurrences(rule, { from, count = 5, now = new Date() } = {}) {
+  const today = startOfDay(now);
+  const skipped = rule.skipped || [];
+  const dates = [];
+  let date = startOfDay(from ? new Date(from) : today);
+  // A generous cap in case skips or a bad rule never let the loop finish
+  for (let guard = 0; dates.length < count && guard < 1000; guard++) {
+    date = step(rule, date);
+    if (date < today) continue;
+    dates.push({ date: day(date), skipped: skipped.includes(day(date)) });
+  }
+  return dates;
+}
+
+// The due date for the occurrence after `from`, or null if none is found
+export function nextOccurrence(rule, options) {
+  return upcomingOccurrences(rule, { ...options, count: 50 }).find((o) => !o.skipped)?.date ?? null;
+}
+
+// "Weekly on Mon, Thu", "Every 3 days", …
+export function describeRule(rule) {
+  switch (rule.frequency) {
+    case 'interval':
+      return `Every ${rule.interval || 1} days`;
+    case 'weekly':
+      return rule.weekdays?.length
+        ? `Weekly on ${[...rule.weekdays]
+            .sort((a, b) => a - b)
+            .map((d) => WEEKDAY_LABELS[d])
+            .join(', ')}`
+        : 'Weekly';
+    case 'monthly':
+      return `Monthly on day ${rule.monthDay || 1}`;
+    default:
+      return 'Daily';
+  }
+}
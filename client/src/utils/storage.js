@@ -0,0 +1,35 @@
+const PREFIX = 'dosimple';
+
+/**
+ * A small versioned localStorage record scoped to one user (by email).
+ * These keys are not cleared on logout, so preferences outlive a session.
+ * Bump `version` when the shape changes; pass `migrate(data, fromVersion)`
+ * to carry old data forward, otherwise older records fall back to `fallback`.
+ */
+export function createUserStore(name, { version, fallback, migrate } = {}) {
+  const keyFor = (email) => `${PREFIX}:${name}:${email?.toLowerCase()}`;
+
+  const load = (email) => {
+    if (!email) return fallback;
+    try {
+      const raw = localStorage.getItem(keyFor(email));
+      if (!raw) return fallback;
+      const record = JSON.parse(raw);
+      if (record.version === version) return record.data;
+      return migrate ? migrate(record.data, record.version) : fallback;
+    } catch {
+      return fallback;
+    }
+  };
+
+  const save = (email, data) => {
+    if (!email) return;
+    try {
+      localStorage.setItem(keyFor(email), JSON.stringify({ version, data }));
+    } catch {
+      // Storage full or disabled — preferences just won't persist
+    }
+  };
+
+  return { load, save };
+}
@@ -0,0 +1,52 @@
+import { taskService } from '../services/taskService';
+import { statusValue, priorityValue } from './tasks';
+
+// The fields updateTask takes, in the shape it takes them, read off a task
+// as the API returns it
+const editableFields = {
+  title: (task) => task.title,
+  description: (task) => task.description,
+  category: (task) => task.category,
+  priority: (task) => priorityValue(task.priority),
+  status: (task) => statusValue(task.status),
+  dueDate: (task) => (task.dueDate ? task.dueDate.split('T')[0] : null),
+};
+
+/**
+ * The current values of `keys` on `task`, ready to send back to updateTask.
+ * Returns null when one of them is empty: updateTask ignores empty fields,
+ * so a change that filled in a blank value can't be reversed.
+ */
+export function snapshotFields(task, keys) {
+  const snapshot = {};
+  for (const key of keys) {
+    const value = editableFields[key](task);
+    if (value === null || value === undefined || value === '') return null;
+    snapshot[key] = value;
+  }
+  return snapshot;
+}
+
+/**
+ * Put a task back to how `target` looked, given how it looks now. Blank
+ * fields in `target` are left as they are (see snapshotFields).
+ */
+export async function restoreTask(target, current) {
+  const fields = Object.fromEntries(
+    Object.entries(editableFields).map(([key, read]) => [key, read(target)])
+  );
+  await taskService.updateTask(target.id, fields);
+
+  if (target.assignedToUserId !== current.assignedToUserId) {
+    await (target.assignedToUserId
+      ? taskService.assignTask(target.id, target.assignedToUserId)
+      : taskService.unassignTask(target.id));
+  }
+}
+
+// Restore the assignee alone
+export function restoreAssignee(task) {
+  return task.assignedToUserId
+    ? taskService.assignTask(task.id, task.assignedToUserId)
+    : taskService.unassignTask(task.id);
+}
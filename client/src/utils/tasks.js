@@ -0,0 +1,86 @@
+import { format, startOfWeek, endOfWeek, addDays } from 'date-fns';
+
+// Mirrors the TaskStatus / TaskPriority enums on the server. The API returns
+// the enum names (e.g. "InProgress") but expects the numeric values on writes.
+export const TASK_STATUSES = [
+  { value: 0, key: 'Pending', label: 'Pending', dot: 'bg-amber-500' },
+  { value: 1, key: 'InProgress', label: 'In Progress', dot: 'bg-blue-500' },
+  { value: 2, key: 'Completed', label: 'Completed', dot: 'bg-emerald-500' },
+  { value: 3, key: 'Cancelled', label: 'Cancelled', dot: 'bg-surface-400' },
+];
+
+export const TASK_PRIORITIES = [
+  { value: 0, key: 'Low', label: 'Low' },
+  { value: 1, key: 'Medium', label: 'Medium' },
+  { value: 2, key: 'High', label: 'High' },
+  { value: 3, key: 'Critical', label: 'Critical' },
+];
+
+export function statusValue(status) {
+  return TASK_STATUSES.find((s) => s.key === status)?.value ?? 0;
+}
+
+export function priorityValue(priority) {
+  return TASK_PRIORITIES.find((p) => p.key === priority)?.value ?? 1;
+}
+
+export function formatStatus(status) {
+  return TASK_STATUSES.find((s) => s.key === status)?.label ?? status;
+}
+
+// Same rule the server uses for the isOverdue filter
+export function isTaskOverdue(task, now = new Date()) {
+  if (!task?.dueDate) return false;
+  if (task.status === 'Completed' || task.status === 'Cancelled') return false;
+  return new Date(task.dueDate) < now;
+}
+
+// Who may change a task's assignee: the server lets only the creator or an
+// admin assign (the assignee can unassign, but not hand the task on)
+export function canAssignTask(task, user, isAdmin) {
+  return isAdmin || (!!user && task.createdByUserId === user.id);
+}
+
+export const DUE_PRESETS = [
+  { value: 'today', label: 'Due today' },
+  { value: 'week', label: 'This week' },
+  { value: 'next7', label: 'Next 7 days' },
+  { value: 'next30', label: 'Next 30 days' },
+  { value: 'none', label: 'No due date' },
+  { value: 'custom', label: 'Custom range' },
+];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Turns the filter state kept in the URL into GET /task query params.
+ * Relative presets are resolved against `now` so saved links stay relative.
+ */
+export function resolveTaskFilters(filters, now = new Date()) {
+  const { duePreset, ...params } = filters;
+  const day = (d) => format(d, 'yyyy-MM-dd');
+
+  if (duePreset === 'today') {
+    params.dueDateFrom = day(now);
+    params.dueDateTo = day(now);
+  } else if (duePreset === 'week') {
+    params.dueDateFrom = day(startOfWeek(now));
+    params.dueDateTo = day(endOfWeek(now));
+  } else if (duePreset === 'next7' || duePreset === 'next30') {
+    params.dueDateFrom = day(now);
+    params.dueDateTo = day(addDays(now, duePreset === 'next7' ? 7 : 30));
+  } else if (duePreset === 'none') {
+    params.hasDueDate = false;
+    delete params.dueDateFrom;
+    delete params.dueDateTo;
+  } else if (duePreset !== 'custom') {
+    delete params.dueDateFrom;
+    delete params.dueDateTo;
+  }
+
+  // Date inputs give a bare date; make the upper bound include that whole day
+  if (params.dueDateTo && DATE_ONLY.test(params.dueDateTo)) {
+    params.dueDateTo = `${params.dueDateTo}T23:59:59`;
+  }
+  return params;
+}
@@ -0,0 +1,59 @@
+import { format, addDays, addWeeks, addMonths, differenceInCalendarDays } from 'date-fns';
+import { priorityValue } from './tasks';
+
+const RELATIVE_DUE = /^\+?\s*(\d+)\s*(day|week|month)s?$/i;
+
+/**
+ * Turn a template's relative due date ("+3 days", "+1 week", "today") into a
+ * date input value. Blank means no due date; returns null when it can't be read.
+ */
+export function resolveRelativeDue(text, now = new Date()) {
+  const value = text?.trim() ?? '';
+  if (!value) return '';
+  if (value.toLowerCase() === 'today') return format(now, 'yyyy-MM-dd');
+  const match = RELATIVE_DUE.exec(value);
+  if (!match) return null;
+  const add = { day: addDays, week: addWeeks, month: addMonths }[match[2].toLowerCase()];
+  return format(add(now, Number(match[1])), 'yyyy-MM-dd');
+}
+
+// `{{date}}` and `{{user}}` are filled in when a template is used
+export function expandPlaceholders(text, { now = new Date(), user } = {}) {
+  const values = {
+    date: format(now, 'MMM d, yyyy'),
+    user: user?.name ?? '',
+  };
+  return (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    name.toLowerCase() in values ? values[name.toLowerCase()] : match
+  );
+}
+
+// TaskFormModal's form fields (all strings) for a new task from `template`
+export function applyTemplate(template, { now = new Date(), user } = {}) {
+  return {
+    title: expandPlaceholders(template.title, { now, user }),
+    description: expandPlaceholders(template.description, { now, user }),
+    priority: String(template.priority ?? 1),
+    category: expandPlaceholders(template.category, { now, user }),
+    dueDate: resolveRelativeDue(template.dueIn, now) || '',
+    assignedToUserId: template.assignedToUserId ? String(template.assignedToUserId) : '',
+    status: '0',
+  };
+}
+
+// A task's reusable fields; its due date is kept relative to when it was created
+export function templateFromTask(task) {
+  const days =
+    task.dueDate && task.createdAt
+      ? differenceInCalendarDays(new Date(task.dueDate), new Date(task.createdAt))
+      : null;
+  return {
+    name: task.title,
+    title: task.title,
+    description: task.description || '',
+    priority: priorityValue(task.priority),
+    category: task.category || '',
+    dueIn: days === null || days < 0 ? '' : `+${days} ${days === 1 ? 'day' : 'days'}`,
+    assignedToUserId: task.assignedToUserId ?? null,
+  };
+}